@@ -0,0 +1,119 @@
+import { silentLogger } from './logger.js';
+
+// AIMD concurrency controller: starts with a small number of requests in flight,
+// adds one after every healthy window of responses, and halves the limit as soon
+// as a window sees a 429, a 5xx or a network error. A window whose latency has
+// drifted well above the best one seen so far counts as unhealthy too.
+export class AdaptiveConcurrency {
+  constructor({ initial = 2, min = 1, max = 20, latencyFactor = 3, latencySlackMs = 100, logger = silentLogger } = {}) {
+    this.logger = logger;
+    this.min = min;
+    this.max = Math.max(min, max);
+    this.limit = Math.min(Math.max(initial, min), this.max);
+    this.latencyFactor = latencyFactor;
+    // Ignore latency drift smaller than this; a few ms of jitter isn't server strain
+    this.latencySlackMs = latencySlackMs;
+
+    this.active = 0;
+    this.waiters = [];
+    this.baselineLatency = null;
+    this.lastDecreaseAt = 0;
+    this.resetWindow();
+  }
+
+  resetWindow() {
+    this.window = { count: 0, totalLatency: 0, rateLimited: 0, errors: 0 };
+  }
+
+  acquire() {
+    if (this.active < this.limit) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  // Frees the slot and records how the request went: { startedAt, latencyMs, status, error }
+  release({ startedAt = Date.now(), latencyMs = 0, status = null, error = false } = {}) {
+    this.active--;
+
+    // Requests sent before the last cut were part of the same overload; don't cut again for them
+    if (startedAt < this.lastDecreaseAt && (error || status === 429 || status >= 500)) {
+      this.wakeWaiters();
+      return;
+    }
+
+    this.window.count++;
+    this.window.totalLatency += latencyMs;
+    if (status === 429) this.window.rateLimited++;
+    else if (error || (status !== null && status >= 500)) this.window.errors++;
+
+    // React to trouble immediately; only grow after a full window of healthy responses
+    if (this.window.rateLimited > 0 || this.window.errors > 0) {
+      this.adjust();
+    } else if (this.window.count >= Math.max(this.limit, 5)) {
+      this.adjust();
+    }
+
+    this.wakeWaiters();
+  }
+
+  adjust() {
+    const { count, totalLatency, rateLimited, errors } = this.window;
+    const averageLatency = count > 0 ? totalLatency / count : 0;
+    const previous = this.limit;
+
+    if (rateLimited > 0 || errors > 0) {
+      this.limit = Math.max(this.min, Math.floor(this.limit / 2));
+      this.lastDecreaseAt = Date.now();
+    } else if (this.isSlow(averageLatency)) {
+      this.limit = Math.max(this.min, Math.floor(this.limit * 0.75));
+      this.lastDecreaseAt = Date.now();
+    } else {
+      this.limit = Math.min(this.max, this.limit + 1);
+    }
+
+    if (averageLatency > 0 && (this.baselineLatency === null || averageLatency < this.baselineLatency)) {
+      this.baselineLatency = averageLatency;
+    }
+
+    if (this.limit !== previous) {
+      const arrow = this.limit > previous ? '📈' : '📉';
+      const reason = rateLimited > 0 ? `${rateLimited} rate-limited` : errors > 0 ? `${errors} errors` : `avg ${Math.round(averageLatency)}ms`;
+      this.logger.log(`${arrow} Concurrency ${previous} → ${this.limit} (${reason}, ceiling ${this.max})`);
+    }
+
+    this.resetWindow();
+  }
+
+  isSlow(averageLatency) {
+    if (this.baselineLatency === null) return false;
+    return averageLatency > this.baselineLatency * this.latencyFactor &&
+      averageLatency - this.baselineLatency > this.latencySlackMs;
+  }
+
+  wakeWaiters() {
+    while (this.waiters.length > 0 && this.active < this.limit) {
+      this.active++;
+      this.waiters.shift()();
+    }
+  }
+
+  // Runs fn inside a slot, timing it for the controller
+  async run(fn) {
+    await this.acquire();
+    const startedAt = Date.now();
+    try {
+      const response = await fn();
+      this.release({ startedAt, latencyMs: Date.now() - startedAt, status: response ? response.status : null });
+      return response;
+    } catch (error) {
+      this.release({ startedAt, latencyMs: Date.now() - startedAt, error: true });
+      throw error;
+    }
+  }
+
+  describe() {
+    return `${this.active}/${this.limit} in flight (ceiling ${this.max})`;
+  }
+}
@@ -0,0 +1,477 @@
+import { EventEmitter } from 'node:events';
+import { AuthSession } from './auth-session.js';
+import { CheckCache } from './check-cache.js';
+import { silentLogger } from './logger.js';
+import { VideoFilter } from './video-filter.js';
+import { VideoListing } from './video-listing.js';
+
+// Shared api.video client: authentication, rate-limit aware requests and caption endpoints.
+// Emits 'authenticated', 'rateLimited', 'videos' and 'page' events; see lib/index.d.ts.
+export class ApiVideoClient extends EventEmitter {
+  constructor({
+    apiKey,
+    baseUrl = "https://ws.api.video",
+    videoFilter = new VideoFilter(),
+    pageSize = 25,
+    pageDelay = 200,
+    concurrency = null,
+    auditLog = null,
+    checkCacheFile = null,
+    logger = silentLogger
+  }) {
+    super();
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+    this.videoFilter = videoFilter;
+    this.pageSize = pageSize;
+    this.pageDelay = pageDelay;
+    // Optional AdaptiveConcurrency that bounds and times API requests
+    this.concurrency = concurrency;
+    // Optional AuditLog that every caption deletion is written to
+    this.auditLog = auditLog;
+    // Optional check cache (see CheckCache) that forgets the videos whose captions this client changes
+    this.checkCacheFile = checkCacheFile;
+    this.changedVideos = new Set();
+    this.logger = logger;
+    this.pendingAuthentication = null;
+    // Optional AbortSignal that cancels every request sent through fetchWithRetry
+    this.signal = null;
+    // Progress of the current or last video listing
+    this.listing = new VideoListing();
+    // Videos the listing already has but has not yielded yet (a page loaded ahead, or
+    // the IDs not fetched yet), so a consumer that stops early knows what it missed;
+    // pendingComplete is false while pages beyond them are still to be listed
+    this.pendingVideos = [];
+    this.pendingComplete = true;
+    this.session = new AuthSession({
+      baseUrl,
+      logger,
+      fetchFn: (url, options) => this.fetchWithRetry(url, options),
+      reauthenticate: () => this.authenticate()
+    });
+    this.rateLimitInfo = {
+      limit: null,
+      remaining: null,
+      resetTime: null
+    };
+  }
+
+  get accessToken() {
+    return this.session.accessToken;
+  }
+
+  // Helper method to parse rate limit headers
+  parseRateLimitHeaders(response) {
+    const limit = response.headers.get('X-RateLimit-Limit');
+    const remaining = response.headers.get('X-RateLimit-Remaining');
+    const retryAfter = response.headers.get('X-RateLimit-Retry-After');
+    
+    if (limit) this.rateLimitInfo.limit = parseInt(limit);
+    if (remaining) this.rateLimitInfo.remaining = parseInt(remaining);
+    if (retryAfter) this.rateLimitInfo.resetTime = Date.now() + (parseInt(retryAfter) * 1000);
+    
+    return {
+      limit: this.rateLimitInfo.limit,
+      remaining: this.rateLimitInfo.remaining,
+      retryAfter: retryAfter ? parseInt(retryAfter) : null
+    };
+  }
+
+  // Enhanced fetch with rate limiting and retry logic. The response (or the final
+  // error) carries `retries`, the number of times the request was sent again; the
+  // error is marked `network`, as no response came back at all. Subclasses change
+  // how a request is sent and how a 429 is waited out through sendRequest and
+  // waitForRateLimit; requests cancelled through this.signal are not sent again.
+  async fetchWithRetry(url, options = {}, maxRetries = 3) {
+    let tokenRefreshed = false;
+    let retries = 0;
+    
+    // Library callers may go straight to an API call without authenticating first
+    if (this.session.hasAuthorization(options) && !this.accessToken) {
+      await this.ensureAuthenticated();
+    }
+    
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      try {
+        const sentToken = this.accessToken;
+        const authorized = this.session.authorize(options);
+        const response = await this.sendRequest(url, this.signal ? { ...authorized, signal: this.signal } : authorized);
+        
+        // Expired token: refresh once and replay the request without using up a retry
+        if (response.status === 401 && this.session.hasAuthorization(options) && !tokenRefreshed) {
+          tokenRefreshed = true;
+          await this.session.refresh(sentToken);
+          attempt--;
+          retries++;
+          continue;
+        }
+        
+        // Out of retries, the 429 itself is returned: the caller reports the rate limit as exhausted
+        if (response.status === 429 && attempt < maxRetries) {
+          await this.waitForRateLimit(url, response, attempt, maxRetries);
+          retries++;
+          continue;
+        }
+        
+        response.retries = retries;
+        return response;
+      } catch (error) {
+        if (attempt === maxRetries || this.signal?.aborted) {
+          error.retries = retries;
+          error.network = true;
+          throw error;
+        }
+        retries++;
+        
+        const waitTime = Math.pow(2, attempt) * 100; // Reduced from 1000 to 100ms
+        this.logger.log(`🔄 Request failed. Retrying in ${waitTime}ms (attempt ${attempt + 1}/${maxRetries + 1})...`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      }
+    }
+  }
+
+  // Sends one request, through the concurrency controller if there is one, and
+  // keeps track of the rate limit headers
+  async sendRequest(url, options) {
+    const response = this.concurrency && url.startsWith(this.baseUrl)
+      ? await this.concurrency.run(() => fetch(url, options))
+      : await fetch(url, options);
+    
+    // Log rate limit info occasionally
+    const rateLimitInfo = this.parseRateLimitHeaders(response);
+    if (rateLimitInfo.remaining !== null && rateLimitInfo.remaining < 10) {
+      this.logger.log(`⚠️  Rate limit warning: ${rateLimitInfo.remaining}/${rateLimitInfo.limit} requests remaining`);
+    }
+    return response;
+  }
+
+  // Waits before a rate-limited request is sent again
+  async waitForRateLimit(url, response, attempt, maxRetries) {
+    const retryAfter = parseInt(response.headers.get('X-RateLimit-Retry-After')) || Math.pow(2, attempt) * 100; // Reduced from 1000 to 100ms
+    this.logger.log(`🔄 Rate limited. Waiting ${retryAfter} seconds before retry (attempt ${attempt + 1}/${maxRetries + 1})...`);
+    this.emit('rateLimited', { url, retryAfter, attempt: attempt + 1 });
+    
+    await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+  }
+
+  // Smart delay based on rate limit status
+  async smartDelay(baseDelay = 100) {
+    // If we're close to rate limit, wait longer
+    if (this.rateLimitInfo.remaining !== null && this.rateLimitInfo.remaining < 5) {
+      const delay = baseDelay * 5;
+      this.logger.log(`⏳ Low rate limit remaining (${this.rateLimitInfo.remaining}). Waiting ${delay}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    } else {
+      await new Promise(resolve => setTimeout(resolve, baseDelay));
+    }
+  }
+
+  // Authenticates once, however many requests are waiting for a token
+  ensureAuthenticated() {
+    if (!this.pendingAuthentication) {
+      this.pendingAuthentication = this.authenticate().finally(() => {
+        this.pendingAuthentication = null;
+      });
+    }
+    return this.pendingAuthentication;
+  }
+
+  async authenticate() {
+    this.logger.log("🔐 Authenticating with api.video...");
+    
+    try {
+      const response = await this.fetchWithRetry(`${this.baseUrl}/auth/api-key`, {
+        method: 'POST',
+        headers: {
+          'accept': 'application/json',
+          'content-type': 'application/json'
+        },
+        body: JSON.stringify({ apiKey: this.apiKey })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Authentication failed: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      this.session.setTokens(data);
+      this.logger.log("✅ Authentication successful!");
+      this.emit('authenticated');
+      return data;
+    } catch (error) {
+      this.logger.error("❌ Authentication failed:", error.message);
+      throw error;
+    }
+  }
+
+  // Streams the matching videos page by page. The next page is requested while the
+  // current one is being worked on, so work starts on page 1 and only two pages are
+  // ever held in memory. this.listing tracks progress; 'videos' is emitted with the
+  // expected total once the first page is in.
+  async *iterateVideos() {
+    this.logger.log("📹 Fetching videos page by page...");
+    if (this.videoFilter.isActive) {
+      this.logger.log(`🎯 Video filter: ${this.videoFilter.describe()}`);
+    }
+    
+    // An explicit ID list is cheaper to fetch one by one than walking the whole account
+    const videoIds = await this.videoFilter.loadVideoIds();
+    if (videoIds) {
+      yield* this.iterateVideosById(videoIds);
+      return;
+    }
+    
+    this.listing = new VideoListing();
+    this.pendingVideos = [];
+    this.pendingComplete = false;
+    let nextPage = this.fetchVideoPage(1);
+    
+    for (let currentPage = 1; ; currentPage++) {
+      let data;
+      try {
+        data = await nextPage;
+      } catch (error) {
+        this.logger.error("❌ Failed to fetch videos:", error.message);
+        throw error;
+      }
+      
+      const totalPages = data.pagination.pagesTotal;
+      if (currentPage < totalPages) {
+        // Smart delay based on rate limits, then load the next page in the background
+        nextPage = this.smartDelay(this.pageDelay).then(() => this.fetchVideoPage(currentPage + 1));
+        // Failures are handled when awaited; this stops an abandoned listing from raising an unhandled rejection
+        nextPage.then(page => {
+          this.pendingVideos.push(...page.data.filter(video => this.videoFilter.matches(video)));
+          if (currentPage + 1 >= page.pagination.pagesTotal) this.pendingComplete = true;
+        }, () => {});
+      }
+      
+      const matching = data.data.filter(video => this.videoFilter.matches(video));
+      this.pendingVideos = [...matching];
+      if (currentPage >= totalPages) this.pendingComplete = true;
+      this.listing.add(data.data.length, matching.length);
+      if (currentPage === 1) {
+        this.listing.itemsTotal = data.pagination.itemsTotal ?? null;
+        this.emit('videos', { total: this.listing.expected, estimated: this.listing.estimated });
+      }
+      if (currentPage >= totalPages) this.listing.finish();
+      
+      this.logger.log(`📋 Page ${currentPage} of ${totalPages}: ${data.data.length} videos, ${matching.length} matching (${this.listing.matched} so far)`);
+      this.emit('page', { page: currentPage, totalPages, videos: data.data.length, matching: matching.length, total: this.listing.matched });
+      
+      for (const video of matching) {
+        this.pendingVideos.shift();
+        yield video;
+      }
+      if (currentPage >= totalPages) break;
+    }
+    
+    this.logger.log(`✅ Listed all ${this.listing.matched} matching videos`);
+  }
+
+  async fetchVideoPage(currentPage) {
+    const params = new URLSearchParams({ currentPage, pageSize: this.pageSize });
+    this.videoFilter.applyToQuery(params);
+    
+    const response = await this.fetchWithRetry(`${this.baseUrl}/videos?${params}`, {
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch videos: ${response.status} ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  async *iterateVideosById(videoIds) {
+    this.listing = new VideoListing(videoIds.length);
+    this.pendingVideos = videoIds.map(videoId => ({ videoId }));
+    this.pendingComplete = true;
+    this.emit('videos', { total: this.listing.expected, estimated: this.listing.estimated });
+
+    for (let i = 0; i < videoIds.length; i++) {
+      const video = await this.getVideo(videoIds[i]);
+      this.pendingVideos.shift();
+      const matches = Boolean(video) && this.videoFilter.matches(video);
+      this.listing.add(1, matches ? 1 : 0);
+      if (i === videoIds.length - 1) this.listing.finish();
+      
+      if (!video) {
+        this.logger.log(`⚠️  [${i + 1}/${videoIds.length}] Video ${videoIds[i]} not found, skipping`);
+      } else if (matches) {
+        yield video;
+      }
+      
+      await this.smartDelay(this.pageDelay);
+    }
+
+    this.listing.finish();
+    this.logger.log(`✅ Fetched ${this.listing.matched} of ${videoIds.length} listed videos!`);
+  }
+
+  // The whole listing as an array, for callers that need every video up front
+  async getAllVideos() {
+    const videos = [];
+    for await (const video of this.iterateVideos()) {
+      videos.push(video);
+    }
+    return videos;
+  }
+
+  async getVideosById(videoIds) {
+    const videos = [];
+    for await (const video of this.iterateVideosById(videoIds)) {
+      videos.push(video);
+    }
+    return videos;
+  }
+
+  // Returns the video, or null if it no longer exists
+  async getVideo(videoId) {
+    const response = await this.fetchWithRetry(`${this.baseUrl}/videos/${videoId}`, {
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`
+      }
+    });
+
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Failed to fetch video ${videoId}: ${response.status} ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  // Throws when the request fails; a video without captions gives an empty list
+  async listCaptions(videoId) {
+    const response = await this.fetchWithRetry(`${this.baseUrl}/videos/${videoId}/captions`, {
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`
+      }
+    });
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        return []; // No captions found
+      }
+      throw Object.assign(new Error(`Failed to fetch captions for video ${videoId}: ${response.status} ${response.statusText}`), { status: response.status });
+    }
+
+    const data = await response.json();
+    return data.data || [];
+  }
+
+  // Like listCaptions, but a failed request is logged and treated as no captions
+  async getCaptionsForVideo(videoId) {
+    try {
+      return await this.listCaptions(videoId);
+    } catch (error) {
+      this.logger.error(`❌ Failed to fetch captions for video ${videoId}:`, error.message);
+      return [];
+    }
+  }
+
+  // Resolves to true once the caption is deleted
+  async deleteCaption(videoId, language, title = null) {
+    return (await this.tryDeleteCaption(videoId, language, title)).deleted;
+  }
+
+  // Like deleteCaption, but resolves to { deleted, status, retries, error } so a
+  // failure can be classified. Every attempt ends up in the audit log, if there is
+  // one, whether it worked or not.
+  async tryDeleteCaption(videoId, language, title = null) {
+    // Even a failed request may have gone through, so the video counts as changed
+    this.changedVideos.add(videoId);
+    let outcome = null;
+    try {
+      const response = await this.fetchWithRetry(`${this.baseUrl}/videos/${videoId}/captions/${language}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`
+        }
+      });
+      outcome = { status: response.status, retries: response.retries };
+
+      if (!response.ok) {
+        throw Object.assign(new Error(`Failed to delete caption: ${response.status} ${response.statusText}`), { status: response.status });
+      }
+
+      return { deleted: true, ...outcome, error: null };
+    } catch (error) {
+      outcome ??= { status: null, retries: error.retries ?? 0, error: error.message };
+      this.logger.error(`❌ Failed to delete caption (${language}) for video ${videoId}:`, error.message);
+      return { deleted: false, status: outcome.status, retries: outcome.retries, error };
+    } finally {
+      await this.audit({ videoId, title, language, ...outcome });
+    }
+  }
+
+  // Removes the videos whose captions were changed since the last call from the
+  // check cache, so the next check does not report their old captions. Commands call
+  // this when they finish; a failure is reported but does not fail the command.
+  async forgetChangedVideos() {
+    if (!this.checkCacheFile || this.changedVideos.size === 0) return;
+    const videoIds = [...this.changedVideos];
+    this.changedVideos.clear();
+    try {
+      const forgotten = await CheckCache.forget(this.checkCacheFile, videoIds);
+      if (forgotten > 0) this.logger.log(`🗃️  Dropped ${forgotten} changed video(s) from the check cache ${this.checkCacheFile}`);
+    } catch (error) {
+      this.logger.error(`❌ Could not update the check cache ${this.checkCacheFile}; run the next check with --full:`, error.message);
+    }
+  }
+
+  // A failed audit write is reported but does not stop the run
+  async audit(record) {
+    if (!this.auditLog) return;
+    try {
+      await this.auditLog.record(record);
+    } catch (error) {
+      this.logger.error(`❌ Could not write to the audit log ${this.auditLog.file}:`, error.message);
+    }
+  }
+
+  // Uploads a WebVTT file as the caption track for the given language
+  async uploadCaption(videoId, language, content) {
+    const form = new FormData();
+    form.append('file', new Blob([content], { type: 'text/vtt' }), `${language}.vtt`);
+    this.changedVideos.add(videoId);
+
+    const response = await this.fetchWithRetry(`${this.baseUrl}/videos/${videoId}/captions/${language}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`
+      },
+      body: form
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Failed to upload caption: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  async setDefaultCaption(videoId, language, isDefault = true) {
+    this.changedVideos.add(videoId);
+    const response = await this.fetchWithRetry(`${this.baseUrl}/videos/${videoId}/captions/${language}`, {
+      method: 'PATCH',
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`,
+        'content-type': 'application/json'
+      },
+      body: JSON.stringify({ default: isDefault })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to update caption: ${response.status} ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+}
@@ -0,0 +1,82 @@
+import { createHash, randomUUID } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import { appendFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { createInterface } from 'node:readline';
+
+// Identifies the account a key belongs to without the key itself ending up on disk
+export function apiKeyFingerprint(apiKey) {
+  return createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 16);
+}
+
+// Append-only JSONL record of every destructive request, one line per caption
+// deletion, kept across runs. Each line says when, in which run, by whom, against
+// which account, on which caption, and how the API answered:
+//   {"at":"...","runId":"...","operator":"ana","account":"3f2a...","action":"delete",
+//    "videoId":"vi...","title":"...","language":"es","status":204,"retries":0}
+// The file is never rewritten; a torn last line is skipped when reading.
+export class AuditLog {
+  constructor(file, { apiKey, operator = null, runId = randomUUID() }) {
+    this.file = path.resolve(file);
+    this.runId = runId;
+    this.operator = operator;
+    this.account = apiKeyFingerprint(apiKey);
+    this.ready = null;
+    // Serialises appends so records from parallel deletions never interleave
+    this.writeQueue = Promise.resolve();
+  }
+
+  record({ action = 'delete', videoId, title = null, language, status = null, retries = 0, error = null }) {
+    const entry = {
+      at: new Date().toISOString(),
+      runId: this.runId,
+      operator: this.operator,
+      account: this.account,
+      action,
+      videoId,
+      title,
+      language,
+      status,
+      retries,
+      ...(error ? { error } : {})
+    };
+
+    this.ready ??= mkdir(path.dirname(this.file), { recursive: true });
+    const write = this.writeQueue.then(() => this.ready).then(() => appendFile(this.file, `${JSON.stringify(entry)}\n`));
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  // Streams the records of a log file, oldest first; yields nothing if there is no log yet
+  static async *read(file) {
+    const input = createReadStream(path.resolve(file), 'utf8');
+    try {
+      for await (const line of createInterface({ input, crlfDelay: Infinity })) {
+        if (!line.trim()) continue;
+        try {
+          yield JSON.parse(line);
+        } catch {
+          // A write cut short by a crash; the records around it are intact
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    } finally {
+      input.destroy();
+    }
+  }
+
+  // Records matching every given filter. runId matches by prefix, so the short
+  // form printed by the query command works too; since/until are Dates.
+  static async *query(file, { videoId = null, language = null, runId = null, since = null, until = null } = {}) {
+    for await (const entry of AuditLog.read(file)) {
+      if (videoId && entry.videoId !== videoId) continue;
+      if (language && String(entry.language).toLowerCase() !== language.toLowerCase()) continue;
+      if (runId && !String(entry.runId).startsWith(runId)) continue;
+      const at = new Date(entry.at);
+      if (since && at < since) continue;
+      if (until && at >= until) continue;
+      yield entry;
+    }
+  }
+}
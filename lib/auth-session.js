@@ -0,0 +1,78 @@
+import { silentLogger } from './logger.js';
+
+// Holds the api.video access/refresh token pair. When a request comes back 401,
+// the token is refreshed once for every caller that was using it; if the refresh
+// endpoint fails, the session falls back to authenticating with the API key again.
+export class AuthSession {
+  constructor({ baseUrl, fetchFn, reauthenticate, logger = silentLogger }) {
+    this.baseUrl = baseUrl;
+    this.logger = logger;
+    this.fetchFn = fetchFn;
+    this.reauthenticate = reauthenticate;
+    this.accessToken = null;
+    this.refreshToken = null;
+    this.pendingRefresh = null;
+  }
+
+  setTokens(data) {
+    this.accessToken = data.access_token;
+    this.refreshToken = data.refresh_token || this.refreshToken;
+  }
+
+  hasAuthorization(options) {
+    return Boolean(options.headers && options.headers['Authorization']);
+  }
+
+  // Returns the request options with the current token, so a replayed request
+  // never reuses the token that just expired
+  authorize(options) {
+    if (!this.hasAuthorization(options)) return options;
+    return { ...options, headers: { ...options.headers, 'Authorization': `Bearer ${this.accessToken}` } };
+  }
+
+  refresh(staleToken) {
+    // Another request already replaced the token this one was sent with
+    if (this.accessToken !== staleToken) return Promise.resolve();
+
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this.refreshOrReauthenticate().finally(() => {
+        this.pendingRefresh = null;
+      });
+    }
+    return this.pendingRefresh;
+  }
+
+  async refreshOrReauthenticate() {
+    this.logger.log("🔑 Access token rejected, refreshing...");
+
+    if (this.refreshToken) {
+      try {
+        const response = await this.fetchFn(`${this.baseUrl}/auth/refresh`, {
+          method: 'POST',
+          headers: {
+            'accept': 'application/json',
+            'content-type': 'application/json'
+          },
+          body: JSON.stringify({ refreshToken: this.refreshToken })
+        });
+
+        if (!response.ok) {
+          throw new Error(`${response.status} ${response.statusText}`);
+        }
+
+        this.setTokens(await response.json());
+        this.logger.log("✅ Access token refreshed");
+        return;
+      } catch (error) {
+        this.logger.log(`⚠️  Token refresh failed (${error.message}), re-authenticating with the API key...`);
+      }
+    }
+
+    try {
+      await this.reauthenticate();
+    } catch (error) {
+      // The replayed request will come back 401 and fail where it was made
+      this.logger.error("❌ Re-authentication failed:", error.message);
+    }
+  }
+}
@@ -0,0 +1,122 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 2;
+
+// Local archive of caption files, laid out as <dir>/<videoId>/<language>.<time>.vtt
+// with a manifest.json listing every backup of each track, oldest first. A track
+// backed up again gets a new file and entry, so no backup ever replaces another.
+export class CaptionBackup {
+  constructor(archiveDir) {
+    this.archiveDir = path.resolve(archiveDir);
+    this.manifest = null;
+    // Serialises manifest writes so parallel deletions can't clobber each other
+    this.writeQueue = Promise.resolve();
+  }
+
+  async loadManifest() {
+    if (this.manifest) return this.manifest;
+
+    try {
+      this.manifest = upgrade(JSON.parse(await readFile(path.join(this.archiveDir, MANIFEST_FILE), 'utf8')));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.manifest = { version: MANIFEST_VERSION, createdAt: new Date().toISOString(), videos: {} };
+    }
+
+    return this.manifest;
+  }
+
+  // The most recent backup of every track of the video: { language: entry }
+  static latest(tracks) {
+    return Object.fromEntries(Object.entries(tracks).map(([language, entries]) => [language, entries.at(-1)]));
+  }
+
+  // Downloads the VTT behind caption.src and records it in the manifest.
+  // Throws if the file could not be fetched or stored, so callers can refuse to delete.
+  async save(fetchFn, video, caption) {
+    const language = caption.srclang || caption.language;
+    if (!caption.src) {
+      throw new Error(`Caption (${language}) has no src to download`);
+    }
+
+    const response = await fetchFn(caption.src);
+    if (!response.ok) {
+      throw Object.assign(new Error(`Failed to download caption file: ${response.status} ${response.statusText}`), { status: response.status });
+    }
+
+    const content = await response.text();
+    if (!content.replace(/^\uFEFF/, '').startsWith('WEBVTT')) {
+      throw new Error('Downloaded caption file is not a WebVTT document');
+    }
+
+    const backedUpAt = new Date().toISOString();
+    await mkdir(path.join(this.archiveDir, video.videoId), { recursive: true });
+    const file = await this.writeNewFile(video.videoId, `${language}.${backedUpAt.replace(/[:.]/g, '-')}`, content);
+
+    const entry = {
+      videoId: video.videoId,
+      title: video.title,
+      srclang: language,
+      default: Boolean(caption.default),
+      src: caption.src,
+      file,
+      backedUpAt
+    };
+
+    await this.updateManifest(manifest => {
+      const tracks = manifest.videos[video.videoId] = manifest.videos[video.videoId] || {};
+      tracks[language] = [...(tracks[language] || []), entry];
+    });
+
+    return entry;
+  }
+
+  // Writes <videoId>/<name>.vtt, or <name>-2.vtt and so on when a backup of the same
+  // track in the same millisecond already took that name. Returns the relative path.
+  async writeNewFile(videoId, name, content) {
+    for (let copy = 1; ; copy++) {
+      const file = path.join(videoId, `${name}${copy > 1 ? `-${copy}` : ''}.vtt`);
+      try {
+        await writeFile(path.join(this.archiveDir, file), content, { flag: 'wx' });
+        return file;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+    }
+  }
+
+  async readCaptionFile(entry) {
+    return readFile(path.join(this.archiveDir, entry.file), 'utf8');
+  }
+
+  updateManifest(mutate) {
+    const write = this.writeQueue.then(async () => {
+      const manifest = await this.loadManifest();
+      mutate(manifest);
+      manifest.version = MANIFEST_VERSION;
+      manifest.updatedAt = new Date().toISOString();
+
+      // Write to a temp file first so an interrupted run never leaves a truncated manifest
+      const target = path.join(this.archiveDir, MANIFEST_FILE);
+      await mkdir(this.archiveDir, { recursive: true });
+      await writeFile(`${target}.tmp`, JSON.stringify(manifest, null, 2));
+      await rename(`${target}.tmp`, target);
+    });
+
+    // Keep the queue alive even if one write fails
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+}
+
+// Version 1 kept a single entry per track; it becomes a list of one
+function upgrade(manifest) {
+  if (manifest.version === 1) {
+    for (const tracks of Object.values(manifest.videos)) {
+      for (const [language, entry] of Object.entries(tracks)) tracks[language] = [entry];
+    }
+  }
+  return manifest;
+}
@@ -0,0 +1,385 @@
+import { ApiVideoClient } from './api-video-client.js';
+import { formatVttTime } from './caption-file.js';
+import { CaptionInspector } from './caption-inspector.js';
+import { CheckCache } from './check-cache.js';
+import { silentLogger } from './logger.js';
+import { RunJournal } from './run-journal.js';
+import { VideoFilter } from './video-filter.js';
+
+// Read-only pass over the account that lists every video still carrying captions.
+// With the inspect option it also downloads each caption file to lint it and/or
+// search its text. With a cache file, videos whose updatedAt is unchanged since the
+// last run are answered from the cache. Videos are checked as their page of the
+// listing arrives. Emits 'videos' with the expected total, 'video' after each one and 'done' with the result.
+export class ApiVideoCaptionChecker extends ApiVideoClient {
+  constructor({
+    apiKey,
+    baseUrl = "https://ws.api.video",
+    videoFilterOptions = {},
+    pageSize = 25,
+    pageDelay = 150,
+    videoDelay = 75,
+    resume = false,
+    journalFile = 'journals/check-captions.jsonl',
+    report = null,
+    inspect = null,
+    cacheFile = null,
+    full = false,
+    logger = silentLogger
+  } = {}) {
+    super({
+      apiKey,
+      baseUrl,
+      videoFilter: new VideoFilter(videoFilterOptions),
+      pageSize,
+      pageDelay,
+      logger
+    });
+    this.videoDelay = videoDelay;
+    this.resume = resume;
+    this.report = report;
+    // { lint, maxCueSeconds, maxLineLength, search }; null only lists tracks
+    this.inspector = inspect ? new CaptionInspector(inspect) : null;
+    if (this.inspector && !this.inspector.isActive) this.inspector = null;
+    // A null journalFile runs without a checkpoint journal
+    this.journal = journalFile
+      ? new RunJournal(journalFile, {
+        script: 'check-captions',
+        baseUrl,
+        videoFilter: videoFilterOptions,
+        ...(this.inspector && { inspect: this.inspector.params() })
+      })
+      : null;
+    // A null cacheFile queries every video; full still rebuilds the cache, without reading it
+    this.cache = cacheFile
+      ? new CheckCache(cacheFile, { apiKey, baseUrl, inspect: this.inspector && this.inspector.params() })
+      : null;
+    this.full = full;
+  }
+
+  // Downloads one caption file and returns its lint issues and search hits
+  async inspectCaption(video, caption, progress) {
+    const language = caption.srclang || caption.language;
+
+    try {
+      if (!caption.src) throw new Error('caption has no src to download');
+      const response = await this.fetchWithRetry(caption.src);
+      if (!response.ok) throw new Error(`download failed: ${response.status} ${response.statusText}`);
+
+      const { issues, hits } = this.inspector.inspect(await response.text());
+      for (const issue of issues) {
+        const at = issue.start === null ? '' : ` (${formatVttTime(issue.start)})`;
+        this.logger.log(`${progress} ⚠️  ${language} line ${issue.line}${at}: ${issue.rule}: ${issue.message}`);
+      }
+      for (const hit of hits) {
+        this.logger.log(`${progress} 🔎 ${language} ${formatVttTime(hit.start)}: "${hit.text}"`);
+      }
+      return { issues, hits };
+    } catch (error) {
+      this.logger.error(`❌ Could not inspect caption (${language}) for video ${video.videoId}:`, error.message);
+      return { issues: [], hits: [], error: error.message };
+    }
+  }
+
+  // Asks the API for one video's tracks (inspecting them if enabled) and updates the cache.
+  // Returns null when the captions could not be listed. A video whose captions could not
+  // be listed or read is dropped from the cache so the next run asks again.
+  async checkVideo(video, progress) {
+    this.logger.log(`${progress} 🔍 Checking captions for video: ${video.videoId} (${video.title})`);
+    
+    let captions;
+    try {
+      captions = await this.listCaptions(video.videoId);
+    } catch (error) {
+      this.logger.error(`${progress} ❌ Could not list captions for video ${video.videoId}, not checked:`, error.message);
+      if (this.cache) this.cache.delete(video.videoId);
+      return null;
+    }
+    
+    const tracks = captions.map(caption => ({
+      srclang: caption.srclang || caption.language,
+      default: Boolean(caption.default),
+      src: caption.src
+    }));
+    
+    if (this.inspector) {
+      for (let c = 0; c < captions.length; c++) {
+        Object.assign(tracks[c], await this.inspectCaption(video, captions[c], progress));
+      }
+    }
+    
+    if (this.cache) {
+      if (!tracks.some(track => track.error)) {
+        this.cache.set(video, tracks);
+      } else {
+        this.cache.delete(video.videoId);
+      }
+    }
+    return tracks;
+  }
+
+  // Smart delay based on rate limit status (the checker backs off less than the deleter)
+  async smartDelay(baseDelay = 100) {
+    // If we're close to rate limit, wait longer
+    if (this.rateLimitInfo.remaining !== null && this.rateLimitInfo.remaining < 5) {
+      const delay = baseDelay * 3;
+      this.logger.log(`⏳ Low rate limit remaining (${this.rateLimitInfo.remaining}). Waiting ${delay}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    } else {
+      await new Promise(resolve => setTimeout(resolve, baseDelay));
+    }
+  }
+
+  // Returns the run's counts
+  async checkAllCaptions() {
+    try {
+      return await this.runCheck();
+    } finally {
+      await this.journal?.close();
+    }
+  }
+
+  async runCheck() {
+    this.logger.log("🔍 Starting caption check process...");
+    
+    if (this.resume && !this.journal) {
+      throw new Error("Resuming needs a journal file");
+    }
+    
+    if (this.journal) {
+      await this.journal.open({ resume: this.resume });
+    }
+    if (this.resume) {
+      this.logger.log(`⏯️  Resuming from ${this.journal.file}: ${this.journal.completedVideos.size} video(s) already checked`);
+    }
+    
+    if (this.cache) {
+      const unusable = this.full ? 'a full scan was requested' : await this.cache.load();
+      if (unusable) {
+        this.logger.log(`🗃️  Not using the check cache (${unusable}); every video will be queried`);
+      } else {
+        this.logger.log(`🗃️  Check cache from ${this.cache.savedAt}: ${this.cache.size} videos known, only new or changed ones will be queried`);
+      }
+    }
+    
+    if (this.report) {
+      await this.report.open();
+    }
+    
+    // Step 1: Authenticate
+    await this.authenticate();
+    
+    // Step 2: Check each video for captions as its page arrives
+    let videoCount = 0;
+    let totalCaptionsFound = 0;
+    let videosWithCaptions = 0;
+    let videosFromCache = 0;
+    // Videos whose captions could not be listed: not journaled, so a resumed run checks them again
+    let listFailures = 0;
+    const videosWithCaptionsList = [];
+    const captionsByLanguage = {};
+    // Every listed id, for pruning the cache once the listing is complete
+    const listedIds = this.cache ? new Set() : null;
+    const inspection = { captionsInspected: 0, inspectFailures: 0, captionsWithIssues: 0, issuesByRule: {}, searchHits: 0, findings: [] };
+    
+    // Counts a video's captions and streams them to the report
+    const recordFound = async (video, found) => {
+      videosWithCaptions++;
+      totalCaptionsFound += found.captionCount;
+      videosWithCaptionsList.push(found);
+      for (const caption of found.captions || []) {
+        captionsByLanguage[caption.srclang] = (captionsByLanguage[caption.srclang] || 0) + 1;
+        if (this.inspector) this.tallyInspection(inspection, video, caption);
+      }
+      if (this.report) {
+        await this.report.addVideo(video, found.captions || []);
+      }
+    };
+    
+    for await (const video of this.iterateVideos()) {
+      const i = videoCount++;
+      const progress = this.listing.progress(i);
+      if (listedIds) listedIds.add(video.videoId);
+      
+      // Videos checked before a crash keep their recorded result so the report stays complete
+      if (this.journal && this.journal.isVideoDone(video.videoId)) {
+        const found = this.journal.videoData(video.videoId);
+        if (found) {
+          await recordFound(video, found);
+        }
+        this.emit('video', { index: i, total: this.listing.expected, video, captions: found ? found.captions || [] : [], resumed: true, cached: false, failed: false });
+        continue;
+      }
+      
+      // Unchanged since the last run: reuse what was seen then without a request
+      const cached = this.cache && this.cache.get(video);
+      const tracks = cached || await this.checkVideo(video, progress);
+      
+      if (!tracks) {
+        listFailures++;
+        this.emit('video', { index: i, total: this.listing.expected, video, captions: [], resumed: false, cached: false, failed: true });
+        await this.smartDelay(this.videoDelay);
+        continue;
+      }
+      
+      if (tracks.length === 0) {
+        if (!cached) this.logger.log(`${progress} ✅ No captions found for video ${video.videoId}`);
+        if (this.journal) await this.journal.recordVideoDone(video.videoId);
+      } else {
+        // Log the languages found
+        const languages = tracks.map(track => track.srclang).join(', ');
+        if (cached) {
+          this.logger.log(`${progress} 📝 ${tracks.length} caption(s) for video ${video.videoId}, unchanged since the last check: ${languages}`);
+        } else {
+          this.logger.log(`${progress} 📝 Found ${tracks.length} caption(s) for video ${video.videoId}`);
+          this.logger.log(`${progress} 🌍 Languages: ${languages}`);
+        }
+        
+        const found = {
+          videoId: video.videoId,
+          title: video.title,
+          captionCount: tracks.length,
+          languages: languages,
+          captions: tracks
+        };
+        await recordFound(video, found);
+        if (this.journal) await this.journal.recordVideoDone(video.videoId, found);
+      }
+      
+      this.emit('video', { index: i, total: this.listing.expected, video, captions: tracks, resumed: false, cached: Boolean(cached), failed: false });
+      
+      if (cached) {
+        videosFromCache++;
+        continue;
+      }
+      
+      // Smart delay between videos
+      await this.smartDelay(this.videoDelay);
+    }
+    
+    if (this.cache) {
+      // With a video filter only part of the account was listed, so nothing can be pruned
+      if (!this.videoFilter.isActive) this.cache.prune(listedIds);
+      await this.cache.save();
+    }
+    
+    if (this.journal) {
+      await this.journal.finish();
+    }
+    
+    if (this.report) {
+      await this.report.finish({
+        generatedAt: new Date().toISOString(),
+        baseUrl: this.baseUrl,
+        videoFilter: this.videoFilter.describe(),
+        totalVideos: videoCount,
+        videosWithCaptions,
+        totalCaptions: totalCaptionsFound,
+        captionsByLanguage,
+        ...(this.inspector && {
+          captionsWithIssues: inspection.captionsWithIssues,
+          issuesByRule: inspection.issuesByRule,
+          searchHits: inspection.searchHits
+        })
+      });
+      if (!this.report.toStdout) {
+        this.logger.log(`\n💾 ${this.report.describe()}`);
+      }
+    }
+    
+    this.logger.log("\n📊 Caption Check Summary:");
+    this.logger.log(`   • Total videos processed: ${videoCount}`);
+    this.logger.log(`   • Videos with captions: ${videosWithCaptions}`);
+    this.logger.log(`   • Total captions found: ${totalCaptionsFound}`);
+    if (listFailures > 0) {
+      this.logger.log(`   • Videos whose captions could not be listed: ${listFailures}`);
+    }
+    if (this.cache) {
+      this.logger.log(`   • Answered from the cache: ${videosFromCache} (queried: ${videoCount - videosFromCache})`);
+    }
+    
+    if (videosWithCaptions > 0) {
+      this.logger.log("\n📋 Videos that still have captions:");
+      videosWithCaptionsList.forEach((video, index) => {
+        this.logger.log(`   ${index + 1}. ${video.videoId} (${video.title})`);
+        this.logger.log(`      └── ${video.captionCount} captions: ${video.languages}`);
+      });
+    } else if (listFailures > 0) {
+      this.logger.log(`\n⚠️  No captions found, but ${listFailures} video(s) could not be checked; run the check again.`);
+    } else {
+      this.logger.log("\n🎉 No captions found! All captions have been successfully deleted.");
+    }
+    
+    if (this.inspector) {
+      this.printInspection(inspection);
+    }
+    
+    const result = {
+      videos: videoCount,
+      videosWithCaptions,
+      captionsFound: totalCaptionsFound,
+      captionsByLanguage,
+      captionedVideos: videosWithCaptionsList,
+      videosFromCache,
+      listFailures,
+      // Videos that could not be listed, and captions that could not be downloaded or read, leave the check incomplete
+      failures: listFailures + inspection.inspectFailures,
+      ...(this.inspector && {
+        captionsInspected: inspection.captionsInspected,
+        captionsWithIssues: inspection.captionsWithIssues,
+        issuesByRule: inspection.issuesByRule,
+        searchHits: inspection.searchHits,
+        findings: inspection.findings
+      })
+    };
+    this.emit('done', result);
+    return result;
+  }
+  
+  tallyInspection(inspection, video, caption) {
+    const issues = caption.issues || [];
+    const hits = caption.hits || [];
+    
+    if (caption.error) {
+      inspection.inspectFailures++;
+    } else {
+      inspection.captionsInspected++;
+    }
+    if (issues.length > 0) inspection.captionsWithIssues++;
+    issues.forEach(issue => {
+      inspection.issuesByRule[issue.rule] = (inspection.issuesByRule[issue.rule] || 0) + 1;
+    });
+    inspection.searchHits += hits.length;
+    
+    if (issues.length > 0 || hits.length > 0 || caption.error) {
+      inspection.findings.push({ videoId: video.videoId, title: video.title, language: caption.srclang, issues, hits, error: caption.error || null });
+    }
+  }
+  
+  printInspection(inspection) {
+    const { lint, search } = this.inspector;
+    
+    this.logger.log(`\n🩺 Caption inspection (${this.inspector.describe()}):`);
+    this.logger.log(`   • Captions inspected: ${inspection.captionsInspected}`);
+    this.logger.log(`   • Could not be downloaded or read: ${inspection.inspectFailures}`);
+    
+    if (lint) {
+      const rules = Object.entries(inspection.issuesByRule).sort((a, b) => b[1] - a[1]);
+      this.logger.log(`   • Captions with problems: ${inspection.captionsWithIssues}`);
+      this.logger.log(`   • Problems by rule: ${rules.length > 0 ? rules.map(([rule, count]) => `${rule}: ${count}`).join(', ') : 'none'}`);
+    }
+    
+    if (search) {
+      const withHits = inspection.findings.filter(finding => finding.hits.length > 0);
+      this.logger.log(`   • Search hits for ${search}: ${inspection.searchHits} in ${withHits.length} caption(s)`);
+      
+      if (withHits.length > 0) {
+        this.logger.log("\n🔎 Search hits:");
+        withHits.forEach(({ videoId, title, language, hits }) => {
+          this.logger.log(`   ${videoId} (${title}) └── ${language}`);
+          hits.forEach(hit => this.logger.log(`      ${formatVttTime(hit.start)}  "${hit.text}"`));
+        });
+      }
+    }
+  }
+}
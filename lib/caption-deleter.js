@@ -0,0 +1,350 @@
+import { AdaptiveConcurrency } from './adaptive-concurrency.js';
+import { DeletionRun } from './deletion-run.js';
+import { FailureLog } from './failure-log.js';
+import { silentLogger } from './logger.js';
+import { LanguageCounts, captionLanguage } from './language-filter.js';
+
+// Sequential deleter: one video at a time, one caption at a time, with a pause
+// between deletions. Slow, but gentle on the API. What it shares with the fast
+// deleter is described on DeletionRun. Emits 'videos', 'caption' for every caption
+// outcome, 'video' after each video and 'done' with the result.
+export class ApiVideoCaptionDeleter extends DeletionRun {
+  constructor({
+    apiKey,
+    baseUrl = "https://ws.api.video",
+    backupDir = "caption-backups",
+    includeLanguages = [],
+    excludeLanguages = [],
+    videoFilterOptions = {},
+    pageSize = 25,
+    pageDelay = 200,
+    videoDelay = 200,
+    deleteDelay = 1000,
+    dryRun = false,
+    planOut = null,
+    planFile = null,
+    retryFile = null,
+    failuresFile = null,
+    resume = false,
+    journalFile = 'journals/index.jsonl',
+    adaptive = false,
+    maxConcurrency = 20,
+    verify = true,
+    verifyRetries = 2,
+    confirm = null,
+    maxDeletions = null,
+    canary = 0,
+    auditLog = null,
+    checkCacheFile = null,
+    logger = silentLogger
+  } = {}) {
+    super({
+      script: 'index',
+      apiKey,
+      baseUrl,
+      backupDir,
+      includeLanguages,
+      excludeLanguages,
+      videoFilterOptions,
+      pageSize,
+      pageDelay,
+      // Adaptive mode replaces the fixed 1-second wait between deletions with an AIMD-tuned limit
+      concurrency: adaptive ? new AdaptiveConcurrency({ max: maxConcurrency, logger }) : null,
+      dryRun,
+      planOut,
+      planFile,
+      retryFile,
+      failuresFile,
+      resume,
+      journalFile,
+      verify,
+      verifyRetries,
+      confirm,
+      maxDeletions,
+      canary,
+      auditLog,
+      checkCacheFile,
+      logger
+    });
+    this.videoDelay = videoDelay;
+    this.deleteDelay = deleteDelay;
+  }
+
+  // Keeps, plans, or backs up and deletes one caption; returns what happened to it
+  async processCaption(video, caption, progress, stats) {
+    const outcome = await this.handleCaption(video, caption, progress, stats);
+    this.emit('caption', { video, language: captionLanguage(caption), outcome });
+    return outcome;
+  }
+
+  async handleCaption(video, caption, progress, stats) {
+    const language = captionLanguage(caption);
+    
+    if (!this.shouldDelete(video, caption)) {
+      stats.languageCounts.add('kept', language);
+      this.logger.log(`${progress} 🛡️  Keeping caption (${language})`);
+      return 'kept';
+    }
+    
+    if (this.dryRun) {
+      stats.plan.add(video, language);
+      this.logger.log(`${progress} 📝 Would delete caption (${language})`);
+      return 'planned';
+    }
+    
+    if (this.journal && this.journal.isCaptionDeleted(video.videoId, language)) {
+      this.logger.log(`${progress} ⏭️  Caption (${language}) was already deleted in a previous run, skipping`);
+      return 'already-deleted';
+    }
+    
+    // Holds everything after the canary until it has been approved
+    await this.interlock.beforeDeletion();
+    
+    // Never delete a caption we couldn't save first
+    const entry = await this.backupCaption(video, caption);
+    if (!entry) {
+      stats.backupFailures++;
+      this.interlock.afterDeletion(false);
+      this.logger.log(`${progress} ⏭️  Skipping deletion of caption (${language}) because its backup failed`);
+      return 'backup-failed';
+    }
+    this.logger.log(`${progress} 💾 Backed up caption (${language}) to ${entry.file}`);
+    
+    this.logger.log(`${progress} 🗑️  Deleting caption (${language}) for video ${video.videoId}...`);
+    
+    const { deleted, status, retries, error } = await this.tryDeleteCaption(video.videoId, language, video.title);
+    this.interlock.afterDeletion(deleted);
+    if (!deleted) {
+      stats.deleteFailures++;
+      this.failures.record({ stage: 'delete', video, language, status, retries, error });
+      return 'delete-failed';
+    }
+    
+    stats.totalCaptionsDeleted++;
+    stats.languageCounts.add('deleted', language);
+    if (this.journal) await this.journal.recordCaptionDeleted(video.videoId, language);
+    this.logger.log(`${progress} ✅ Successfully deleted caption (${language})`);
+    return 'deleted';
+  }
+
+  // Backs up and deletes a caption the verification found still present
+  async retryCaption(video, caption, stats) {
+    const language = captionLanguage(caption);
+    let outcome = 'backup-failed';
+
+    if (await this.backupCaption(video, caption)) {
+      const { deleted, status, retries, error } = await this.tryDeleteCaption(video.videoId, language, video.title);
+      outcome = deleted ? 'deleted' : 'delete-failed';
+      if (!deleted) this.failures.record({ stage: 'delete', video, language, status, retries, error });
+    }
+    if (outcome === 'deleted') {
+      this.failures.resolve(video.videoId, language);
+      stats.totalCaptionsDeleted++;
+      stats.languageCounts.add('deleted', language);
+      if (this.journal) await this.journal.recordCaptionDeleted(video.videoId, language);
+      this.logger.log(`✅ Deleted leftover caption (${language}) for video ${video.videoId}`);
+    }
+    this.emit('caption', { video, language, outcome, retry: true });
+
+    if (!this.concurrency) await new Promise(resolve => setTimeout(resolve, this.deleteDelay));
+    return outcome === 'deleted';
+  }
+
+  // Returns the run's counts; failures are captions that should have been deleted but
+  // weren't, and videos whose captions could not be listed
+  async deleteAllCaptions() {
+    try {
+      return await this.runDeletion();
+    } finally {
+      await this.journal?.close();
+      await this.forgetChangedVideos();
+    }
+  }
+
+  async runDeletion() {
+    this.logger.log(this.dryRun ? "🧪 Starting caption deletion DRY RUN (nothing will be deleted)..." : "🚀 Starting caption deletion process...");
+    
+    await this.prepareRun();
+    
+    // Step 1: Authenticate
+    await this.authenticate();
+    
+    if (this.interlock.active && !this.dryRun) {
+      await this.previewAndConfirm({ pause: () => this.smartDelay(this.videoDelay) });
+    }
+    
+    // Step 2: Process each video sequentially as the listing streams in
+    let videoCount = 0;
+    let videosWithCaptions = 0;
+    let plannedMissing = 0;
+    let videosResumed = 0;
+    // Videos the run deleted from or could not list, verified at the end
+    const videosToVerify = new Map();
+    const failedVideos = [];
+    const stats = {
+      totalCaptionsDeleted: 0,
+      listFailures: 0,
+      backupFailures: 0,
+      deleteFailures: 0,
+      languageCounts: new LanguageCounts(),
+      plan: this.createPlan()
+    };
+    
+    if (this.concurrency) {
+      this.logger.log(`🎛️  Adaptive mode: starting at concurrency ${this.concurrency.limit} (ceiling ${this.concurrency.max})`);
+    }
+    
+    for await (const video of this.getVideosToProcess()) {
+      const i = videoCount++;
+      const progress = this.listing.progress(i);
+      
+      if (this.journal && this.journal.isVideoDone(video.videoId)) {
+        videosResumed++;
+        this.logger.log(`${progress} ⏭️  Already done in a previous run: ${video.videoId}`);
+        this.emit('video', { index: i, total: this.listing.expected, video, captions: 0, failed: false, resumed: true });
+        continue;
+      }
+      
+      this.logger.log(`${progress} 🔍 Checking captions for video: ${video.videoId} (${video.title})`);
+      
+      // Get captions for this video. A video that cannot be listed is not checkpointed,
+      // so the verification and --resume look at it again.
+      let captions;
+      try {
+        captions = await this.listCaptions(video.videoId);
+      } catch (error) {
+        this.logger.error(`${progress} ❌ Failed to fetch captions for video ${video.videoId}:`, error.message);
+        stats.listFailures++;
+        this.recordListFailure(video, error);
+        this.queueVerification(videosToVerify, video);
+        failedVideos.push(video.videoId);
+        this.emit('video', { index: i, total: this.listing.expected, video, captions: 0, failed: true, resumed: false });
+        await this.smartDelay(this.videoDelay);
+        continue;
+      }
+      
+      if (this.reviewedPlan) {
+        const currentLanguages = captions.map(captionLanguage);
+        const missing = video.languages.filter(language =>
+          !currentLanguages.includes(language) && !(this.journal && this.journal.isCaptionDeleted(video.videoId, language))
+        );
+        if (missing.length > 0) {
+          plannedMissing += missing.length;
+          this.logger.log(`${progress} ⚠️  Planned caption(s) no longer present: ${missing.join(', ')}`);
+        }
+      }
+      
+      // Only checkpoint the video once every caption it should lose is gone
+      let videoFailed = false;
+      
+      if (captions.length === 0) {
+        this.logger.log(`${progress} ✅ No captions found for video ${video.videoId}`);
+      } else {
+        this.logger.log(`${progress} 📝 Found ${captions.length} caption(s) for video ${video.videoId}`);
+        videosWithCaptions++;
+        
+        if (this.concurrency) {
+          // Adaptive mode: start every caption at once and let the controller bound the requests
+          const outcomes = await Promise.all(captions.map(caption => this.processCaption(video, caption, progress, stats)));
+          if (outcomes.includes('backup-failed') || outcomes.includes('delete-failed')) videoFailed = true;
+        } else {
+          // Delete each caption one by one to avoid rate limits
+          for (const caption of captions) {
+            const outcome = await this.processCaption(video, caption, progress, stats);
+            if (outcome === 'backup-failed' || outcome === 'delete-failed') videoFailed = true;
+            if (outcome !== 'deleted' && outcome !== 'delete-failed') continue;
+            
+            // Buffer between caption deletions to avoid rate limits
+            this.logger.log(`${progress} ⏳ Waiting ${this.deleteDelay / 1000} seconds before next deletion...`);
+            await new Promise(resolve => setTimeout(resolve, this.deleteDelay));
+          }
+        }
+        
+        if (!this.dryRun) {
+          this.logger.log(`${progress} 🎯 Completed video: deleted captions for ${video.videoId}`);
+        }
+        if (captions.some(caption => this.shouldDelete(video, caption))) this.queueVerification(videosToVerify, video);
+      }
+      
+      if (videoFailed) {
+        failedVideos.push(video.videoId);
+      } else if (this.journal) {
+        await this.journal.recordVideoDone(video.videoId);
+      }
+      this.emit('video', { index: i, total: this.listing.expected, video, captions: captions.length, failed: videoFailed, resumed: false });
+      
+      // Smart delay between videos; videos still go one at a time in adaptive mode, so it keeps it
+      await this.smartDelay(this.videoDelay);
+    }
+    
+    if (this.dryRun) {
+      // A run of the plan is previewed like this one, so the estimate counts the preview too
+      stats.plan.print(this.logger, { verify: this.verify, preview: this.interlock.active });
+      if (this.planOut) {
+        await stats.plan.save(this.planOut);
+        this.logger.log(`\n💾 Plan saved to ${this.planOut}. Run it with: apivideo-captions delete --plan ${this.planOut}`);
+      }
+      const result = { ...this.result(videoCount, videosWithCaptions, stats), plan: stats.plan };
+      this.emit('done', result);
+      return result;
+    }
+    
+    const verification = this.verify ? await this.verifyDeletions([...videosToVerify.values()], failedVideos, {
+      deleteCaption: (video, caption) => this.retryCaption(video, caption, stats),
+      concurrency: this.concurrency ? this.concurrency.max : 1,
+      pause: this.concurrency ? null : () => this.smartDelay(this.videoDelay)
+    }) : null;
+    
+    if (this.journal) {
+      await this.journal.finish();
+    }
+    if (this.failuresFile) {
+      await this.failures.save(this.failuresFile);
+    }
+    
+    this.logger.log("\n🎉 Caption deletion process completed!");
+    this.logger.log(`📊 Summary:`);
+    this.logger.log(`   • Total videos processed: ${videoCount}`);
+    if (this.resume) {
+      this.logger.log(`   • Videos skipped (done in a previous run): ${videosResumed}`);
+    }
+    this.logger.log(`   • Videos with captions: ${videosWithCaptions}`);
+    this.logger.log(`   • Total captions deleted: ${stats.totalCaptionsDeleted}`);
+    this.logger.log(`   • Deleted by language: ${stats.languageCounts.format('deleted')}`);
+    this.logger.log(`   • Total captions kept: ${stats.languageCounts.total('kept')}`);
+    this.logger.log(`   • Kept by language: ${stats.languageCounts.format('kept')}`);
+    this.logger.log(`   • Videos whose captions could not be listed: ${stats.listFailures}`);
+    this.logger.log(`   • Captions skipped (backup failed): ${stats.backupFailures}`);
+    this.logger.log(`   • Captions that failed to delete: ${stats.deleteFailures}`);
+    this.logger.log(`   • Failures by class: ${FailureLog.format(this.failures.classCounts)}`);
+    this.logger.log(`   • Failures left: ${this.failures.size}${this.failuresFile && this.failures.size > 0 ? `, details in ${this.failuresFile}` : ''}`);
+    if (this.reviewedPlan) {
+      this.logger.log(`   • Planned captions no longer present: ${plannedMissing}`);
+    }
+    this.logger.log(`   • Backup archive: ${this.backup.archiveDir}`);
+    if (verification) this.verifier.printSummary(verification);
+    
+    const result = { ...this.result(videoCount, videosWithCaptions, stats), videosResumed, plannedMissing, verification };
+    this.emit('done', result);
+    return result;
+  }
+
+  result(videoCount, videosWithCaptions, stats) {
+    return {
+      dryRun: this.dryRun,
+      videos: videoCount,
+      videosWithCaptions,
+      captionsDeleted: stats.totalCaptionsDeleted,
+      captionsKept: stats.languageCounts.total('kept'),
+      deletedByLanguage: { ...stats.languageCounts.deleted },
+      keptByLanguage: { ...stats.languageCounts.kept },
+      listFailures: stats.listFailures,
+      backupFailures: stats.backupFailures,
+      deleteFailures: stats.deleteFailures,
+      failures: stats.listFailures + stats.backupFailures + stats.deleteFailures,
+      failuresByClass: { ...this.failures.classCounts },
+      failuresRemaining: this.failures.size
+    };
+  }
+}
+
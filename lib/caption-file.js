@@ -0,0 +1,143 @@
+// Caption file handling shared by the uploader and the checker: WebVTT parsing and
+// validation, and SRT to WebVTT conversion. Times are in milliseconds.
+
+export const CAPTION_EXTENSIONS = ['.vtt', '.srt'];
+
+const VTT_TIME = /^(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})$/;
+const SRT_TIMING = /^\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})/;
+
+function normalize(text) {
+  return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+export function parseVttTime(value) {
+  const match = value.match(VTT_TIME);
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds, millis] = match;
+  if (Number(minutes) > 59 || Number(seconds) > 59) return null;
+  return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + Number(millis);
+}
+
+export function formatVttTime(ms) {
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor(ms / 60000) % 60;
+  const seconds = Math.floor(ms / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(ms % 1000, 3)}`;
+}
+
+// Splits text into blank-line separated blocks, remembering the line each one starts on
+function blocks(text) {
+  const result = [];
+  let current = null;
+
+  normalize(text).split('\n').forEach((line, index) => {
+    if (line.trim() === '') {
+      current = null;
+    } else {
+      if (!current) {
+        current = { line: index + 1, lines: [] };
+        result.push(current);
+      }
+      current.lines.push(line);
+    }
+  });
+
+  return result;
+}
+
+// Reads a WebVTT document as far as it can: { cues, errors }. Cues are
+// [{ id, start, end, text, line }], where line is the cue's timing line; errors are
+// [{ rule, line, message }] for a bad header ('header') or unusable cue timings ('timing').
+export function readVtt(text) {
+  const all = blocks(text);
+  const cues = [];
+  const errors = [];
+
+  const [header] = all;
+  const hasHeader = Boolean(header) && /^WEBVTT(?:[ \t].*)?$/.test(header.lines[0]);
+  if (!hasHeader) {
+    errors.push({ rule: 'header', line: 1, message: 'a WebVTT file must start with "WEBVTT"' });
+  } else {
+    const index = header.lines.findIndex(line => line.includes('-->'));
+    if (index > 0) {
+      errors.push({ rule: 'header', line: header.line + index, message: 'the WEBVTT header must be followed by a blank line' });
+    }
+  }
+
+  for (const block of hasHeader ? all.slice(1) : all) {
+    if (/^(?:NOTE|STYLE|REGION)(?:[ \t]|$)/.test(block.lines[0])) continue;
+
+    const timingIndex = block.lines[0].includes('-->') ? 0 : 1;
+    const timing = block.lines[timingIndex];
+    const line = block.line + timingIndex;
+    if (!timing || !timing.includes('-->')) {
+      errors.push({ rule: 'timing', line: block.line, message: 'expected a cue timing line ("00:00:01.000 --> 00:00:02.000")' });
+      continue;
+    }
+
+    const [startText, endAndSettings] = timing.split('-->').map(part => part.trim());
+    const start = parseVttTime(startText);
+    const end = parseVttTime((endAndSettings || '').split(/\s+/)[0]);
+    if (start === null || end === null) {
+      errors.push({ rule: 'timing', line, message: `invalid cue timing "${timing}"` });
+      continue;
+    }
+    if (end <= start) {
+      errors.push({ rule: 'timing', line, message: `cue ends (${formatVttTime(end)}) before it starts (${formatVttTime(start)})` });
+      continue;
+    }
+
+    cues.push({
+      id: timingIndex === 1 ? block.lines[0] : null,
+      start,
+      end,
+      text: block.lines.slice(timingIndex + 1).join('\n'),
+      line
+    });
+  }
+
+  return { cues, errors };
+}
+
+// Parses a WebVTT document into its cues. Throws on the first structural problem.
+export function parseVtt(text) {
+  const { cues, errors } = readVtt(text);
+  if (errors.length > 0) {
+    throw new Error(`Line ${errors[0].line}: ${errors[0].message}`);
+  }
+  return cues;
+}
+
+// Checks that a caption file is something api.video will accept; returns its cues
+export function validateVtt(text) {
+  const cues = parseVtt(text);
+  if (cues.length === 0) {
+    throw new Error('The file has no cues');
+  }
+  return cues;
+}
+
+function srtTime(value) {
+  const [clock, millis] = value.split(/[,.]/);
+  const parts = clock.split(':').map(Number);
+  const [hours, minutes, seconds] = parts.length === 3 ? parts : [0, ...parts];
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000 + Number(millis.padEnd(3, '0'));
+}
+
+// Converts SubRip (.srt) subtitles to WebVTT. Cue numbers are dropped and
+// ASS-style override tags such as {\an8} are removed; VTT would show them as text.
+export function srtToVtt(text) {
+  const cues = blocks(text).map(block => {
+    const timingIndex = /^\d+$/.test(block.lines[0].trim()) ? 1 : 0;
+    const match = (block.lines[timingIndex] || '').match(SRT_TIMING);
+    if (!match) {
+      throw new Error(`Line ${block.line + timingIndex}: expected an SRT timing line ("00:00:01,000 --> 00:00:02,000")`);
+    }
+
+    const payload = block.lines.slice(timingIndex + 1).map(line => line.replace(/\{\\[^}]*\}/g, ''));
+    return `${formatVttTime(srtTime(match[1]))} --> ${formatVttTime(srtTime(match[2]))}\n${payload.join('\n')}`;
+  });
+
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
@@ -0,0 +1,98 @@
+import { formatVttTime, readVtt } from './caption-file.js';
+
+export const LINT_RULES = ['header', 'timing', 'out-of-order', 'overlap', 'empty-cue', 'long-cue', 'long-line'];
+
+// Cue text as a viewer sees it: markup such as <i> or <v Speaker> removed
+export function cueText(cue) {
+  return cue.text.replace(/<[^>]*>/g, '');
+}
+
+// Everything wrong with a WebVTT document: [{ rule, line, start, message }].
+// start is the cue's start time in ms, or null for file-level problems.
+export function lintVtt(text, { maxCueSeconds = 7, maxLineLength = 42 } = {}) {
+  const { cues, errors } = readVtt(text);
+  const issues = errors.map(error => ({ ...error, start: null }));
+  const issue = (rule, cue, message, line = cue.line) => issues.push({ rule, line, start: cue.start, message });
+
+  cues.forEach((cue, index) => {
+    const previous = cues[index - 1];
+    if (previous && cue.start < previous.start) {
+      issue('out-of-order', cue, `starts at ${formatVttTime(cue.start)}, before the previous cue (${formatVttTime(previous.start)})`);
+    } else if (previous && cue.start < previous.end) {
+      issue('overlap', cue, `starts at ${formatVttTime(cue.start)}, before the previous cue ends (${formatVttTime(previous.end)})`);
+    }
+
+    const lines = cueText(cue).split('\n');
+    if (lines.every(line => line.trim() === '')) {
+      issue('empty-cue', cue, 'cue has no text');
+    }
+
+    const seconds = (cue.end - cue.start) / 1000;
+    if (seconds > maxCueSeconds) {
+      issue('long-cue', cue, `cue lasts ${seconds.toFixed(1)}s (limit ${maxCueSeconds}s)`);
+    }
+
+    lines.forEach((line, lineIndex) => {
+      if (line.length > maxLineLength) {
+        issue('long-line', cue, `line is ${line.length} characters (limit ${maxLineLength})`, cue.line + 1 + lineIndex);
+      }
+    });
+  });
+
+  return { cues, issues: issues.sort((a, b) => a.line - b.line) };
+}
+
+// Cues whose text matches the pattern: [{ start, end, line, text, match }]
+export function searchCues(cues, pattern) {
+  const regex = new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+  const hits = [];
+
+  for (const cue of cues) {
+    // Lines are joined so a phrase broken across two lines still matches
+    const text = cueText(cue).replace(/\s*\n\s*/g, ' ');
+    const match = text.match(regex);
+    if (match) hits.push({ start: cue.start, end: cue.end, line: cue.line, text, match: match[0] });
+  }
+
+  return hits;
+}
+
+// Looks inside caption files for the checker: lint problems and/or search hits.
+// A string search is a literal, case-insensitive term; a RegExp is used as given.
+export class CaptionInspector {
+  constructor({ lint = false, maxCueSeconds = 7, maxLineLength = 42, search = null } = {}) {
+    this.lint = lint;
+    this.maxCueSeconds = maxCueSeconds;
+    this.maxLineLength = maxLineLength;
+    this.search = typeof search === 'string'
+      ? new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+      : search;
+  }
+
+  get isActive() {
+    return this.lint || Boolean(this.search);
+  }
+
+  inspect(text) {
+    const { cues, issues } = lintVtt(text, { maxCueSeconds: this.maxCueSeconds, maxLineLength: this.maxLineLength });
+    return {
+      issues: this.lint ? issues : [],
+      hits: this.search ? searchCues(cues, this.search) : []
+    };
+  }
+
+  // What decides a run's findings; a resumed check must use the same settings
+  params() {
+    return {
+      lint: this.lint ? { maxCueSeconds: this.maxCueSeconds, maxLineLength: this.maxLineLength } : null,
+      search: this.search ? String(this.search) : null
+    };
+  }
+
+  describe() {
+    const parts = [];
+    if (this.lint) parts.push(`lint (cues up to ${this.maxCueSeconds}s, lines up to ${this.maxLineLength} characters)`);
+    if (this.search) parts.push(`search for ${this.search}`);
+    return parts.join(' and ');
+  }
+}
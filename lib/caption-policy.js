@@ -0,0 +1,156 @@
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import YAML from 'yaml';
+import { captionLanguage } from './language-filter.js';
+import { VideoFilter } from './video-filter.js';
+
+const RULE_KEYS = ['name', 'match', 'allow', 'forbid', 'require', 'default'];
+const MATCH_KEYS = ['titlePattern', 'tags', 'metadata', 'createdAfter', 'createdBefore', 'updatedAfter', 'updatedBefore', 'videoIds'];
+
+function languageList(value, where) {
+  const list = typeof value === 'string' ? [value] : value;
+  if (!Array.isArray(list) || !list.every(language => typeof language === 'string' && language.trim())) {
+    throw new Error(`${where} must be a language code or a list of them`);
+  }
+  return list.map(language => language.trim().toLowerCase());
+}
+
+// Adds a rule name to the entry for a language, creating it on first use
+function note(map, language, rule, extra = {}) {
+  if (!map.has(language)) map.set(language, { ...extra, rules: [] });
+  if (!map.get(language).rules.includes(rule)) map.get(language).rules.push(rule);
+}
+
+// The caption state a team expects, as a list of rules. Each rule selects videos
+// with "match" (the same fields as the video filter; no match means every video) and
+// may say which languages are allowed, forbidden or required, and which one must be
+// the default. evaluate() works out what has to change for one video to conform.
+export class CaptionPolicy {
+  constructor({ rules }, source = 'policy') {
+    if (!Array.isArray(rules) || rules.length === 0) {
+      throw new Error(`${source} needs a non-empty "rules" list`);
+    }
+    this.source = source;
+    this.rules = rules.map((rule, index) => this.parseRule(rule, index));
+    // Changes whenever the rules do, so saved results can tell they are out of date
+    this.fingerprint = createHash('sha256').update(JSON.stringify(rules)).digest('hex').slice(0, 16);
+  }
+
+  // Reads a policy from a .json, .yaml or .yml file
+  static async load(file) {
+    const text = await readFile(file, 'utf8');
+    const yaml = ['.yaml', '.yml'].includes(path.extname(file).toLowerCase());
+    let data;
+    try {
+      data = yaml ? YAML.parse(text) : JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Could not parse policy ${file}: ${error.message}`);
+    }
+    return new CaptionPolicy(data || {}, file);
+  }
+
+  parseRule(rule, index) {
+    const where = `${this.source} rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new Error(`${where} must be an object`);
+    }
+
+    const unknown = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`${where} has unknown field(s) ${unknown.join(', ')}. Use: ${RULE_KEYS.join(', ')}`);
+    }
+    const unknownMatch = Object.keys(rule.match || {}).filter(key => !MATCH_KEYS.includes(key));
+    if (unknownMatch.length > 0) {
+      throw new Error(`${where} match has unknown field(s) ${unknownMatch.join(', ')}. Use: ${MATCH_KEYS.join(', ')}`);
+    }
+    if (!['allow', 'forbid', 'require', 'default'].some(key => rule[key] !== undefined)) {
+      throw new Error(`${where} needs at least one of allow, forbid, require or default`);
+    }
+    if (rule.default !== undefined && typeof rule.default !== 'string') {
+      throw new Error(`${where} default must be a single language code`);
+    }
+
+    const match = { ...rule.match };
+    if (typeof match.tags === 'string') match.tags = [match.tags];
+    if (match.metadata !== undefined && (typeof match.metadata !== 'object' || Array.isArray(match.metadata))) {
+      throw new Error(`${where} match.metadata must be an object of key: value pairs`);
+    }
+
+    let filter;
+    try {
+      filter = new VideoFilter(match);
+    } catch (error) {
+      throw new Error(`${where} match: ${error.message}`);
+    }
+
+    return {
+      name: rule.name || `rule ${index + 1}`,
+      filter,
+      allow: rule.allow === undefined ? null : languageList(rule.allow, `${where} allow`),
+      forbid: rule.forbid === undefined ? [] : languageList(rule.forbid, `${where} forbid`),
+      require: rule.require === undefined ? [] : languageList(rule.require, `${where} require`),
+      default: rule.default === undefined ? null : rule.default.trim().toLowerCase()
+    };
+  }
+
+  // What one video needs to conform: { changes, problems }.
+  // changes are { action: 'delete' | 'set-default', language, caption, rules };
+  // problems are things apply cannot fix: { type: 'missing' | 'conflict', language, rules, message }.
+  evaluate(video, captions) {
+    const tracks = captions.map(caption => ({ caption, language: captionLanguage(caption), key: String(captionLanguage(caption)).toLowerCase() }));
+    const deletions = new Map();
+    const required = new Map();
+    const defaults = new Map();
+
+    for (const rule of this.rules.filter(candidate => candidate.filter.matches(video))) {
+      for (const track of tracks) {
+        if ((rule.allow && !rule.allow.includes(track.key)) || rule.forbid.includes(track.key)) {
+          note(deletions, track.key, rule.name, { track });
+        }
+      }
+      rule.require.forEach(language => note(required, language, rule.name));
+      if (rule.default) {
+        note(required, rule.default, rule.name);
+        note(defaults, rule.default, rule.name);
+      }
+    }
+
+    const changes = [];
+    const problems = [];
+    const present = new Map(tracks.map(track => [track.key, track]));
+
+    for (const [key, { track, rules }] of deletions) {
+      if (required.has(key)) {
+        const requiring = required.get(key).rules;
+        problems.push({
+          type: 'conflict',
+          language: track.language,
+          rules: [...rules, ...requiring],
+          message: `${rules.join(', ')} would delete ${track.language}, but ${requiring.join(', ')} ${requiring.length === 1 ? 'requires' : 'require'} it`
+        });
+      } else {
+        changes.push({ action: 'delete', language: track.language, caption: track.caption, rules });
+      }
+    }
+
+    for (const [key, { rules }] of required) {
+      if (!present.has(key)) {
+        problems.push({ type: 'missing', language: key, rules, message: `${key} is required but the video has no such caption` });
+      }
+    }
+
+    if (defaults.size > 1) {
+      const wanted = [...defaults].map(([language, { rules }]) => `${language} (${rules.join(', ')})`).join(' vs ');
+      problems.push({ type: 'conflict', language: null, rules: [...defaults.values()].flatMap(entry => entry.rules), message: `rules disagree on the default: ${wanted}` });
+    } else if (defaults.size === 1) {
+      const [[key, { rules }]] = defaults;
+      const track = present.get(key);
+      if (track && !track.caption.default) {
+        changes.push({ action: 'set-default', language: track.language, caption: track.caption, rules });
+      }
+    }
+
+    return { changes, problems };
+  }
+}
@@ -0,0 +1,253 @@
+import { ApiVideoClient } from './api-video-client.js';
+import { CaptionBackup } from './caption-backup.js';
+import { DeletionInterlock, describeTarget } from './deletion-interlock.js';
+import { DeletionPlan } from './deletion-plan.js';
+import { silentLogger } from './logger.js';
+import { VideoFilter } from './video-filter.js';
+
+const SYMBOLS = { delete: '-', 'set-default': '~' };
+
+function describeChange(change) {
+  return change.action === 'delete' ? `delete ${change.language}` : `make ${change.language} the default`;
+}
+
+// Compares the account against a CaptionPolicy and, when applying, makes only the
+// deletions and default-flag changes needed to conform. Deleted captions are backed
+// up first. With confirm, maxDeletions or canary set, the plan doubles as the preview:
+// its deletions must be approved before any change is made (see DeletionInterlock).
+// Emits 'video' with each video's plan, 'change' per applied change and 'done'.
+export class ApiVideoCaptionReconciler extends ApiVideoClient {
+  constructor({
+    apiKey,
+    baseUrl = "https://ws.api.video",
+    policy,
+    backupDir = "caption-backups",
+    videoFilterOptions = {},
+    pageSize = 25,
+    pageDelay = 200,
+    videoDelay = 100,
+    changeDelay = 500,
+    confirm = null,
+    maxDeletions = null,
+    canary = 0,
+    auditLog = null,
+    checkCacheFile = null,
+    logger = silentLogger
+  }) {
+    super({
+      apiKey,
+      baseUrl,
+      videoFilter: new VideoFilter(videoFilterOptions),
+      pageSize,
+      pageDelay,
+      auditLog,
+      checkCacheFile,
+      logger
+    });
+    this.policy = policy;
+    this.backup = new CaptionBackup(backupDir);
+    this.videoDelay = videoDelay;
+    this.changeDelay = changeDelay;
+    this.interlock = new DeletionInterlock({ confirm, maxDeletions, canary, target: describeTarget(baseUrl, apiKey), logger: this.logger });
+  }
+
+  // Works out what every video needs; changes nothing. A video whose captions could
+  // not be listed is reported as unverifiable and left out of the plan.
+  async buildPlan() {
+    this.logger.log(`📜 Planning against policy ${this.policy.source} (${this.policy.rules.length} rules)...`);
+
+    await this.authenticate();
+    const videos = await this.getAllVideos();
+
+    const plans = [];
+    const unverifiable = [];
+    for (let i = 0; i < videos.length; i++) {
+      const video = videos[i];
+      let captions;
+      try {
+        captions = await this.listCaptions(video.videoId);
+      } catch (error) {
+        this.logger.error(`❌ Could not list captions for video ${video.videoId}, leaving it out of the plan:`, error.message);
+        unverifiable.push({ video, error: error.message });
+        this.emit('video', { index: i, total: videos.length, video, changes: [], problems: [], error });
+        await this.smartDelay(this.videoDelay);
+        continue;
+      }
+      const { changes, problems } = this.policy.evaluate(video, captions);
+
+      if (changes.length > 0 || problems.length > 0) {
+        plans.push({ video, changes, problems });
+      }
+      this.emit('video', { index: i, total: videos.length, video, changes, problems });
+
+      await this.smartDelay(this.videoDelay);
+    }
+
+    const plan = { videos: videos.length, plans, unverifiable };
+    this.printPlan(plan);
+    return plan;
+  }
+
+  printPlan({ videos, plans, unverifiable }) {
+    const changes = plans.flatMap(entry => entry.changes);
+    const problems = plans.flatMap(entry => entry.problems);
+
+    if (unverifiable.length > 0) {
+      this.logger.log(`\n⚠️  ${unverifiable.length} video(s) could not be checked against the policy and are not in the plan:`);
+      unverifiable.forEach(({ video, error }) => this.logger.log(`   ${video.videoId} (${video.title}): ${error}`));
+    }
+
+    if (plans.length === 0) {
+      if (unverifiable.length === 0) {
+        this.logger.log(`\n✅ All ${videos} videos conform to the policy. Nothing to do.`);
+      } else {
+        this.logger.log(`\n✅ The other ${videos - unverifiable.length} videos conform to the policy.`);
+      }
+      return;
+    }
+
+    this.logger.log(`\n📜 Policy plan: ${plans.filter(entry => entry.changes.length > 0).length} of ${videos} videos need changes`);
+    for (const { video, changes: videoChanges, problems: videoProblems } of plans) {
+      this.logger.log(`\n   ${video.videoId} (${video.title})`);
+      videoChanges.forEach(change => {
+        this.logger.log(`     ${SYMBOLS[change.action]} ${describeChange(change).padEnd(24)} ← ${change.rules.join(', ')}`);
+      });
+      videoProblems.forEach(problem => {
+        this.logger.log(`     ! ${problem.message}`);
+      });
+    }
+
+    const deletions = changes.filter(change => change.action === 'delete').length;
+    this.logger.log(`\n📊 Plan: ${deletions} deletion(s), ${changes.length - deletions} default change(s), ${problems.length} problem(s) apply cannot fix`);
+    if (problems.length > 0) {
+      this.logger.log("   Missing captions have to be uploaded (see apivideo-captions upload); conflicting rules have to be fixed in the policy.");
+    }
+  }
+
+  // Deletes (after a backup) or re-flags one caption; returns the outcome
+  async applyChange(video, change) {
+    if (change.action === 'set-default') {
+      try {
+        await this.setDefaultCaption(video.videoId, change.language);
+        return 'applied';
+      } catch (error) {
+        this.logger.error(`❌ Failed to make ${change.language} the default for video ${video.videoId}:`, error.message);
+        return 'failed';
+      }
+    }
+
+    // Holds everything after the canary until it has been approved
+    await this.interlock.beforeDeletion();
+    try {
+      await this.backup.save(url => this.fetchWithRetry(url), video, change.caption);
+    } catch (error) {
+      this.logger.error(`❌ Backup failed for ${video.videoId} (${change.language}), not deleting:`, error.message);
+      this.interlock.afterDeletion(false);
+      return 'backup-failed';
+    }
+    const deleted = await this.deleteCaption(video.videoId, change.language, video.title);
+    this.interlock.afterDeletion(deleted);
+    return deleted ? 'applied' : 'failed';
+  }
+
+  // Shows the deletions among the planned changes and throws DeletionAborted unless
+  // they may go ahead. Does nothing without an active interlock or any deletion.
+  async approveDeletions(plans) {
+    if (!this.interlock.active) return;
+
+    const deletions = new DeletionPlan({ baseUrl: this.baseUrl });
+    for (const { video, changes } of plans) {
+      changes.filter(change => change.action === 'delete').forEach(change => deletions.add(video, change.language));
+    }
+    if (deletions.captionCount > 0) await this.interlock.approve(deletions);
+  }
+
+  // Makes one video's changes, deletions before default changes; returns each outcome
+  async applyVideoChanges(video, changes, progress = '') {
+    const ordered = [...changes].sort((a, b) => (a.action === 'delete' ? 0 : 1) - (b.action === 'delete' ? 0 : 1));
+    const outcomes = [];
+
+    for (const change of ordered) {
+      const outcome = await this.applyChange(video, change);
+      outcomes.push(outcome);
+      if (outcome === 'applied') {
+        this.logger.log(`${progress}✅ ${video.videoId}: ${describeChange(change)}`);
+      }
+      this.emit('change', { video, action: change.action, language: change.language, outcome });
+
+      await this.smartDelay(this.changeDelay);
+    }
+
+    return outcomes;
+  }
+
+  // Plans, then makes the planned changes
+  async apply() {
+    try {
+      return await this.applyPlan();
+    } finally {
+      await this.forgetChangedVideos();
+    }
+  }
+
+  async applyPlan() {
+    const plan = await this.buildPlan();
+    const toChange = plan.plans.filter(entry => entry.changes.length > 0);
+    const counts = { applied: 0, failed: 0, 'backup-failed': 0 };
+    await this.approveDeletions(toChange);
+
+    if (toChange.length > 0) {
+      this.logger.log(`\n🛠️  Applying changes to ${toChange.length} videos...`);
+    }
+
+    for (let i = 0; i < toChange.length; i++) {
+      const { video, changes } = toChange[i];
+      const outcomes = await this.applyVideoChanges(video, changes, `[${i + 1}/${toChange.length}] `);
+      outcomes.forEach(outcome => counts[outcome]++);
+    }
+
+    const result = { ...this.result(plan), applied: counts.applied };
+    result.failures += counts.failed + counts['backup-failed'];
+
+    if (toChange.length > 0) {
+      this.logger.log("\n🎉 Policy applied!");
+      this.logger.log(`📊 Summary:`);
+      this.logger.log(`   • Changes applied: ${counts.applied}`);
+      this.logger.log(`   • Skipped (backup failed): ${counts['backup-failed']}`);
+      this.logger.log(`   • Failed: ${counts.failed}`);
+      this.logger.log(`   • Videos that could not be checked: ${result.unverifiable.length}`);
+      this.logger.log(`   • Problems left for you to fix: ${result.problems}`);
+      if (result.deletions > 0) this.logger.log(`   • Backup archive: ${this.backup.archiveDir}`);
+    }
+
+    this.emit('done', result);
+    return result;
+  }
+
+  // Previews the changes and resolves with the counts
+  async plan() {
+    const result = this.result(await this.buildPlan());
+    this.emit('done', result);
+    return result;
+  }
+
+  result({ videos, plans, unverifiable }) {
+    const changes = plans.flatMap(entry => entry.changes);
+    return {
+      videos,
+      videosToChange: plans.filter(entry => entry.changes.length > 0).length,
+      deletions: changes.filter(change => change.action === 'delete').length,
+      defaultChanges: changes.filter(change => change.action === 'set-default').length,
+      problems: plans.reduce((sum, entry) => sum + entry.problems.length, 0),
+      plans: plans.map(({ video, changes: videoChanges, problems }) => ({
+        videoId: video.videoId,
+        title: video.title,
+        changes: videoChanges.map(({ action, language, rules }) => ({ action, language, rules })),
+        problems
+      })),
+      unverifiable: unverifiable.map(({ video, error }) => ({ videoId: video.videoId, title: video.title, error })),
+      // Videos that could not be checked leave even a plan incomplete
+      failures: unverifiable.length
+    };
+  }
+}
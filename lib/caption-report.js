@@ -0,0 +1,162 @@
+import { createWriteStream } from 'node:fs';
+import { once } from 'node:events';
+
+export const REPORT_FORMATS = ['json', 'csv', 'ndjson'];
+
+// One row per caption track, as written to every report format. Inspected tracks
+// also carry their lint issues and search hits (JSON and NDJSON only).
+export function captionRecords(video, captions) {
+  return captions.map(caption => ({
+    videoId: video.videoId,
+    title: video.title,
+    language: caption.srclang || caption.language,
+    default: Boolean(caption.default),
+    url: caption.src || null,
+    ...(caption.issues && { issues: caption.issues, hits: caption.hits })
+  }));
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Flattens nested summary values for CSV, e.g. captionsByLanguage.en
+function summaryMetrics(summary) {
+  const metrics = [];
+  for (const [metric, value] of Object.entries(summary)) {
+    if (value !== null && typeof value === 'object') {
+      Object.entries(value).forEach(([key, nested]) => metrics.push([`${metric}.${key}`, nested]));
+    } else {
+      metrics.push([metric, value]);
+    }
+  }
+  return metrics;
+}
+
+// Machine-readable caption report written to a file, or to stdout with "-".
+// NDJSON lines are written as videos are checked; JSON and CSV are written at the end.
+// A check across several profiles writes one combined report through section():
+// every row then names its profile, and each profile's summary is kept next to
+// the combined one.
+export class CaptionReport {
+  constructor(format, output = '-') {
+    if (!REPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown report format "${format}". Use one of: ${REPORT_FORMATS.join(', ')}`);
+    }
+    this.format = format;
+    this.output = output;
+    this.records = [];
+    this.stream = null;
+    // Summaries by profile name once the report is combined
+    this.profiles = null;
+  }
+
+  get toStdout() {
+    return this.output === '-';
+  }
+
+  describe() {
+    return `${this.format.toUpperCase()} report written to ${this.output}`;
+  }
+
+  // The part of a combined report that one profile's checker writes to
+  section(profile) {
+    this.profiles ??= {};
+    return new ReportSection(this, profile);
+  }
+
+  async finishSection(profile, summary) {
+    this.profiles[profile] = summary;
+    if (this.format === 'ndjson') {
+      await this.write(`${JSON.stringify({ type: 'summary', profile, ...summary })}\n`);
+    }
+  }
+
+  async open() {
+    this.stream = this.toStdout ? process.stdout : createWriteStream(this.output);
+    if (!this.toStdout) await once(this.stream, 'open');
+  }
+
+  async write(text) {
+    if (!this.stream.write(text)) await once(this.stream, 'drain');
+  }
+
+  async addVideo(video, captions, profile = null) {
+    const records = captionRecords(video, captions).map(record => (profile ? { profile, ...record } : record));
+
+    if (this.format === 'ndjson') {
+      for (const record of records) {
+        await this.write(`${JSON.stringify({ type: 'caption', ...record })}\n`);
+      }
+    } else {
+      this.records.push(...records);
+    }
+  }
+
+  async finish(summary) {
+    if (this.format === 'ndjson') {
+      await this.write(`${JSON.stringify({ type: 'summary', ...summary })}\n`);
+    } else if (this.format === 'json') {
+      await this.write(`${JSON.stringify({ summary, ...(this.profiles && { profiles: this.profiles }), captions: this.records }, null, 2)}\n`);
+    } else {
+      await this.writeCsv(summary);
+    }
+
+    if (!this.toStdout) {
+      this.stream.end();
+      await once(this.stream, 'finish');
+    }
+  }
+
+  // Caption rows and summary rows share one table, told apart by the "type" column.
+  // Combined reports add a profile column; the combined summary rows leave it empty.
+  async writeCsv(summary) {
+    const columns = ['type', ...(this.profiles ? ['profile'] : []), 'videoId', 'title', 'language', 'default', 'url', 'metric', 'value'];
+    const writeRow = row => this.write(`${columns.map(column => csvValue(row[column])).join(',')}\n`);
+    await this.write(`${columns.join(',')}\n`);
+
+    for (const record of this.records) {
+      await writeRow({ type: 'caption', ...record });
+    }
+
+    for (const [profile, profileSummary] of Object.entries(this.profiles || {})) {
+      for (const [metric, value] of summaryMetrics(profileSummary)) {
+        await writeRow({ type: 'summary', profile, metric, value });
+      }
+    }
+    for (const [metric, value] of summaryMetrics(summary)) {
+      await writeRow({ type: 'summary', metric, value });
+    }
+  }
+}
+
+// Looks like a report to the checker, but writes into the combined report. The
+// file itself is opened and finished by whoever runs the profiles.
+class ReportSection {
+  constructor(report, profile) {
+    this.report = report;
+    this.profile = profile;
+    this.format = report.format;
+    this.output = report.output;
+  }
+
+  get toStdout() {
+    return this.report.toStdout;
+  }
+
+  describe() {
+    return `Profile ${this.profile} added to the combined ${this.format.toUpperCase()} report`;
+  }
+
+  async open() {}
+
+  addVideo(video, captions) {
+    return this.report.addVideo(video, captions, this.profile);
+  }
+
+  finish(summary) {
+    return this.report.finishSection(this.profile, summary);
+  }
+}
@@ -0,0 +1,181 @@
+import path from 'node:path';
+import { ApiVideoClient } from './api-video-client.js';
+import { CaptionBackup } from './caption-backup.js';
+import { silentLogger } from './logger.js';
+
+// Re-uploads captions from a backup archive written by the deleters. With overwrite,
+// the captions being replaced are backed up to their own archive (backupDir, by
+// default <archiveDir>/replaced) first. Emits 'caption' for every archived caption
+// and 'done' with the result.
+export class ApiVideoCaptionRestorer extends ApiVideoClient {
+  constructor(archiveDir, { apiKey, baseUrl = "https://ws.api.video", overwrite = false, backupDir = null, auditLog = null, checkCacheFile = null, logger = silentLogger } = {}) {
+    super({ apiKey, baseUrl, auditLog, checkCacheFile, logger });
+    this.archive = new CaptionBackup(archiveDir);
+    this.backup = new CaptionBackup(backupDir || path.join(archiveDir, 'replaced'));
+    this.overwrite = overwrite;
+    // One archive for both would replace the files being restored with the captions they replace
+    if (this.backup.archiveDir === this.archive.archiveDir) {
+      throw new Error(`Captions replaced by an overwrite need a backup directory other than the archive being restored (${this.archive.archiveDir})`);
+    }
+  }
+
+  // Uploads one archived caption. When overwriting, the existing track is backed up
+  // and deleted first; it is left alone if the backup fails.
+  async restoreCaption(entry, existing, progress) {
+    const { videoId, srclang: language } = entry;
+    const replaced = existing.get(language);
+
+    if (replaced && !this.overwrite) {
+      this.logger.log(`${progress} ⚠️  Conflict: video ${videoId} already has a (${language}) caption, skipping`);
+      return 'conflict';
+    }
+
+    let content;
+    try {
+      // Read before anything is deleted, so a missing archive file costs nothing
+      content = await this.archive.readCaptionFile(entry);
+    } catch (error) {
+      this.logger.error(`❌ Could not read the archived caption (${language}) for video ${videoId}:`, error.message);
+      return 'failed';
+    }
+
+    let backup = null;
+    if (replaced) {
+      try {
+        backup = await this.backup.save(url => this.fetchWithRetry(url), { videoId, title: entry.title }, replaced);
+      } catch (error) {
+        this.logger.error(`❌ Backup failed for ${videoId} (${language}), not overwriting it:`, error.message);
+        return 'failed';
+      }
+      this.logger.log(`${progress} ♻️  Overwriting existing caption (${language}) for video ${videoId}, backed up to ${backup.file}...`);
+      if (!(await this.deleteCaption(videoId, language, entry.title))) {
+        return 'failed';
+      }
+    }
+
+    try {
+      await this.uploadCaption(videoId, language, content);
+
+      if (entry.default) {
+        await this.setDefaultCaption(videoId, language);
+      }
+
+      this.logger.log(`${progress} ✅ Restored caption (${language})${entry.default ? ' as default' : ''} for video ${videoId}`);
+      return replaced ? 'overwritten' : 'restored';
+    } catch (error) {
+      this.logger.error(`❌ Failed to restore caption (${language}) for video ${videoId}:`, error.message);
+      if (backup) this.logger.error(`   The caption it replaced is backed up in ${this.backup.archiveDir}`);
+      return 'failed';
+    }
+  }
+
+  // Returns the run's counts; failures are captions that could not be restored
+  async restoreAllCaptions() {
+    try {
+      return await this.runRestore();
+    } finally {
+      await this.forgetChangedVideos();
+    }
+  }
+
+  async runRestore() {
+    this.logger.log(`♻️  Starting caption restore from ${this.archive.archiveDir}...`);
+    if (this.overwrite) {
+      this.logger.log("⚠️  Overwrite mode: existing captions in the same language will be replaced");
+    }
+
+    // Step 1: Read the archive manifest
+    const manifest = await this.archive.loadManifest();
+    const videoIds = Object.keys(manifest.videos);
+
+    if (videoIds.length === 0) {
+      this.logger.log("📭 The archive is empty. Nothing to restore.");
+      const result = { videos: 0, restored: 0, overwritten: 0, conflicts: 0, failures: 0, missingVideos: [] };
+      this.emit('done', result);
+      return result;
+    }
+
+    // Step 2: Authenticate
+    await this.authenticate();
+
+    // Step 3: Re-upload each video's captions
+    const counts = { restored: 0, overwritten: 0, conflict: 0, failed: 0 };
+    const missingVideos = [];
+    const conflicts = [];
+
+    for (let i = 0; i < videoIds.length; i++) {
+      const videoId = videoIds[i];
+      // The most recent backup of each track; the earlier ones stay in the archive
+      const entries = Object.values(CaptionBackup.latest(manifest.videos[videoId]));
+      const progress = `[${i + 1}/${videoIds.length}]`;
+
+      this.logger.log(`${progress} 🔍 Restoring ${entries.length} caption(s) for video: ${videoId} (${entries[0].title})`);
+
+      let video;
+      try {
+        video = await this.getVideo(videoId);
+      } catch (error) {
+        this.logger.error(`❌ ${error.message}`);
+        counts.failed += entries.length;
+        entries.forEach(entry => this.emit('caption', { videoId, language: entry.srclang, outcome: 'failed' }));
+        continue;
+      }
+
+      if (!video) {
+        this.logger.log(`${progress} ⏭️  Video ${videoId} no longer exists, skipping`);
+        missingVideos.push(videoId);
+        entries.forEach(entry => this.emit('caption', { videoId, language: entry.srclang, outcome: 'missing-video' }));
+        continue;
+      }
+
+      // Without the current tracks, conflicts and overwrites can't be told apart from missing languages
+      let captions;
+      try {
+        captions = await this.listCaptions(videoId);
+      } catch (error) {
+        this.logger.error(`❌ Could not list captions for video ${videoId}, skipping:`, error.message);
+        counts.failed += entries.length;
+        entries.forEach(entry => this.emit('caption', { videoId, language: entry.srclang, outcome: 'failed' }));
+        continue;
+      }
+      const existing = new Map(captions.map(caption => [caption.srclang || caption.language, caption]));
+
+      for (const entry of entries) {
+        const result = await this.restoreCaption(entry, existing, progress);
+        counts[result]++;
+        if (result === 'conflict') conflicts.push(entry);
+        this.emit('caption', { videoId, language: entry.srclang, outcome: result });
+
+        await this.smartDelay(200);
+      }
+    }
+
+    this.logger.log("\n🎉 Caption restore process completed!");
+    this.logger.log(`📊 Summary:`);
+    this.logger.log(`   • Videos in archive: ${videoIds.length}`);
+    this.logger.log(`   • Captions restored: ${counts.restored}`);
+    this.logger.log(`   • Captions overwritten: ${counts.overwritten}`);
+    this.logger.log(`   • Conflicts skipped: ${counts.conflict}`);
+    this.logger.log(`   • Failed: ${counts.failed}`);
+    this.logger.log(`   • Videos that no longer exist: ${missingVideos.length}`);
+
+    if (conflicts.length > 0) {
+      this.logger.log("\n📋 Captions not restored because the language already exists (use --overwrite to replace):");
+      conflicts.forEach((entry, index) => {
+        this.logger.log(`   ${index + 1}. ${entry.videoId} (${entry.title}) └── ${entry.srclang}`);
+      });
+    }
+    
+    const result = {
+      videos: videoIds.length,
+      restored: counts.restored,
+      overwritten: counts.overwritten,
+      conflicts: counts.conflict,
+      failures: counts.failed,
+      missingVideos
+    };
+    this.emit('done', result);
+    return result;
+  }
+}
+
@@ -0,0 +1,364 @@
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { ApiVideoClient } from './api-video-client.js';
+import { CaptionBackup } from './caption-backup.js';
+import { CAPTION_EXTENSIONS, srtToVtt, validateVtt } from './caption-file.js';
+import { silentLogger } from './logger.js';
+
+const LANGUAGE = /^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/i;
+const CAPTION_FILE = /^(.+)\.([A-Za-z]{2,3}(?:-[A-Za-z0-9]{2,8})*)\.(vtt|srt)$/i;
+
+// Minimal RFC 4180 reader: quoted fields may hold commas, quotes ("") and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Uploads caption files from a local directory. Files are named <videoId>.<language>.vtt
+// (or .srt, converted to WebVTT), or laid out as <videoId>/<language>.vtt. A title map CSV (title,file[,language]) matches files to videos by title instead.
+// With overwrite, a caption being replaced is backed up to backupDir first, the way the
+// deleters do it. Emits 'caption' for every file and 'done' with the result.
+export class ApiVideoCaptionUploader extends ApiVideoClient {
+  constructor(sourceDir, {
+    apiKey,
+    baseUrl = "https://ws.api.video",
+    mapFile = null,
+    setDefault = false,
+    overwrite = false,
+    backupDir = "caption-backups",
+    dryRun = false,
+    uploadDelay = 200,
+    auditLog = null,
+    checkCacheFile = null,
+    logger = silentLogger
+  } = {}) {
+    super({ apiKey, baseUrl, auditLog, checkCacheFile, logger });
+    this.sourceDir = path.resolve(sourceDir);
+    this.backup = new CaptionBackup(backupDir);
+    // Backing up into the directory being uploaded would overwrite the files with the captions they replace
+    if (overwrite && this.backup.archiveDir === this.sourceDir) {
+      throw new Error(`Captions replaced by an overwrite cannot be backed up into ${this.sourceDir}, the directory being uploaded; choose another backup directory`);
+    }
+    this.mapFile = mapFile;
+    this.setDefault = setDefault;
+    this.overwrite = overwrite;
+    this.dryRun = dryRun;
+    this.uploadDelay = uploadDelay;
+  }
+
+  // Caption files named after their video: [{ file, videoId, language }]
+  async scanDirectory() {
+    const files = [];
+    const skipped = [];
+
+    for (const entry of await readdir(this.sourceDir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        for (const name of (await readdir(path.join(this.sourceDir, entry.name))).sort()) {
+          const extension = path.extname(name).toLowerCase();
+          if (!CAPTION_EXTENSIONS.includes(extension)) continue;
+
+          const language = path.basename(name, path.extname(name));
+          const file = path.join(entry.name, name);
+          if (LANGUAGE.test(language)) files.push({ file, videoId: entry.name, language });
+          else skipped.push(file);
+        }
+      } else if (CAPTION_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        const match = entry.name.match(CAPTION_FILE);
+        if (match) files.push({ file: entry.name, videoId: match[1], language: match[2] });
+        else skipped.push(entry.name);
+      }
+    }
+
+    skipped.forEach(file => this.logger.log(`⚠️  Skipping ${file}: expected <videoId>.<language>.vtt|srt or <videoId>/<language>.vtt|srt`));
+    return files.sort((a, b) => a.file.localeCompare(b.file));
+  }
+
+  // Caption files listed in the title map, matched to videos by exact title
+  async readTitleMap() {
+    const [header, ...rows] = parseCsv(await readFile(this.mapFile, 'utf8'));
+    const columns = (header || []).map(column => column.trim().toLowerCase());
+    if (!columns.includes('title') || !columns.includes('file')) {
+      throw new Error(`${this.mapFile} needs a header row with "title" and "file" columns`);
+    }
+
+    const videosByTitle = new Map();
+    for (const video of await this.getAllVideos()) {
+      if (!videosByTitle.has(video.title)) videosByTitle.set(video.title, []);
+      videosByTitle.get(video.title).push(video);
+    }
+
+    const files = [];
+    const unmatched = [];
+
+    for (const row of rows) {
+      const cell = name => (row[columns.indexOf(name)] || '').trim();
+      const title = cell('title');
+      const file = cell('file');
+      const fileMatch = path.basename(file).match(CAPTION_FILE);
+      const language = cell('language') || (fileMatch ? fileMatch[2] : '');
+      const videos = videosByTitle.get(title) || [];
+
+      if (!LANGUAGE.test(language)) {
+        unmatched.push({ file, title, reason: 'no language: add a language column or name the file <name>.<language>.vtt' });
+      } else if (videos.length !== 1) {
+        unmatched.push({ file, title, reason: videos.length === 0 ? 'no video has this title' : `${videos.length} videos have this title` });
+      } else {
+        files.push({ file, videoId: videos[0].videoId, title, language });
+      }
+    }
+
+    unmatched.forEach(({ file, title, reason }) => this.logger.log(`⚠️  Skipping ${file} ("${title}"): ${reason}`));
+    return { files, unmatched };
+  }
+
+  // Reads a caption file as WebVTT, converting SRT; throws if it isn't valid
+  async loadCaption({ file }) {
+    const text = await readFile(path.resolve(this.sourceDir, file), 'utf8');
+    const converted = path.extname(file).toLowerCase() === '.srt';
+    const content = converted ? srtToVtt(text) : text;
+    const cues = validateVtt(content);
+    return { content, converted, cues: cues.length };
+  }
+
+  // Uploads one file. When overwriting, the existing track is backed up and deleted
+  // first (a video has one track per language); it is left alone if the backup fails.
+  async uploadFile(entry, content, existing, progress) {
+    const { videoId, language, file } = entry;
+    const video = { videoId, title: entry.title ?? null };
+    const replaced = existing.get(language);
+    let backup = null;
+
+    if (replaced) {
+      if (!this.overwrite) {
+        this.logger.log(`${progress} ⚠️  Conflict: video ${videoId} already has a (${language}) caption, skipping ${file}`);
+        return 'conflict';
+      }
+
+      try {
+        backup = await this.backup.save(url => this.fetchWithRetry(url), video, replaced);
+      } catch (error) {
+        this.logger.error(`❌ Backup failed for ${videoId} (${language}), not overwriting it with ${file}:`, error.message);
+        return 'failed';
+      }
+      this.logger.log(`${progress} ♻️  Overwriting existing caption (${language}) for video ${videoId}, backed up to ${backup.file}...`);
+      if (!(await this.deleteCaption(videoId, language, video.title))) {
+        return 'failed';
+      }
+      existing.delete(language);
+    }
+
+    try {
+      // Kept up to date, so the video's later files see the track this one made
+      existing.set(language, await this.uploadCaption(videoId, language, content));
+
+      if (this.setDefault) {
+        await this.setDefaultCaption(videoId, language);
+      }
+
+      this.logger.log(`${progress} ✅ Uploaded ${file} as caption (${language})${this.setDefault ? ' and made it the default' : ''} for video ${videoId}`);
+      return replaced ? 'overwritten' : 'uploaded';
+    } catch (error) {
+      this.logger.error(`❌ Failed to upload ${file} (${language}) for video ${videoId}:`, error.message);
+      if (backup) this.logger.error(`   The caption it replaced is backed up in ${this.backup.archiveDir}; bring it back with: apivideo-captions restore ${this.backup.archiveDir}`);
+      return 'failed';
+    }
+  }
+
+  // Returns the run's counts; failures are invalid files and uploads that did not go through
+  async uploadAllCaptions() {
+    try {
+      return await this.runUpload();
+    } finally {
+      await this.forgetChangedVideos();
+    }
+  }
+
+  async runUpload() {
+    this.logger.log(this.dryRun
+      ? `🧪 DRY RUN: validating captions in ${this.sourceDir} (nothing will be uploaded)`
+      : `⬆️  Starting caption upload from ${this.sourceDir}...`);
+    if (this.overwrite) {
+      this.logger.log("⚠️  Overwrite mode: existing captions in the same language will be replaced");
+    }
+
+    // Step 1: Work out which file goes to which video
+    let files;
+    let unmatched = [];
+    if (this.mapFile) {
+      await this.authenticate();
+      ({ files, unmatched } = await this.readTitleMap());
+    } else {
+      files = await this.scanDirectory();
+    }
+
+    // Step 2: Validate every file before anything is uploaded
+    const counts = { uploaded: 0, overwritten: 0, conflict: 0, failed: 0, invalid: 0, planned: 0, converted: 0 };
+    const invalid = [];
+    const byVideo = new Map();
+    // A video has one track per language, so files that target the same one would
+    // replace each other; none of them is uploaded
+    const byTrack = new Map();
+    for (const entry of files) {
+      const track = `${entry.videoId}/${entry.language.toLowerCase()}`;
+      byTrack.set(track, [...(byTrack.get(track) || []), entry]);
+    }
+
+    const reject = (entry, error) => {
+      counts.invalid++;
+      invalid.push({ file: entry.file, error });
+      this.emit('caption', { videoId: entry.videoId, language: entry.language, file: entry.file, outcome: 'invalid' });
+    };
+
+    for (const entry of files) {
+      const others = byTrack.get(`${entry.videoId}/${entry.language.toLowerCase()}`).filter(other => other !== entry);
+      if (others.length > 0) {
+        const error = `same video and language (${entry.language}) as ${others.map(other => other.file).join(', ')}; keep one of them`;
+        this.logger.error(`❌ ${entry.file} is not uploaded: ${error}`);
+        reject(entry, error);
+        continue;
+      }
+
+      try {
+        const caption = await this.loadCaption(entry);
+        if (caption.converted) counts.converted++;
+        if (!byVideo.has(entry.videoId)) byVideo.set(entry.videoId, []);
+        byVideo.get(entry.videoId).push({ ...entry, ...caption });
+      } catch (error) {
+        this.logger.error(`❌ ${entry.file} is not a valid caption file: ${error.message}`);
+        reject(entry, error.message);
+      }
+    }
+
+    this.logger.log(`📂 ${files.length} caption files found, ${files.length - counts.invalid} valid${counts.converted ? ` (${counts.converted} converted from SRT)` : ''}`);
+
+    // Step 3: Upload each video's captions
+    const missingVideos = [];
+    const videoIds = [...byVideo.keys()];
+    if (!this.dryRun && !this.mapFile && videoIds.length > 0) await this.authenticate();
+
+    for (let i = 0; i < videoIds.length; i++) {
+      const videoId = videoIds[i];
+      const entries = byVideo.get(videoId);
+      const progress = `[${i + 1}/${videoIds.length}]`;
+
+      if (this.dryRun) {
+        entries.forEach(entry => {
+          this.logger.log(`${progress} 📝 Would upload ${entry.file} (${entry.cues} cues) as caption (${entry.language}) for video ${videoId}`);
+          counts.planned++;
+          this.emit('caption', { videoId, language: entry.language, file: entry.file, outcome: 'planned' });
+        });
+        continue;
+      }
+
+      let video;
+      try {
+        video = await this.getVideo(videoId);
+      } catch (error) {
+        this.logger.error(`❌ ${error.message}`);
+        counts.failed += entries.length;
+        entries.forEach(entry => this.emit('caption', { videoId, language: entry.language, file: entry.file, outcome: 'failed' }));
+        continue;
+      }
+
+      if (!video) {
+        this.logger.log(`${progress} ⏭️  Video ${videoId} does not exist, skipping ${entries.length} file(s)`);
+        missingVideos.push(videoId);
+        entries.forEach(entry => this.emit('caption', { videoId, language: entry.language, file: entry.file, outcome: 'missing-video' }));
+        continue;
+      }
+
+      this.logger.log(`${progress} 🔍 Uploading ${entries.length} caption(s) for video: ${videoId} (${video.title})`);
+      // Without the current tracks, conflicts and overwrites can't be told apart from new languages
+      let captions;
+      try {
+        captions = await this.listCaptions(videoId);
+      } catch (error) {
+        this.logger.error(`❌ Could not list captions for video ${videoId}, skipping ${entries.length} file(s):`, error.message);
+        counts.failed += entries.length;
+        entries.forEach(entry => this.emit('caption', { videoId, language: entry.language, file: entry.file, outcome: 'failed' }));
+        continue;
+      }
+      const existing = new Map(captions.map(caption => [caption.srclang || caption.language, caption]));
+
+      for (const entry of entries) {
+        const result = await this.uploadFile({ title: video.title, ...entry }, entry.content, existing, progress);
+        counts[result]++;
+        this.emit('caption', { videoId, language: entry.language, file: entry.file, outcome: result });
+
+        await this.smartDelay(this.uploadDelay);
+      }
+    }
+
+    this.logger.log(this.dryRun ? "\n🧪 Dry run completed!" : "\n🎉 Caption upload process completed!");
+    this.logger.log(`📊 Summary:`);
+    this.logger.log(`   • Caption files: ${files.length}`);
+    this.logger.log(`   • Converted from SRT: ${counts.converted}`);
+    this.logger.log(`   • Invalid files: ${counts.invalid}`);
+    if (this.mapFile) this.logger.log(`   • Map rows without a video: ${unmatched.length}`);
+    if (this.dryRun) {
+      this.logger.log(`   • Would upload: ${counts.planned}`);
+    } else {
+      this.logger.log(`   • Captions uploaded: ${counts.uploaded}`);
+      this.logger.log(`   • Captions overwritten: ${counts.overwritten}`);
+      this.logger.log(`   • Conflicts skipped: ${counts.conflict}`);
+      this.logger.log(`   • Failed: ${counts.failed}`);
+      this.logger.log(`   • Videos that do not exist: ${missingVideos.length}`);
+    }
+
+    if (invalid.length > 0) {
+      this.logger.log("\n📋 Files not uploaded because they are not valid captions or share a track:");
+      invalid.forEach(({ file, error }, index) => this.logger.log(`   ${index + 1}. ${file} └── ${error}`));
+    }
+
+    const result = {
+      dryRun: this.dryRun,
+      files: files.length,
+      converted: counts.converted,
+      planned: counts.planned,
+      uploaded: counts.uploaded,
+      overwritten: counts.overwritten,
+      conflicts: counts.conflict,
+      invalid: counts.invalid,
+      failures: counts.failed + counts.invalid,
+      missingVideos,
+      unmatched
+    };
+    this.emit('done', result);
+    return result;
+  }
+}
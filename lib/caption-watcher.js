@@ -0,0 +1,331 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+import { ApiVideoCaptionReconciler } from './caption-reconciler.js';
+
+const STATE_VERSION = 1;
+const CAPTION_EVENT = 'video.caption.generated';
+const MAX_WEBHOOK_BYTES = 1024 * 1024;
+// Sweeps write the state every this many videos so a crash loses little work
+const SAVE_EVERY = 50;
+
+// Keeps the account in line with a CaptionPolicy for as long as it runs. Every
+// interval it sweeps the account but only inspects videos whose updatedAt changed
+// since they were last enforced; those values live in a state file, so a restart
+// carries on where the previous process stopped. With a port it also accepts
+// api.video webhooks and enforces the policy on a video as soon as its
+// video.caption.generated event arrives. Sweeps and webhook work run one at a time.
+// Nobody is there to confirm a sweep or approve a canary, so the only check on what
+// it deletes is maxDeletions: a sweep, or a webhook's video, that would delete more
+// changes nothing and is tried again later.
+export class ApiVideoCaptionWatcher extends ApiVideoCaptionReconciler {
+  constructor({
+    stateFile = "journals/watch-state.json",
+    intervalMinutes = 15,
+    port = null,
+    host = "127.0.0.1",
+    webhookSecret = null,
+    ...options
+  }) {
+    if (options.confirm || options.canary > 0) {
+      throw new Error("A watcher runs unattended; limit its deletions with maxDeletions instead of confirm or canary");
+    }
+    super(options);
+    this.stateFile = path.resolve(stateFile);
+    this.intervalMinutes = intervalMinutes;
+    this.port = port;
+    this.host = host;
+    this.webhookSecret = webhookSecret;
+    this.state = null;
+    this.server = null;
+    this.timer = null;
+    this.running = false;
+    this.stopping = false;
+    this.queue = Promise.resolve();
+    this.totals = { sweeps: 0, inspected: 0, applied: 0, failures: 0, problems: 0, webhooks: 0 };
+  }
+
+  // Loads the state file; state written for a different policy is discarded
+  async loadState() {
+    let saved = null;
+    try {
+      saved = JSON.parse(await readFile(this.stateFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw new Error(`Could not read watch state ${this.stateFile}: ${error.message}`);
+    }
+
+    if (saved && saved.version === STATE_VERSION && saved.policy === this.policy.fingerprint) {
+      this.state = saved;
+      this.logger.log(`📂 Loaded watch state: ${Object.keys(saved.videos).length} videos known, last sweep ${saved.lastSweepAt || 'never finished'}`);
+    } else {
+      if (saved) this.logger.log("📜 The policy changed since the state was saved; every video will be inspected again.");
+      this.state = { version: STATE_VERSION, policy: this.policy.fingerprint, lastSweepAt: null, videos: {} };
+    }
+    return this.state;
+  }
+
+  async saveState() {
+    this.state.savedAt = new Date().toISOString();
+    // Temp file and rename, so a crash never leaves a truncated state behind
+    await mkdir(path.dirname(this.stateFile), { recursive: true });
+    await writeFile(`${this.stateFile}.tmp`, JSON.stringify(this.state, null, 2));
+    await rename(`${this.stateFile}.tmp`, this.stateFile);
+    // Whatever was enforced so far is also gone from the check cache
+    await this.forgetChangedVideos();
+  }
+
+  // Lists one video's captions and works out the changes the policy calls for; null
+  // when the captions could not be listed, so the video is retried later
+  async inspect(video, trigger, progress = '') {
+    this.totals.inspected++;
+    let captions;
+    try {
+      captions = await this.listCaptions(video.videoId);
+    } catch (error) {
+      this.logger.error(`❌ ${progress}Could not list captions for video ${video.videoId}, will retry:`, error.message);
+      this.emit('video', { video, changes: [], problems: [], trigger, error });
+      this.totals.failures++;
+      return null;
+    }
+    const { changes, problems } = this.policy.evaluate(video, captions);
+
+    problems.forEach(problem => this.logger.log(`⚠️  ${video.videoId}: ${problem.message}`));
+    this.emit('video', { video, changes, problems, trigger });
+    this.totals.problems += problems.length;
+    return { video, changes, problems };
+  }
+
+  // Makes the changes inspect() found. The video only counts as enforced when every
+  // change went through, so failed ones are retried.
+  async enforce({ video, changes }, progress = '') {
+    const outcomes = await this.applyVideoChanges(video, changes, progress);
+    const applied = outcomes.filter(outcome => outcome === 'applied').length;
+    const failures = outcomes.length - applied;
+    if (failures === 0) this.state.videos[video.videoId] = video.updatedAt;
+
+    this.totals.applied += applied;
+    this.totals.failures += failures;
+    return { applied, failures };
+  }
+
+  // One pass over the account. Stops early, keeping what it enforced so far, when stop() is called.
+  async sweep() {
+    if (!this.state) await this.loadState();
+
+    const startedAt = new Date().toISOString();
+    this.logger.log(`\n🔎 Sweep started at ${startedAt}`);
+    if (!this.accessToken) await this.ensureAuthenticated();
+
+    const videos = await this.getAllVideos();
+    const changed = videos.filter(video => this.state.videos[video.videoId] !== video.updatedAt);
+    const summary = { videos: videos.length, inspected: 0, applied: 0, failures: 0, problems: 0, interrupted: false };
+
+    this.logger.log(`🆕 ${changed.length} of ${videos.length} videos changed since they were last enforced`);
+
+    // Every changed video is inspected before anything is changed, so the sweep's
+    // deletions are held against maxDeletions as a whole
+    const inspected = [];
+    for (let i = 0; i < changed.length && !this.stopping; i++) {
+      const inspection = await this.inspect(changed[i], 'sweep', `[${i + 1}/${changed.length}] `);
+      summary.inspected++;
+      if (inspection) {
+        inspected.push(inspection);
+        summary.problems += inspection.problems.length;
+      } else {
+        summary.failures++;
+      }
+      await this.smartDelay(this.videoDelay);
+    }
+    await this.approveDeletions(inspected);
+
+    let enforced = 0;
+    for (; enforced < inspected.length && !this.stopping; enforced++) {
+      const outcome = await this.enforce(inspected[enforced], `[${enforced + 1}/${inspected.length}] `);
+      summary.applied += outcome.applied;
+      summary.failures += outcome.failures;
+
+      if ((enforced + 1) % SAVE_EVERY === 0) await this.saveState();
+    }
+    summary.interrupted = summary.inspected < changed.length || enforced < inspected.length;
+
+    if (!summary.interrupted) {
+      // Forget videos that were deleted or no longer match the filters
+      const listed = new Set(videos.map(video => video.videoId));
+      Object.keys(this.state.videos).filter(videoId => !listed.has(videoId)).forEach(videoId => {
+        delete this.state.videos[videoId];
+      });
+      this.state.lastSweepAt = startedAt;
+    }
+    await this.saveState();
+
+    this.totals.sweeps++;
+    this.logger.log(`📊 Sweep ${summary.interrupted ? 'interrupted' : 'done'}: ${summary.inspected} inspected, ${summary.applied} change(s) applied, ${summary.failures} failed, ${summary.problems} problem(s)`);
+    this.emit('sweep', summary);
+    return summary;
+  }
+
+  // Sweeps and webhook work share one queue so a video is never enforced twice at once
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // Resolves once queued work has finished
+  idle() {
+    return this.queue;
+  }
+
+  scheduleSweep(delay) {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.enqueue(() => this.scheduledSweep());
+    }, delay);
+  }
+
+  async scheduledSweep() {
+    try {
+      await this.sweep();
+    } catch (error) {
+      this.logger.error("❌ Sweep failed, trying again at the next interval:", error.message);
+      this.emit('sweepFailed', { error });
+    }
+
+    if (this.running) {
+      this.logger.log(`💤 Next sweep in ${this.intervalMinutes} minute(s)`);
+      this.scheduleSweep(this.intervalMinutes * 60 * 1000);
+    }
+  }
+
+  verifySignature(body, signature) {
+    if (typeof signature !== 'string') return false;
+    const expected = createHmac('sha256', this.webhookSecret).update(body).digest('hex');
+    return signature.length === expected.length && timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  }
+
+  async handleWebhook(req, res) {
+    const reply = status => {
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ status }));
+    };
+
+    if (req.method !== 'POST') return reply(405);
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_WEBHOOK_BYTES) return reply(413);
+      chunks.push(chunk);
+    }
+    const body = Buffer.concat(chunks);
+
+    // api.video signs each webhook with the secret of the webhook it was sent for
+    if (this.webhookSecret && !this.verifySignature(body, req.headers['x-api-video-webhooksignature'])) {
+      this.logger.log("⚠️  Rejected a webhook with a missing or wrong signature");
+      return reply(401);
+    }
+
+    let event;
+    try {
+      event = JSON.parse(body.toString());
+    } catch {
+      return reply(400);
+    }
+
+    // Answer straight away; api.video does not wait for the work to be done
+    const accepted = event?.type === CAPTION_EVENT && typeof event.videoId === 'string';
+    reply(202);
+
+    this.totals.webhooks++;
+    this.emit('webhook', { type: event?.type ?? null, videoId: event?.videoId ?? null, accepted });
+    if (!accepted) {
+      this.logger.log(`📨 Ignoring ${event?.type || 'unknown'} webhook`);
+      return;
+    }
+
+    this.logger.log(`📨 ${CAPTION_EVENT} for ${event.videoId}${event.language ? ` (${event.language})` : ''}`);
+    this.enqueue(() => this.enforceWebhookVideo(event.videoId));
+  }
+
+  async enforceWebhookVideo(videoId) {
+    try {
+      const video = await this.getVideo(videoId);
+      if (!video) {
+        this.logger.log(`⚠️  Video ${videoId} from the webhook no longer exists`);
+        return;
+      }
+      if (!this.videoFilter.matches(video)) {
+        this.logger.log(`⏭️  Video ${videoId} does not match the video filters, leaving it alone`);
+        return;
+      }
+
+      const inspection = await this.inspect(video, 'webhook');
+      if (inspection) {
+        await this.approveDeletions([inspection]);
+        await this.enforce(inspection);
+      }
+      await this.saveState();
+    } catch (error) {
+      this.logger.error(`❌ Failed to enforce the policy on video ${videoId}:`, error.message);
+    }
+  }
+
+  async listen() {
+    this.server = http.createServer((req, res) => {
+      this.handleWebhook(req, res).catch(error => {
+        this.logger.error("❌ Webhook request failed:", error.message);
+        if (!res.headersSent) res.writeHead(500);
+        res.end();
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    const { port } = this.server.address();
+    this.logger.log(`📨 Listening for api.video webhooks on http://${this.host}:${port}/`);
+    this.emit('listening', { host: this.host, port });
+  }
+
+  // Sweeps now and then every interval, and serves webhooks when a port is set.
+  // Resolves with the totals once stop() has been called.
+  async watch() {
+    await this.loadState();
+    this.running = true;
+    this.stopping = false;
+    const stopped = new Promise(resolve => {
+      this.resolveStopped = resolve;
+    });
+
+    if (this.port !== null) await this.listen();
+    this.logger.log(`👀 Watching with policy ${this.policy.source} (${this.policy.rules.length} rules), sweeping every ${this.intervalMinutes} minute(s)`);
+    this.scheduleSweep(0);
+
+    return stopped;
+  }
+
+  // Stops sweeping and listening. A sweep in progress ends after its current
+  // video, and queued webhook work is finished before the state is saved.
+  async stop() {
+    if (!this.running) return;
+    this.running = false;
+    this.stopping = true;
+    this.logger.log("\n🛑 Stopping: finishing the current work...");
+
+    clearTimeout(this.timer);
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+    await this.idle();
+    await this.saveState();
+
+    this.logger.log(`👋 Watcher stopped after ${this.totals.sweeps} sweep(s) and ${this.totals.webhooks} webhook(s): ${this.totals.inspected} videos inspected, ${this.totals.applied} change(s) applied, ${this.totals.failures} failed`);
+    this.emit('done', this.totals);
+    this.resolveStopped(this.totals);
+  }
+}
@@ -0,0 +1,102 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { apiKeyFingerprint } from './audit-log.js';
+
+const CACHE_VERSION = 1;
+
+// What the checker saw on earlier runs: each video's updatedAt and its caption
+// tracks. A video whose updatedAt has not moved is answered from here instead of
+// asking the API again. A cache belongs to one account, base URL and set of
+// inspection settings; a cache written for anything else is not used.
+export class CheckCache {
+  constructor(file, { apiKey, baseUrl, inspect = null }) {
+    this.file = path.resolve(file);
+    this.scope = {
+      account: apiKeyFingerprint(apiKey),
+      baseUrl,
+      inspect
+    };
+    this.videos = new Map();
+    this.savedAt = null;
+  }
+
+  // Returns why the saved cache cannot be used, or null once it is loaded
+  async load() {
+    let data;
+    try {
+      data = JSON.parse(await readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return 'there is none yet';
+      return `${this.file} could not be read: ${error.message}`;
+    }
+
+    if (data.version !== CACHE_VERSION || !data.videos) {
+      return `${this.file} is not a check cache (expected version ${CACHE_VERSION})`;
+    }
+    if (JSON.stringify(data.scope) !== JSON.stringify(this.scope)) {
+      return 'it was written for another account, base URL or inspection settings';
+    }
+
+    this.videos = new Map(Object.entries(data.videos));
+    this.savedAt = data.savedAt;
+    return null;
+  }
+
+  get size() {
+    return this.videos.size;
+  }
+
+  // The cached tracks if the video is unchanged since they were stored, otherwise null
+  get(video) {
+    const entry = this.videos.get(video.videoId);
+    return entry && video.updatedAt && entry.updatedAt === video.updatedAt ? entry.captions : null;
+  }
+
+  set(video, captions) {
+    this.videos.set(video.videoId, { updatedAt: video.updatedAt, captions });
+  }
+
+  delete(videoId) {
+    this.videos.delete(videoId);
+  }
+
+  // Forgets videos that are no longer in the account
+  prune(videoIds) {
+    const keep = videoIds instanceof Set ? videoIds : new Set(videoIds);
+    for (const videoId of this.videos.keys()) {
+      if (!keep.has(videoId)) this.videos.delete(videoId);
+    }
+  }
+
+  // Drops videos from a saved cache, whatever it was written for, so the next check
+  // asks the API about them again. Used by the commands that change captions; a
+  // missing cache file has nothing to forget.
+  static async forget(file, videoIds) {
+    let data;
+    try {
+      data = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+    if (!data.videos) return 0;
+
+    const forgotten = videoIds.filter(videoId => videoId in data.videos);
+    if (forgotten.length === 0) return 0;
+    forgotten.forEach(videoId => delete data.videos[videoId]);
+
+    await writeFile(`${file}.tmp`, JSON.stringify(data));
+    await rename(`${file}.tmp`, file);
+    return forgotten.length;
+  }
+
+  async save() {
+    this.savedAt = new Date().toISOString();
+    const data = { version: CACHE_VERSION, scope: this.scope, savedAt: this.savedAt, videos: Object.fromEntries(this.videos) };
+
+    // Temp file and rename, so a crash never leaves a truncated cache behind
+    await mkdir(path.dirname(this.file), { recursive: true });
+    await writeFile(`${this.file}.tmp`, JSON.stringify(data));
+    await rename(`${this.file}.tmp`, this.file);
+  }
+}
@@ -0,0 +1,858 @@
+import dotenv from 'dotenv';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { createInterface } from 'node:readline/promises';
+import { parseArgs } from 'node:util';
+import { AuditLog } from './audit-log.js';
+import { ApiVideoCaptionChecker } from './caption-checker.js';
+import { ApiVideoCaptionDeleter } from './caption-deleter.js';
+import { CaptionPolicy } from './caption-policy.js';
+import { ApiVideoCaptionReconciler } from './caption-reconciler.js';
+import { CaptionReport, REPORT_FORMATS } from './caption-report.js';
+import { ApiVideoCaptionRestorer } from './caption-restorer.js';
+import { ApiVideoCaptionUploader } from './caption-uploader.js';
+import { ApiVideoCaptionWatcher } from './caption-watcher.js';
+import { DeletionAborted } from './deletion-interlock.js';
+import { FastCaptionDeleter } from './fast-caption-deleter.js';
+import { parseLanguageList } from './language-filter.js';
+import { ProfileConfig } from './profiles.js';
+import { videoFilterOptionsFromEnv } from './video-filter.js';
+
+export const EXIT_OK = 0;
+export const EXIT_FAILURE = 1;
+export const EXIT_USAGE = 2;
+export const EXIT_INCOMPLETE = 3;
+export const EXIT_ABORTED = 4;
+
+const PROGRAM = 'apivideo-captions';
+const DEFAULT_BASE_URL = "https://ws.api.video";
+const DEFAULT_BACKUP_DIR = "caption-backups";
+const DEFAULT_CHECK_CACHE = "journals/check-cache.json";
+const DEFAULT_AUDIT_LOG = "journals/audit.jsonl";
+const DEFAULT_PROFILES = "profiles.yaml";
+const DEFAULT_JOURNALS = {
+  check: "journals/check-captions.jsonl",
+  delete: "journals/index.jsonl",
+  'fast-delete': "journals/fast-delete.jsonl"
+};
+const DEFAULT_WATCH_STATE = "journals/watch-state.json";
+const DEFAULT_REMAINING = "journals/fast-delete-remaining.txt";
+const DEFAULT_FAILURES = {
+  delete: "journals/delete-failures.json",
+  'fast-delete': "journals/fast-delete-failures.json"
+};
+// Flags a profile's options cannot set: they pick the profile or the account
+const PROFILE_FLAGS = ['profile', 'profiles', 'help', 'api-key', 'base-url'];
+
+// Bad command line or configuration; reported with a usage hint and exit code 2
+export class UsageError extends Error {}
+
+// Option specs are parseArgs options plus a value name and help line for --help
+const profileOptions = {
+  profile: { type: 'string', value: 'name', help: 'Use a named account from the profiles file (default: PROFILE)' },
+  profiles: { type: 'string', value: 'file', help: `Profiles file (default: PROFILES_FILE or ${DEFAULT_PROFILES})` }
+};
+
+const connectionOptions = {
+  ...profileOptions,
+  'api-key': { type: 'string', value: 'key', help: 'api.video API key (default: API_KEY)' },
+  'base-url': { type: 'string', value: 'url', help: `API base URL (default: BASE_URL or ${DEFAULT_BASE_URL})` }
+};
+
+const helpOption = {
+  help: { type: 'boolean', short: 'h', help: 'Show help for this command' }
+};
+
+const runOptions = journalFile => ({
+  resume: { type: 'boolean', help: 'Continue the run recorded in the journal' },
+  journal: { type: 'string', value: 'file', help: `Checkpoint journal (default: ${journalFile}, named per profile)` }
+});
+
+// Every command that can delete captions writes to the audit log
+const auditOptions = {
+  'audit-log': { type: 'string', value: 'file', help: `Append a record of every caption deletion (default: AUDIT_LOG or ${DEFAULT_AUDIT_LOG})` },
+  operator: { type: 'string', value: 'name', help: 'Who is running this, for the audit log (default: OPERATOR or USER)' }
+};
+
+const deletionOptions = {
+  'backup-dir': { type: 'string', value: 'dir', help: `Caption backup archive (default: BACKUP_DIR or ${DEFAULT_BACKUP_DIR})` },
+  'dry-run': { type: 'boolean', help: 'List what would be deleted without deleting anything' },
+  'plan-out': { type: 'string', value: 'file', help: 'Dry run and save the deletion plan to a file' },
+  plan: { type: 'string', value: 'file', help: 'Delete exactly the captions in a reviewed plan' },
+  'failures-out': { type: 'string', value: 'file', help: `Where what failed is saved, with why (default: ${DEFAULT_FAILURES.delete} or ${DEFAULT_FAILURES['fast-delete']}, named per profile)` },
+  'retry-failed': { type: 'string', value: 'file', help: 'Retry only the captions and videos in a failures file' },
+  adaptive: { type: 'boolean', help: 'Tune concurrency from API responses (AIMD)' },
+  'max-concurrency': { type: 'string', value: 'n', help: 'Concurrency ceiling in adaptive mode (default: 20)' },
+  'verify-retries': { type: 'string', value: 'n', help: 'Rounds of retrying captions the final verification finds (default: 2)' },
+  'skip-verify': { type: 'boolean', help: 'Do not list the videos again after deleting' },
+  yes: { type: 'boolean', short: 'y', help: 'Delete without typing the confirmation (needed when not run in a terminal)' },
+  'max-deletions': { type: 'string', value: 'n', help: 'Abort before deleting anything if the run would delete more captions' },
+  canary: { type: 'string', value: 'n', help: 'Delete this many captions first, then wait for approval of the rest' },
+  ...auditOptions
+};
+
+const COMMANDS = {
+  check: {
+    summary: 'List videos that still have captions (read-only)',
+    options: {
+      ...connectionOptions,
+      profile: { ...profileOptions.profile, help: `${profileOptions.profile.help}; several, comma-separated, for one combined report` },
+      'page-size': { type: 'string', value: 'n', help: 'Videos fetched per page, 1-100 (default: 25)' },
+      'page-delay': { type: 'string', value: 'ms', help: 'Pause between video pages (default: 150)' },
+      'video-delay': { type: 'string', value: 'ms', help: 'Pause between videos (default: 75)' },
+      format: { type: 'string', value: 'format', help: `Also write a report: ${REPORT_FORMATS.join(', ')}` },
+      output: { type: 'string', value: 'file', help: 'Report destination, - for stdout (default: -)' },
+      lint: { type: 'boolean', help: 'Download every caption and report malformed or hard-to-read cues' },
+      'max-cue-seconds': { type: 'string', value: 's', help: 'Lint: longest acceptable cue (default: 7)' },
+      'max-line-length': { type: 'string', value: 'n', help: 'Lint: longest acceptable line in characters (default: 42)' },
+      search: { type: 'string', value: 'term', help: 'Download every caption and list cues containing the term (case-insensitive)' },
+      'search-regex': { type: 'string', value: 'pattern', help: 'Like --search, with a regular expression' },
+      full: { type: 'boolean', help: 'Query every video, even those unchanged since the last check' },
+      cache: { type: 'string', value: 'file', help: `Captions seen by earlier checks (default: ${DEFAULT_CHECK_CACHE}, named per profile)` },
+      ...runOptions(DEFAULT_JOURNALS.check),
+      ...helpOption
+    },
+    prepare: prepareCheck
+  },
+  delete: {
+    summary: 'Back up and delete captions one at a time (gentle on rate limits)',
+    options: {
+      ...connectionOptions,
+      'page-size': { type: 'string', value: 'n', help: 'Videos fetched per page, 1-100 (default: 25)' },
+      'page-delay': { type: 'string', value: 'ms', help: 'Pause between video pages (default: 200)' },
+      'video-delay': { type: 'string', value: 'ms', help: 'Pause between videos (default: 200)' },
+      'delete-delay': { type: 'string', value: 'ms', help: 'Pause between caption deletions (default: 1000)' },
+      ...deletionOptions,
+      ...runOptions(DEFAULT_JOURNALS.delete),
+      ...helpOption
+    },
+    prepare: prepareDelete
+  },
+  'fast-delete': {
+    summary: 'Back up and delete captions in parallel within a time budget',
+    options: {
+      ...connectionOptions,
+      'page-size': { type: 'string', value: 'n', help: 'Videos fetched per page, 1-100 (default: 100)' },
+      'page-delay': { type: 'string', value: 'ms', help: 'Pause between video pages (default: 50)' },
+      concurrency: { type: 'string', value: 'n', help: 'Videos processed in parallel (default: 10)' },
+      'time-budget': { type: 'string', value: 'minutes', help: 'Stop starting new work after this long (default: 10)' },
+      'max-captions': { type: 'string', value: 'n', help: 'Stop starting new work after this many caption deletions (default: no limit)' },
+      'grace-period': { type: 'string', value: 's', help: 'After Ctrl-C or SIGTERM, how long requests in flight may take to finish (default: 30)' },
+      'remaining-out': { type: 'string', value: 'file', help: `Where a stopped run lists the videos it left, for VIDEO_IDS_FILE (default: ${DEFAULT_REMAINING}, named per profile)` },
+      ...deletionOptions,
+      ...runOptions(DEFAULT_JOURNALS['fast-delete']),
+      ...helpOption
+    },
+    prepare: prepareFastDelete
+  },
+  restore: {
+    summary: 'Re-upload captions from a backup archive',
+    arguments: '[archiveDir]',
+    options: {
+      ...connectionOptions,
+      overwrite: { type: 'boolean', help: 'Replace captions that already exist' },
+      'backup-dir': { type: 'string', value: 'dir', help: 'Where captions replaced by --overwrite are backed up (default: <archiveDir>/replaced)' },
+      ...auditOptions,
+      ...helpOption
+    },
+    prepare: prepareRestore
+  },
+  upload: {
+    summary: 'Upload .vtt/.srt caption files from a directory',
+    arguments: '<dir>',
+    options: {
+      ...connectionOptions,
+      map: { type: 'string', value: 'file', help: 'CSV with title,file[,language] columns to match files to videos by title' },
+      default: { type: 'boolean', help: 'Make each uploaded caption the default track' },
+      overwrite: { type: 'boolean', help: 'Replace captions that already exist' },
+      'backup-dir': { type: 'string', value: 'dir', help: `Where captions replaced by --overwrite are backed up (default: BACKUP_DIR or ${DEFAULT_BACKUP_DIR})` },
+      'dry-run': { type: 'boolean', help: 'Validate the files and list what would be uploaded' },
+      'upload-delay': { type: 'string', value: 'ms', help: 'Pause between uploads (default: 200)' },
+      ...auditOptions,
+      ...helpOption
+    },
+    prepare: prepareUpload
+  },
+  policy: {
+    summary: 'Show (plan) or make (apply) the changes a caption policy file calls for',
+    arguments: '<plan|apply> <policyFile>',
+    options: {
+      ...connectionOptions,
+      'backup-dir': deletionOptions['backup-dir'],
+      'page-size': { type: 'string', value: 'n', help: 'Videos fetched per page, 1-100 (default: 25)' },
+      'page-delay': { type: 'string', value: 'ms', help: 'Pause between video pages (default: 200)' },
+      'video-delay': { type: 'string', value: 'ms', help: 'Pause between videos while planning (default: 100)' },
+      'change-delay': { type: 'string', value: 'ms', help: 'Pause between changes while applying (default: 500)' },
+      yes: deletionOptions.yes,
+      'max-deletions': deletionOptions['max-deletions'],
+      canary: deletionOptions.canary,
+      ...auditOptions,
+      ...helpOption
+    },
+    prepare: preparePolicy
+  },
+  watch: {
+    summary: 'Keep enforcing a caption policy: periodic sweeps plus api.video webhooks',
+    arguments: '<policyFile>',
+    options: {
+      ...connectionOptions,
+      interval: { type: 'string', value: 'minutes', help: 'Time between sweeps (default: 15)' },
+      state: { type: 'string', value: 'file', help: `Where the updatedAt of enforced videos is kept (default: ${DEFAULT_WATCH_STATE}, named per profile)` },
+      port: { type: 'string', value: 'n', help: 'Accept api.video webhooks on this port (default: off)' },
+      host: { type: 'string', value: 'address', help: 'Address the webhook port listens on (default: 127.0.0.1)' },
+      'webhook-secret': { type: 'string', value: 'secret', help: 'Reject webhooks not signed with this secret (default: WEBHOOK_SECRET)' },
+      'backup-dir': deletionOptions['backup-dir'],
+      'page-size': { type: 'string', value: 'n', help: 'Videos fetched per page, 1-100 (default: 25)' },
+      'page-delay': { type: 'string', value: 'ms', help: 'Pause between video pages (default: 200)' },
+      'video-delay': { type: 'string', value: 'ms', help: 'Pause between inspected videos (default: 100)' },
+      'change-delay': { type: 'string', value: 'ms', help: 'Pause between changes (default: 500)' },
+      'max-deletions': { type: 'string', value: 'n', help: 'Change nothing in a sweep (or a webhook\'s video) that would delete more captions' },
+      ...auditOptions,
+      ...helpOption
+    },
+    prepare: prepareWatch
+  },
+  audit: {
+    summary: 'Show the audit log of caption deletions (read-only, no API key needed)',
+    options: {
+      log: { type: 'string', value: 'file', help: `Audit log to read (default: AUDIT_LOG or ${DEFAULT_AUDIT_LOG})` },
+      video: { type: 'string', value: 'videoId', help: 'Only deletions on this video' },
+      language: { type: 'string', value: 'code', help: 'Only deletions of this language' },
+      run: { type: 'string', value: 'runId', help: 'Only this run (a prefix is enough)' },
+      since: { type: 'string', value: 'time', help: 'Only deletions at or after this ISO date/time' },
+      until: { type: 'string', value: 'time', help: 'Only deletions before this ISO date/time' },
+      json: { type: 'boolean', help: 'Print the matching records as JSON lines' },
+      ...profileOptions,
+      ...helpOption
+    },
+    prepare: prepareAudit
+  }
+};
+
+// Returns undefined when the flag is absent so the class default applies
+function numberOption(values, name, { min = 0, max = Infinity, integer = true } = {}) {
+  if (values[name] === undefined) return undefined;
+
+  const value = Number(values[name]);
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+    const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+    throw new UsageError(`--${name} must be ${integer ? 'a whole number' : 'a number'} ${range}, got "${values[name]}"`);
+  }
+  return value;
+}
+
+// The library is silent by default; the CLI prints progress to the console
+function connection(values, env) {
+  const apiKey = values['api-key'] || env.API_KEY;
+  if (!apiKey) {
+    throw new UsageError("API_KEY is required. Set it in your .env file or pass --api-key.");
+  }
+  return { apiKey, baseUrl: values['base-url'] || env.BASE_URL || DEFAULT_BASE_URL, logger: console };
+}
+
+// Language and video selection still come from the environment (see README)
+function selection(env) {
+  return {
+    includeLanguages: parseLanguageList(env.INCLUDE_LANGUAGES),
+    excludeLanguages: parseLanguageList(env.EXCLUDE_LANGUAGES),
+    videoFilterOptions: videoFilterOptionsFromEnv(env)
+  };
+}
+
+// Records name the operator and carry a fingerprint of the API key, never the key itself
+function auditing(values, env) {
+  return {
+    auditLog: new AuditLog(values['audit-log'] || env.AUDIT_LOG || DEFAULT_AUDIT_LOG, {
+      apiKey: values['api-key'] || env.API_KEY,
+      operator: values.operator || env.OPERATOR || env.USER || null
+    })
+  };
+}
+
+// Commands that change captions drop those videos from the profile's check cache,
+// so the next check asks the API about them instead of reporting the old captions
+function cacheUpdates(env) {
+  return { checkCacheFile: profileFile(DEFAULT_CHECK_CACHE, env) };
+}
+
+// Runs under different profiles must not share journals, caches or watch state,
+// so the profile name goes into the default file name: journals/index.prod.jsonl
+function profileFile(file, env) {
+  if (!env.PROFILE) return file;
+  const extension = path.extname(file);
+  return `${file.slice(0, file.length - extension.length)}.${env.PROFILE}${extension}`;
+}
+
+function deletion(values, env, command) {
+  if (!values['dry-run'] && !values['plan-out']) requireConfirmation(values);
+  if (values['retry-failed'] && values.plan) {
+    throw new UsageError("Use either --plan or --retry-failed, not both");
+  }
+
+  return {
+    ...connection(values, env),
+    ...auditing(values, env),
+    ...cacheUpdates(env),
+    ...selection(env),
+    backupDir: values['backup-dir'] || env.BACKUP_DIR || DEFAULT_BACKUP_DIR,
+    pageSize: numberOption(values, 'page-size', { min: 1, max: 100 }),
+    pageDelay: numberOption(values, 'page-delay'),
+    dryRun: values['dry-run'],
+    planOut: values['plan-out'],
+    planFile: values.plan,
+    retryFile: values['retry-failed'],
+    failuresFile: values['failures-out'] || profileFile(DEFAULT_FAILURES[command], env),
+    resume: values.resume,
+    journalFile: values.journal || profileFile(DEFAULT_JOURNALS[command], env),
+    adaptive: values.adaptive,
+    maxConcurrency: numberOption(values, 'max-concurrency', { min: 1 }),
+    verify: !values['skip-verify'],
+    verifyRetries: numberOption(values, 'verify-retries'),
+    ...interlock(values)
+  };
+}
+
+// Checked up front: a run that cannot be confirmed should not list the account first
+function requireConfirmation(values) {
+  if (!values.yes && !process.stdin.isTTY) {
+    throw new UsageError("Deleting captions needs a typed confirmation; run in a terminal or pass --yes");
+  }
+}
+
+// What stands between a command and its first deletion (see DeletionInterlock)
+function interlock(values) {
+  return {
+    maxDeletions: numberOption(values, 'max-deletions') ?? null,
+    canary: numberOption(values, 'canary') ?? 0,
+    confirm: confirmation(values)
+  };
+}
+
+// Asks on the terminal before the first deletion, and again after a canary. With
+// --yes the preview goes ahead unasked, and a canary only if none of it failed.
+function confirmation(values) {
+  return async ({ stage, plan, canary }) => {
+    if (values.yes) {
+      if (stage === 'preview') {
+        console.error("✅ Confirmed with --yes");
+        return true;
+      }
+      console.error(canary.failed === 0 ? "✅ Canary succeeded, continuing (--yes)" : "❌ Canary had failures, stopping (--yes)");
+      return canary.failed === 0;
+    }
+    const phrase = stage === 'preview' ? `delete ${plan.captionCount} captions` : 'continue';
+    const prompt = createInterface({ input: process.stdin, output: process.stderr });
+    // The terminal hands Ctrl-C to the prompt rather than the process; it means no
+    const cancel = new AbortController();
+    prompt.once('SIGINT', () => cancel.abort());
+    try {
+      const answer = await prompt.question(`\n❓ Type "${phrase}" to ${stage === 'preview' ? 'go ahead' : 'delete the rest'}, anything else to stop: `, { signal: cancel.signal });
+      return answer.trim() === phrase;
+    } catch (error) {
+      if (error.name === 'AbortError') return false;
+      throw error;
+    } finally {
+      prompt.close();
+    }
+  };
+}
+
+function reportOptions(values) {
+  if (values.format && !REPORT_FORMATS.includes(values.format)) {
+    throw new UsageError(`Unknown --format "${values.format}". Use one of: ${REPORT_FORMATS.join(', ')}`);
+  }
+  if (values.output && !values.format) {
+    throw new UsageError("--output needs --format");
+  }
+  return { format: values.format, output: values.output || '-' };
+}
+
+function createChecker(values, env, report) {
+  return new ApiVideoCaptionChecker({
+    inspect: inspection(values),
+    ...connection(values, env),
+    videoFilterOptions: selection(env).videoFilterOptions,
+    pageSize: numberOption(values, 'page-size', { min: 1, max: 100 }),
+    pageDelay: numberOption(values, 'page-delay'),
+    videoDelay: numberOption(values, 'video-delay'),
+    resume: values.resume,
+    journalFile: values.journal || profileFile(DEFAULT_JOURNALS.check, env),
+    cacheFile: values.cache || profileFile(DEFAULT_CHECK_CACHE, env),
+    full: values.full,
+    report,
+    // The report owns stdout; progress lines move to stderr so the two don't mix
+    ...(report?.toStdout ? { logger: { log: console.error, error: console.error } } : {})
+  });
+}
+
+function prepareCheck(values, positionals, env) {
+  const { format, output } = reportOptions(values);
+  const checker = createChecker(values, env, format ? new CaptionReport(format, output) : null);
+  return () => checker.checkAllCaptions();
+}
+
+// One check per profile, one after the other, into a single report whose rows
+// name the profile they came from. Each profile reads its own journal and cache.
+function prepareCombinedCheck(values, positionals, env, config, names) {
+  const { format, output } = reportOptions(values);
+  if (values.journal || values.cache) {
+    throw new UsageError("--journal and --cache name one profile's files; a combined check uses each profile's own");
+  }
+
+  const report = format ? new CaptionReport(format, output) : null;
+  const log = report?.toStdout ? console.error : console.log;
+  const checkers = names.map(name => {
+    const profileEnv = config.environment(name, env);
+    return [name, config.get(name), createChecker(withProfileOptions(values, config.get(name), COMMANDS.check), profileEnv, report?.section(name) ?? null)];
+  });
+
+  return async () => {
+    if (report) await report.open();
+
+    const results = {};
+    for (const [name, profile, checker] of checkers) {
+      log(`\n${profileBanner(profile)}`);
+      results[name] = await checker.checkAllCaptions();
+    }
+
+    const combined = { generatedAt: new Date().toISOString(), profiles: names.length, totalVideos: 0, videosWithCaptions: 0, totalCaptions: 0, captionsByLanguage: {} };
+    for (const result of Object.values(results)) {
+      combined.totalVideos += result.videos;
+      combined.videosWithCaptions += result.videosWithCaptions;
+      combined.totalCaptions += result.captionsFound;
+      for (const [language, count] of Object.entries(result.captionsByLanguage)) {
+        combined.captionsByLanguage[language] = (combined.captionsByLanguage[language] || 0) + count;
+      }
+    }
+    if (report) {
+      await report.finish(combined);
+      if (!report.toStdout) log(`\n💾 Combined ${report.describe()}`);
+    }
+
+    log("\n📊 Combined Caption Check Summary:");
+    const width = Math.max(...names.map(name => name.length));
+    for (const [name, result] of Object.entries(results)) {
+      log(`   • ${name.padEnd(width)}  ${result.videos} video(s), ${result.videosWithCaptions} with captions, ${result.captionsFound} caption(s)`);
+    }
+    log(`   • ${'total'.padEnd(width)}  ${combined.totalVideos} video(s), ${combined.videosWithCaptions} with captions, ${combined.totalCaptions} caption(s)`);
+
+    return {
+      ...combined,
+      results,
+      failures: Object.values(results).reduce((sum, result) => sum + (result.failures || 0), 0)
+    };
+  };
+}
+
+// --lint and --search turn the check into a pass over the caption files themselves
+function inspection(values) {
+  for (const name of ['max-cue-seconds', 'max-line-length']) {
+    if (values[name] !== undefined && !values.lint) throw new UsageError(`--${name} needs --lint`);
+  }
+  if (values.search !== undefined && values['search-regex'] !== undefined) {
+    throw new UsageError("Use either --search or --search-regex, not both");
+  }
+
+  let search = values.search || null;
+  if (values['search-regex'] !== undefined) {
+    try {
+      search = new RegExp(values['search-regex'], 'i');
+    } catch (error) {
+      throw new UsageError(`--search-regex is not a valid regular expression: ${error.message}`);
+    }
+  }
+
+  if (!values.lint && !search) return null;
+  return {
+    lint: Boolean(values.lint),
+    maxCueSeconds: numberOption(values, 'max-cue-seconds', { min: 0.1, integer: false }),
+    maxLineLength: numberOption(values, 'max-line-length', { min: 1 }),
+    search
+  };
+}
+
+function prepareDelete(values, positionals, env) {
+  const deleter = new ApiVideoCaptionDeleter({
+    ...deletion(values, env, 'delete'),
+    videoDelay: numberOption(values, 'video-delay'),
+    deleteDelay: numberOption(values, 'delete-delay')
+  });
+  return () => deleter.deleteAllCaptions();
+}
+
+function prepareFastDelete(values, positionals, env) {
+  const deleter = new FastCaptionDeleter({
+    ...deletion(values, env, 'fast-delete'),
+    videoConcurrency: numberOption(values, 'concurrency', { min: 1 }),
+    timeBudgetMinutes: numberOption(values, 'time-budget', { min: 0.1, integer: false }),
+    maxCaptions: numberOption(values, 'max-captions', { min: 1 }) ?? null,
+    gracePeriodSeconds: numberOption(values, 'grace-period', { integer: false }),
+    remainingFile: values['remaining-out'] || profileFile(DEFAULT_REMAINING, env)
+  });
+
+  return async () => {
+    // Like watch: the first signal stops gracefully, a second one exits at once
+    const stop = () => deleter.stop();
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+    try {
+      return await deleter.fastDeleteAllCaptions();
+    } finally {
+      process.off('SIGINT', stop);
+      process.off('SIGTERM', stop);
+    }
+  };
+}
+
+function prepareRestore(values, positionals, env) {
+  if (positionals.length > 1) {
+    throw new UsageError(`restore takes one archive directory, got ${positionals.length}`);
+  }
+
+  const archiveDir = positionals[0] || env.BACKUP_DIR || DEFAULT_BACKUP_DIR;
+  const restorer = new ApiVideoCaptionRestorer(archiveDir, {
+    ...connection(values, env),
+    ...auditing(values, env),
+    ...cacheUpdates(env),
+    overwrite: values.overwrite,
+    backupDir: values['backup-dir']
+  });
+  return () => restorer.restoreAllCaptions();
+}
+
+function preparePolicy(values, positionals, env) {
+  const [action, policyFile] = positionals;
+  if (positionals.length !== 2 || !['plan', 'apply'].includes(action)) {
+    throw new UsageError("policy takes an action (plan or apply) and a policy file");
+  }
+  if (action === 'apply') requireConfirmation(values);
+
+  const options = {
+    ...connection(values, env),
+    ...auditing(values, env),
+    ...cacheUpdates(env),
+    videoFilterOptions: selection(env).videoFilterOptions,
+    backupDir: values['backup-dir'] || env.BACKUP_DIR || DEFAULT_BACKUP_DIR,
+    pageSize: numberOption(values, 'page-size', { min: 1, max: 100 }),
+    pageDelay: numberOption(values, 'page-delay'),
+    videoDelay: numberOption(values, 'video-delay'),
+    changeDelay: numberOption(values, 'change-delay'),
+    // plan changes nothing, so there is nothing to confirm
+    ...(action === 'apply' ? interlock(values) : {})
+  };
+
+  return async () => {
+    const reconciler = new ApiVideoCaptionReconciler({ ...options, policy: await loadPolicy(policyFile) });
+    return action === 'apply' ? reconciler.apply() : reconciler.plan();
+  };
+}
+
+// A policy file can only be read once the task runs; a bad one is still a usage error
+async function loadPolicy(file) {
+  try {
+    return await CaptionPolicy.load(file);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+function prepareWatch(values, positionals, env) {
+  if (positionals.length !== 1) {
+    throw new UsageError(`watch takes one policy file, got ${positionals.length}`);
+  }
+  if (values.host !== undefined && values.port === undefined) {
+    throw new UsageError("--host needs --port");
+  }
+
+  const options = {
+    ...connection(values, env),
+    ...auditing(values, env),
+    ...cacheUpdates(env),
+    videoFilterOptions: selection(env).videoFilterOptions,
+    backupDir: values['backup-dir'] || env.BACKUP_DIR || DEFAULT_BACKUP_DIR,
+    stateFile: values.state || profileFile(DEFAULT_WATCH_STATE, env),
+    intervalMinutes: numberOption(values, 'interval', { min: 0.1, integer: false }),
+    port: numberOption(values, 'port', { max: 65535 }) ?? null,
+    host: values.host,
+    webhookSecret: values['webhook-secret'] || env.WEBHOOK_SECRET || null,
+    pageSize: numberOption(values, 'page-size', { min: 1, max: 100 }),
+    pageDelay: numberOption(values, 'page-delay'),
+    videoDelay: numberOption(values, 'video-delay'),
+    changeDelay: numberOption(values, 'change-delay'),
+    // Runs unattended: no confirmation or canary, only the limit
+    maxDeletions: numberOption(values, 'max-deletions') ?? null
+  };
+
+  return async () => {
+    const watcher = new ApiVideoCaptionWatcher({ ...options, policy: await loadPolicy(positionals[0]) });
+
+    // The first Ctrl-C stops gracefully; the listener is gone after that, so a second one exits at once
+    const stop = () => watcher.stop();
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+    try {
+      return await watcher.watch();
+    } finally {
+      process.off('SIGINT', stop);
+      process.off('SIGTERM', stop);
+    }
+  };
+}
+
+function prepareUpload(values, positionals, env) {
+  if (positionals.length !== 1) {
+    throw new UsageError(`upload takes one caption directory, got ${positionals.length}`);
+  }
+
+  const uploader = new ApiVideoCaptionUploader(positionals[0], {
+    ...connection(values, env),
+    ...auditing(values, env),
+    ...cacheUpdates(env),
+    mapFile: values.map,
+    setDefault: values.default,
+    overwrite: values.overwrite,
+    backupDir: values['backup-dir'] || env.BACKUP_DIR || DEFAULT_BACKUP_DIR,
+    dryRun: values['dry-run'],
+    uploadDelay: numberOption(values, 'upload-delay')
+  });
+  return () => uploader.uploadAllCaptions();
+}
+
+function timeOption(values, name) {
+  if (values[name] === undefined) return null;
+  const time = new Date(values[name]);
+  if (Number.isNaN(time.getTime())) {
+    throw new UsageError(`--${name} must be an ISO date or date-time, got "${values[name]}"`);
+  }
+  return time;
+}
+
+function prepareAudit(values, positionals, env) {
+  const file = values.log || env.AUDIT_LOG || DEFAULT_AUDIT_LOG;
+  const filters = {
+    videoId: values.video,
+    language: values.language,
+    runId: values.run,
+    since: timeOption(values, 'since'),
+    until: timeOption(values, 'until')
+  };
+
+  return async () => {
+    let records = 0;
+    for await (const entry of AuditLog.query(file, filters)) {
+      records++;
+      if (values.json) {
+        console.log(JSON.stringify(entry));
+        continue;
+      }
+      const answer = entry.status === null ? `no response (${entry.error})` : `HTTP ${entry.status}`;
+      const retries = entry.retries > 0 ? ` after ${entry.retries} retr${entry.retries === 1 ? 'y' : 'ies'}` : '';
+      console.log(`${entry.at}  run ${String(entry.runId).slice(0, 8)}  ${entry.operator ?? '-'}  ${entry.action} ${entry.language} on ${entry.videoId}${entry.title ? ` (${entry.title})` : ''}: ${answer}${retries}`);
+    }
+
+    // The count goes to stderr so --json output can be piped as is
+    console.error(`📜 ${records} matching record(s) in ${file}`);
+    return { records };
+  };
+}
+
+// Captions that failed, or videos left over when fast-delete stopped early, make the run incomplete.
+// When a deletion run verified its work, captions it got rid of on retry no longer count; any
+// failure still in its failures file does, so a CI job can alert on exit code 3.
+function exitCodeFor(result) {
+  if (result?.failuresRemaining > 0) return EXIT_INCOMPLETE;
+  if (result?.verification) return !result.verification.clean || result.incomplete ? EXIT_INCOMPLETE : EXIT_OK;
+  if (result && (result.failures > 0 || result.incomplete)) return EXIT_INCOMPLETE;
+  return EXIT_OK;
+}
+
+function version() {
+  const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+  return pkg.version;
+}
+
+function formatOptions(options) {
+  const rows = Object.entries(options).map(([name, spec]) => [
+    `${spec.short ? `-${spec.short}, ` : '    '}--${name}${spec.value ? ` <${spec.value}>` : ''}`,
+    spec.help
+  ]);
+  const width = Math.max(...rows.map(([flag]) => flag.length));
+  return rows.map(([flag, help]) => `  ${flag.padEnd(width)}  ${help}`).join('\n');
+}
+
+export function usage() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  const commands = Object.entries(COMMANDS)
+    .map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`)
+    .join('\n');
+
+  return `Usage: ${PROGRAM} <command> [options]
+
+Commands:
+${commands}
+
+Options:
+  -h, --help     Show this help
+      --version  Show the version
+
+Run "${PROGRAM} <command> --help" for the options of a command.
+
+Settings that are not given as flags are read from the environment or from a
+.env file in the current directory: API_KEY, BASE_URL, BACKUP_DIR, WEBHOOK_SECRET,
+AUDIT_LOG, OPERATOR, INCLUDE_LANGUAGES, EXCLUDE_LANGUAGES and the video filters
+(VIDEO_TITLE_PATTERN, VIDEO_TAGS, VIDEO_METADATA, CREATED_AFTER/BEFORE,
+UPDATED_AFTER/BEFORE, VIDEO_IDS_FILE).
+
+With --profile (or PROFILE) the API key, base URL and any of those settings come
+from a named profile in ${DEFAULT_PROFILES} (or PROFILES_FILE) instead.
+
+Exit codes:
+  ${EXIT_OK}  Success
+  ${EXIT_FAILURE}  The run failed (authentication, network or unexpected error)
+  ${EXIT_USAGE}  Invalid command, flags or configuration
+  ${EXIT_INCOMPLETE}  The run finished, but failures remain (see the failures file) or videos were left unprocessed
+  ${EXIT_ABORTED}  A deletion was stopped: not confirmed, over --max-deletions, or after its canary`;
+}
+
+export function commandUsage(name) {
+  const command = COMMANDS[name];
+  return `Usage: ${PROGRAM} ${name}${command.arguments ? ` ${command.arguments}` : ''} [options]
+
+${command.summary}
+
+Options:
+${formatOptions(command.options)}`;
+}
+
+// Strips the help metadata so parseArgs only sees its own keys
+function parseArgsOptions(options) {
+  return Object.fromEntries(
+    Object.entries(options).map(([name, { type, short }]) => [name, short ? { type, short } : { type }])
+  );
+}
+
+// The profiles named by --profile or PROFILE; only check can take several at once
+async function resolveProfiles(name, values, env) {
+  const names = (values.profile ?? env.PROFILE ?? '').split(',').map(profile => profile.trim()).filter(Boolean);
+  if (names.length === 0) return { names, config: null };
+
+  if (names.length > 1 && name !== 'check') {
+    throw new UsageError(`${name} runs against one profile at a time, got ${names.join(', ')}`);
+  }
+  if (values['api-key'] || values['base-url']) {
+    throw new UsageError("--api-key and --base-url cannot be combined with a profile, which sets both");
+  }
+
+  const file = values.profiles || env.PROFILES_FILE || DEFAULT_PROFILES;
+  try {
+    const config = await ProfileConfig.load(file);
+    names.forEach(profile => config.get(profile));
+    return { names, config };
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+// A profile's options act as defaults for the command's flags; flags on the command
+// line win. Options for flags another command has are left for that command.
+function withProfileOptions(values, profile, command) {
+  const known = new Set(Object.values(COMMANDS).flatMap(spec => Object.keys(spec.options)));
+  const defaults = {};
+
+  for (const [option, value] of Object.entries(profile.options)) {
+    if (PROFILE_FLAGS.includes(option) || !known.has(option)) {
+      throw new UsageError(`Profile "${profile.name}" sets option "${option}", which is not a flag it can set`);
+    }
+    const spec = command.options[option];
+    if (!spec || values[option] !== undefined) continue;
+    defaults[option] = spec.type === 'boolean' ? Boolean(value) : String(value);
+  }
+  return { ...values, ...defaults };
+}
+
+function profileBanner(profile) {
+  return `👤 Profile: ${profile.name} (${profile.baseUrl || DEFAULT_BASE_URL})`;
+}
+
+// Runs one command line and resolves with the process exit code
+export async function main(argv, env = process.env) {
+  const [name, ...args] = argv;
+
+  if (name === undefined || name === '--help' || name === '-h' || name === 'help') {
+    if (name === undefined) {
+      console.error(usage());
+      return EXIT_USAGE;
+    }
+    console.log(usage());
+    return EXIT_OK;
+  }
+  if (name === '--version') {
+    console.log(version());
+    return EXIT_OK;
+  }
+
+  const command = Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : null;
+  if (!command) {
+    console.error(`❌ Unknown command "${name}"\n`);
+    console.error(usage());
+    return EXIT_USAGE;
+  }
+
+  let task;
+  try {
+    const { values, positionals } = parseArgs({
+      args,
+      options: parseArgsOptions(command.options),
+      allowPositionals: Boolean(command.arguments)
+    });
+
+    if (values.help) {
+      console.log(commandUsage(name));
+      return EXIT_OK;
+    }
+
+    // Says which account the run is about to touch before anything else is printed
+    const { names, config } = await resolveProfiles(name, values, env);
+    if (names.length > 1) {
+      console.error(`👤 Profiles: ${names.join(', ')} (one combined check)`);
+      task = prepareCombinedCheck(values, positionals, env, config, names);
+    } else if (names.length === 1) {
+      const profile = config.get(names[0]);
+      const profileEnv = config.environment(profile.name, env, { requireKey: Boolean(command.options['api-key']) });
+      console.error(profileBanner(profile));
+      task = command.prepare(withProfileOptions(values, profile, command), positionals, profileEnv);
+    } else {
+      if (command.options['api-key']) {
+        console.error("👤 No profile: using API_KEY and BASE_URL from the environment or flags");
+      }
+      task = command.prepare(values, positionals, env);
+    }
+  } catch (error) {
+    // Unknown flags, bad values and invalid filter settings all land here
+    console.error(`❌ ${error.message}`);
+    console.error(`   Run "${PROGRAM} ${name} --help" for usage.`);
+    return EXIT_USAGE;
+  }
+
+  try {
+    return exitCodeFor(await task());
+  } catch (error) {
+    // Settings that can only be checked once the run starts, such as a policy file
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}`);
+      return EXIT_USAGE;
+    }
+    if (error instanceof DeletionAborted) {
+      console.error(`🛑 ${error.message}`);
+      return EXIT_ABORTED;
+    }
+    console.error("💥 Fatal error:", error);
+    return EXIT_FAILURE;
+  }
+}
+
+// Entry point for the bin and the npm scripts: loads .env and sets the exit code
+export async function run(argv) {
+  dotenv.config();
+  process.exitCode = await main(argv);
+}
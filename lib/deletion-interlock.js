@@ -0,0 +1,152 @@
+import { apiKeyFingerprint } from './audit-log.js';
+import { DeletionPlan } from './deletion-plan.js';
+import { captionLanguage } from './language-filter.js';
+import { silentLogger } from './logger.js';
+
+// A run stopped on purpose: not confirmed, over the deletion limit, or halted after the canary
+export class DeletionAborted extends Error {}
+
+const PRODUCTION_URL = "https://ws.api.video";
+
+// What a base URL points at, for the line an operator reads before confirming
+export function describeTarget(baseUrl, apiKey) {
+  const environment = baseUrl === PRODUCTION_URL ? 'PRODUCTION' : /sandbox/i.test(baseUrl) ? 'sandbox' : 'custom';
+  return { baseUrl, environment, account: apiKeyFingerprint(apiKey) };
+}
+
+// Stands between a deletion run and its first DELETE. The run is previewed
+// first (listed like a dry run, nothing deleted), the operator sees the target,
+// the counts and the top languages, and the run only goes on if:
+//   • the preview stays within maxDeletions, and
+//   • confirm({ stage: 'preview', plan, target }) resolves to true.
+// With a canary, the first `canary` captions are deleted alone, then
+// confirm({ stage: 'canary', plan, target, canary: { deleted, failed } }) decides
+// whether the rest follow. The deleter then runs the previewed plan, so nothing
+// beyond what was confirmed is deleted.
+export class DeletionInterlock {
+  constructor({ confirm = null, maxDeletions = null, canary = 0, target, logger = silentLogger }) {
+    if (canary > 0 && !confirm) {
+      throw new Error("A canary phase needs a confirm callback to approve the rest of the run");
+    }
+    this.confirm = confirm;
+    this.maxDeletions = maxDeletions;
+    this.canary = canary;
+    this.target = target;
+    this.logger = logger;
+    this.plan = null;
+    // Canary deletions started and finished, and the approval the others wait on
+    this.canaryStarted = 0;
+    this.canarySettled = { deleted: 0, failed: 0 };
+    this.canaryFinished = null;
+    this.finishCanary = null;
+    this.approval = null;
+  }
+
+  // Without any of the three, runs start deleting straight away as before
+  get active() {
+    return Boolean(this.confirm) || this.maxDeletions !== null || this.canary > 0;
+  }
+
+  // Lists every video and the captions the run would delete, `concurrency` videos
+  // at a time. The deleter supplies:
+  //   videos                            (async) iterable of the videos the run would visit
+  //   listCaptions(videoId)             throws when the captions could not be listed
+  //   shouldDelete(video, caption)      the run's language filter or reviewed plan
+  //   isDone(video, language?)          already handled by a resumed run
+  //   stopped()                         the run was told to stop; ends the preview early
+  //   failed(video, error)              a video left out because its captions could not be listed
+  async preview({ videos, listCaptions, shouldDelete, isDone = () => false, stopped = () => false, failed = () => {}, concurrency = 1, pause = null }) {
+    const plan = new DeletionPlan({ baseUrl: this.target.baseUrl });
+    const iterator = (videos[Symbol.asyncIterator] ?? videos[Symbol.iterator]).call(videos);
+    let listed = 0;
+    let unlisted = 0;
+
+    this.logger.log("\n🔎 Previewing the run before deleting anything...");
+    const worker = async () => {
+      while (!stopped()) {
+        // Concurrent next() calls on a stream are queued, so each video goes to one worker
+        const { value: video, done } = await iterator.next();
+        if (done) break;
+        if (++listed % 100 === 0) this.logger.log(`🔎 ${listed} videos listed, ${plan.captionCount} caption(s) to delete so far`);
+        if (isDone(video)) continue;
+
+        try {
+          for (const caption of await listCaptions(video.videoId)) {
+            const language = captionLanguage(caption);
+            if (shouldDelete(video, caption) && !isDone(video, language)) plan.add(video, language);
+          }
+        } catch (error) {
+          unlisted++;
+          this.logger.error(`❌ Could not list captions for ${video.videoId}, leaving it out of the run:`, error.message);
+          failed(video, error);
+        }
+        if (pause) await pause();
+      }
+    };
+    await Promise.all(Array.from({ length: concurrency }, worker));
+    if (stopped()) throw new DeletionAborted("Stopped during the preview; nothing was deleted");
+
+    if (unlisted > 0) this.logger.log(`⚠️  ${unlisted} video(s) could not be listed and will not be touched`);
+    return plan;
+  }
+
+  // Shows what the run is about to do and throws DeletionAborted unless it may go on
+  async approve(plan) {
+    this.plan = plan;
+    const { baseUrl, environment, account } = this.target;
+    const top = Object.entries(plan.languageCounts().deleted).sort((a, b) => b[1] - a[1]).slice(0, 5);
+
+    this.logger.log("\n🛑 About to delete captions:");
+    this.logger.log(`   • Target: ${baseUrl} (${environment}, account ${account})`);
+    this.logger.log(`   • Videos affected: ${plan.videoCount}`);
+    this.logger.log(`   • Captions to delete: ${plan.captionCount}`);
+    this.logger.log(`   • Top languages: ${top.map(([language, count]) => `${language}: ${count}`).join(', ') || 'none'}`);
+
+    if (plan.captionCount === 0) {
+      this.logger.log("✅ Nothing to delete");
+      return;
+    }
+    if (this.maxDeletions !== null && plan.captionCount > this.maxDeletions) {
+      throw new DeletionAborted(`${plan.captionCount} captions to delete is over the limit of ${this.maxDeletions}; nothing was deleted`);
+    }
+    if (this.canary > 0) {
+      this.logger.log(`   • Canary: the first ${Math.min(this.canary, plan.captionCount)} caption(s) are deleted alone, then the run waits for approval`);
+    }
+    if (this.confirm && !(await this.confirm({ stage: 'preview', plan, target: this.target }))) {
+      throw new DeletionAborted("Deletion not confirmed; nothing was deleted");
+    }
+  }
+
+  // Called before backing up and deleting each caption. Canary deletions go ahead;
+  // every later one waits until the canary has been approved.
+  async beforeDeletion() {
+    if (this.canary === 0) return;
+    if (this.canaryStarted < this.canary && this.canaryStarted < this.plan.captionCount) {
+      this.canaryStarted++;
+      return;
+    }
+    this.approval ??= this.approveCanary();
+    await this.approval;
+  }
+
+  // Called once a caption from beforeDeletion() is deleted, or failed to be
+  afterDeletion(deleted) {
+    const settled = this.canarySettled.deleted + this.canarySettled.failed;
+    if (this.canary === 0 || settled >= this.canaryStarted) return;
+
+    this.canarySettled[deleted ? 'deleted' : 'failed']++;
+    if (settled + 1 === this.canary) this.finishCanary?.();
+  }
+
+  async approveCanary() {
+    if (this.canarySettled.deleted + this.canarySettled.failed < this.canary) {
+      await (this.canaryFinished ??= new Promise(resolve => { this.finishCanary = resolve; }));
+    }
+
+    const { deleted, failed } = this.canarySettled;
+    this.logger.log(`\n🐤 Canary done: ${deleted} caption(s) deleted, ${failed} failed. Check them before the remaining ${this.plan.captionCount - this.canary} are deleted.`);
+    if (!(await this.confirm({ stage: 'canary', plan: this.plan, target: this.target, canary: { deleted, failed } }))) {
+      throw new DeletionAborted(`Stopped after the canary: ${deleted} caption(s) deleted, the other ${this.plan.captionCount - this.canary} left in place`);
+    }
+  }
+}
@@ -0,0 +1,112 @@
+import { readFile, rename, writeFile } from 'node:fs/promises';
+import { LanguageCounts } from './language-filter.js';
+
+const PLAN_VERSION = 1;
+
+// The videoId/language pairs a deletion run would remove. Built by a dry run,
+// saved for review and replayed later so only the reviewed captions are deleted.
+export class DeletionPlan {
+  constructor({ baseUrl, createdAt = new Date().toISOString(), languageFilter = null, videoFilter = null, videos = [] } = {}) {
+    this.baseUrl = baseUrl;
+    this.createdAt = createdAt;
+    this.languageFilter = languageFilter;
+    this.videoFilter = videoFilter;
+    this.videos = new Map(videos.map(video => [video.videoId, { ...video, languages: [...video.languages] }]));
+  }
+
+  static async load(file) {
+    const data = JSON.parse(await readFile(file, 'utf8'));
+    if (data.version !== PLAN_VERSION || !Array.isArray(data.videos)) {
+      throw new Error(`${file} is not a deletion plan (expected version ${PLAN_VERSION})`);
+    }
+    return new DeletionPlan(data);
+  }
+
+  add(video, language) {
+    if (!this.videos.has(video.videoId)) {
+      this.videos.set(video.videoId, { videoId: video.videoId, title: video.title, languages: [] });
+    }
+    this.videos.get(video.videoId).languages.push(language);
+  }
+
+  has(videoId, language) {
+    const video = this.videos.get(videoId);
+    return Boolean(video && video.languages.includes(language));
+  }
+
+  get videoCount() {
+    return this.videos.size;
+  }
+
+  get captionCount() {
+    let count = 0;
+    for (const video of this.videos.values()) count += video.languages.length;
+    return count;
+  }
+
+  languageCounts() {
+    const counts = new LanguageCounts();
+    for (const video of this.videos.values()) {
+      video.languages.forEach(language => counts.add('deleted', language));
+    }
+    return counts;
+  }
+
+  // Requests needed to execute this plan with --plan: one caption lookup per video,
+  // then a backup download and a DELETE per caption, and one more lookup per video
+  // for each of the preview (when the run is confirmed, see DeletionInterlock) and
+  // the verification. The plan names its videos, so none are spent on listing
+  // them; retries are not counted.
+  estimateRequests({ verify = true, preview = false } = {}) {
+    const captions = this.captionCount;
+    const estimate = {
+      auth: 1,
+      previewLookups: preview ? this.videoCount : 0,
+      captionLookups: this.videoCount,
+      backupDownloads: captions,
+      deletions: captions,
+      verificationLookups: verify ? this.videoCount : 0
+    };
+    estimate.total = estimate.auth + estimate.previewLookups + estimate.captionLookups + estimate.backupDownloads + estimate.deletions + estimate.verificationLookups;
+    return estimate;
+  }
+
+  toJSON() {
+    return {
+      version: PLAN_VERSION,
+      createdAt: this.createdAt,
+      baseUrl: this.baseUrl,
+      languageFilter: this.languageFilter,
+      videoFilter: this.videoFilter,
+      totals: {
+        videos: this.videoCount,
+        captions: this.captionCount,
+        byLanguage: this.languageCounts().deleted
+      },
+      videos: [...this.videos.values()]
+    };
+  }
+
+  async save(file) {
+    await writeFile(`${file}.tmp`, JSON.stringify(this, null, 2));
+    await rename(`${file}.tmp`, file);
+  }
+
+  print(logger = console, { verify = true, preview = false } = {}) {
+    const requests = this.estimateRequests({ verify, preview });
+
+    logger.log("\n📝 Deletion plan (dry run, nothing was deleted):");
+    logger.log(`   • Videos affected: ${this.videoCount}`);
+    logger.log(`   • Captions to delete: ${this.captionCount}`);
+    logger.log(`   • By language: ${this.languageCounts().format('deleted')}`);
+    logger.log(`   • Requests to execute with --plan: ${requests.total} (${requests.auth} auth, ${requests.previewLookups} preview lookups, ${requests.captionLookups} caption lookups, ${requests.backupDownloads} backup downloads, ${requests.deletions} deletions, ${requests.verificationLookups} verification lookups; no video listing)`);
+
+    if (this.videoCount > 0) {
+      logger.log("\n📋 Captions that would be deleted:");
+      [...this.videos.values()].forEach((video, index) => {
+        logger.log(`   ${index + 1}. ${video.videoId} (${video.title})`);
+        logger.log(`      └── ${video.languages.length} captions: ${video.languages.join(', ')}`);
+      });
+    }
+  }
+}
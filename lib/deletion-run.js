@@ -0,0 +1,255 @@
+import { ApiVideoClient } from './api-video-client.js';
+import { CaptionBackup } from './caption-backup.js';
+import { DeletionInterlock, describeTarget } from './deletion-interlock.js';
+import { DeletionPlan } from './deletion-plan.js';
+import { DeletionVerifier } from './deletion-verifier.js';
+import { FailureLog } from './failure-log.js';
+import { RunJournal } from './run-journal.js';
+import { LanguageFilter, captionLanguage } from './language-filter.js';
+import { VideoFilter } from './video-filter.js';
+import { VideoListing } from './video-listing.js';
+
+// What the sequential and the fast deleter have in common. Internal; not exported
+// from the package.
+//   - The captions come from the language filter, a reviewed plan (planFile, saved
+//     by a dry run with planOut) or an earlier run's failures file (retryFile).
+//   - Every caption is backed up first, and kept if its backup fails.
+//   - With confirm, maxDeletions or canary set, the run is previewed and must be
+//     approved first, and then deletes only what the preview showed (see
+//     DeletionInterlock).
+//   - A journal records finished videos and deleted captions for --resume.
+//   - At the end, the run lists its videos again and retries the captions left on
+//     them (see DeletionVerifier).
+//   - Failures are classified, and the ones still left are saved to failuresFile
+//     for a retryFile run (see FailureLog).
+export class DeletionRun extends ApiVideoClient {
+  constructor({
+    script,
+    apiKey,
+    baseUrl,
+    backupDir,
+    includeLanguages,
+    excludeLanguages,
+    videoFilterOptions,
+    dryRun,
+    planOut,
+    planFile,
+    retryFile,
+    failuresFile,
+    resume,
+    journalFile,
+    verify,
+    verifyRetries,
+    confirm,
+    maxDeletions,
+    canary,
+    ...clientOptions
+  }) {
+    super({ apiKey, baseUrl, videoFilter: new VideoFilter(videoFilterOptions), ...clientOptions });
+    // Recorded in the journal, so a resume is refused for the other deleter's journal
+    this.script = script;
+    this.backup = new CaptionBackup(backupDir);
+    this.includeLanguages = includeLanguages;
+    this.excludeLanguages = excludeLanguages;
+    this.videoFilterOptions = videoFilterOptions;
+    this.languageFilter = new LanguageFilter({ include: includeLanguages, exclude: excludeLanguages });
+    // --plan-out only makes sense without deleting anything
+    this.dryRun = dryRun || Boolean(planOut);
+    this.planOut = planOut;
+    this.planFile = planFile;
+    this.reviewedPlan = null;
+    // A failures file from an earlier run makes this run retry only what failed there
+    this.retryFile = retryFile;
+    this.retryTargets = null;
+    // The FailureLog of the current run, and where it is saved at the end, if anywhere
+    this.failures = null;
+    this.failuresFile = failuresFile;
+    this.resume = resume;
+    // A null journalFile runs without a checkpoint journal
+    this.journalFile = journalFile;
+    this.journal = null;
+    this.verify = verify;
+    this.verifyRetries = verifyRetries;
+    this.verifier = null;
+    this.interlock = new DeletionInterlock({ confirm, maxDeletions, canary, target: describeTarget(baseUrl, apiKey), logger: this.logger });
+  }
+
+  // Everything that decides what a run deletes; a resume must match these exactly
+  runParams() {
+    return {
+      script: this.script,
+      baseUrl: this.baseUrl,
+      plan: this.planFile,
+      ...(this.retryFile ? { retry: this.retryFile } : {}),
+      includeLanguages: this.includeLanguages,
+      excludeLanguages: this.excludeLanguages,
+      videoFilter: this.videoFilterOptions
+    };
+  }
+
+  // Checks the options, loads the plan or the failures to retry, and opens the journal
+  async prepareRun() {
+    if (this.dryRun && this.resume) {
+      throw new Error("--resume cannot be combined with a dry run");
+    }
+    if (this.resume && !this.journalFile) {
+      throw new Error("Resuming needs a journal file");
+    }
+    if (this.planFile && this.retryFile) {
+      throw new Error("A run either executes a reviewed plan or retries failures, not both");
+    }
+
+    if (this.planFile) {
+      await this.loadReviewedPlan();
+    } else {
+      if (this.retryFile) await this.loadRetryTargets();
+      this.logger.log(`🌍 Languages to delete: ${this.languageFilter.describe()}`);
+    }
+    this.failures = new FailureLog({ baseUrl: this.baseUrl, includeLanguages: this.includeLanguages, excludeLanguages: this.excludeLanguages });
+
+    // Dry runs change nothing, so there is nothing to checkpoint
+    if (!this.dryRun && this.journalFile) {
+      await this.openJournal();
+    }
+  }
+
+  async openJournal() {
+    this.journal = await new RunJournal(this.journalFile, this.runParams()).open({ resume: this.resume });
+    if (this.resume) {
+      this.logger.log(`⏯️  Resuming from ${this.journal.file}: ${this.journal.completedVideos.size} video(s) already done`);
+    } else {
+      this.logger.log(`📒 Writing checkpoint journal to ${this.journal.file}`);
+    }
+  }
+
+  async loadReviewedPlan() {
+    const plan = await DeletionPlan.load(this.planFile);
+    if (plan.baseUrl !== this.baseUrl) {
+      throw new Error(`Plan ${this.planFile} was made against ${plan.baseUrl}, refusing to run it against ${this.baseUrl}`);
+    }
+
+    this.logger.log(`📝 Executing reviewed plan ${this.planFile} (created ${plan.createdAt}): ${plan.captionCount} caption(s) on ${plan.videoCount} video(s)`);
+    this.logger.log("   Language and video filters are ignored; only captions listed in the plan are deleted.");
+    this.reviewedPlan = plan;
+  }
+
+  // The failed run's language filter applies again, to the videos whose captions it
+  // could not list; elsewhere only the captions that failed are retried
+  async loadRetryTargets() {
+    const failed = await FailureLog.load(this.retryFile);
+    if (failed.baseUrl !== this.baseUrl) {
+      throw new Error(`Failures in ${this.retryFile} were recorded against ${failed.baseUrl}, refusing to retry them against ${this.baseUrl}`);
+    }
+
+    this.retryTargets = failed.retryTargets();
+    this.includeLanguages = failed.includeLanguages;
+    this.excludeLanguages = failed.excludeLanguages;
+    this.languageFilter = new LanguageFilter({ include: failed.includeLanguages, exclude: failed.excludeLanguages });
+    this.logger.log(`🔁 Retrying failures from ${this.retryFile} (created ${failed.createdAt}): ${failed.size} on ${this.retryTargets.size} video(s) - ${FailureLog.format(failed.counts())}`);
+    this.logger.log("   Video filters are ignored; the languages are those of the run that failed.");
+  }
+
+  // What a dry run collects, labelled with what chose the captions
+  createPlan() {
+    return new DeletionPlan({
+      baseUrl: this.baseUrl,
+      languageFilter: this.reviewedPlan ? `plan ${this.planFile}` : this.languageFilter.describe(),
+      videoFilter: this.reviewedPlan ? `plan ${this.planFile}` : this.retryTargets ? `failures in ${this.retryFile}` : this.videoFilter.describe()
+    });
+  }
+
+  // A reviewed plan replaces discovery and the language filter entirely, and a retry
+  // replaces discovery. Either way the videos come as a stream, so deletions start
+  // before the listing is finished.
+  getVideosToProcess() {
+    const videos = this.reviewedPlan?.videos ?? this.retryTargets;
+    if (!videos) return this.iterateVideos();
+
+    this.listing = new VideoListing(videos.size);
+    this.listing.add(videos.size, videos.size);
+    this.listing.finish();
+    this.emit('videos', { total: videos.size, estimated: false });
+    return videos.values();
+  }
+
+  // Lists the run ahead of time and waits for its approval. From then on the run
+  // works from the previewed plan, so it deletes nothing that was not shown. The
+  // deleter adds how the preview is paced (concurrency, pause) and when it stops.
+  async previewAndConfirm(pacing = {}) {
+    const plan = await this.interlock.preview({
+      videos: this.getVideosToProcess(),
+      listCaptions: videoId => this.listCaptions(videoId),
+      shouldDelete: (video, caption) => this.shouldDelete(video, caption),
+      isDone: (video, language) => Boolean(this.journal) &&
+        (language ? this.journal.isCaptionDeleted(video.videoId, language) : this.journal.isVideoDone(video.videoId)),
+      failed: (video, error) => this.recordListFailure(video, error),
+      ...pacing
+    });
+    await this.interlock.approve(plan);
+    this.reviewedPlan = plan;
+  }
+
+  shouldDelete(video, caption) {
+    if (this.reviewedPlan) return this.reviewedPlan.has(video.videoId, captionLanguage(caption));
+    const retried = this.retryTargets?.get(video.videoId)?.languages;
+    if (retried) return retried.includes(captionLanguage(caption));
+    return this.languageFilter.shouldDelete(caption);
+  }
+
+  // With a plan (or a retry), what failed is the captions it named on the video;
+  // otherwise it is the whole video
+  recordListFailure(video, error) {
+    const languages = (this.reviewedPlan?.videos ?? this.retryTargets)?.get(video.videoId)?.languages ?? [null];
+    for (const language of languages) this.failures.record({ stage: 'list', video, language, error });
+  }
+
+  // Saves the caption file and its metadata to the local archive before it is deleted.
+  // Resolves to the archive entry, or null when the caption must not be deleted.
+  async backupCaption(video, caption) {
+    const language = captionLanguage(caption);
+
+    try {
+      return await this.backup.save(url => this.fetchWithRetry(url), video, caption);
+    } catch (error) {
+      this.logger.error(`❌ Failed to back up caption (${language}) for video ${video.videoId}:`, error.message);
+      this.failures.record({ stage: 'backup', video, language, error });
+      return null;
+    }
+  }
+
+  // Queues a video the run deleted from, or could not list, for the verification.
+  // Only its ID and title are kept, so a long run does not hold on to every video.
+  queueVerification(queue, video) {
+    if (this.verify && !this.dryRun) queue.set(video.videoId, { videoId: video.videoId, title: video.title });
+  }
+
+  // Lists the videos again and retries the captions still on them through
+  // deleteCaption. Videos that failed during the run but turn out clean are
+  // checkpointed after all, and their failures dropped.
+  async verifyDeletions(videos, failedVideos, { deleteCaption, concurrency = 1, pause = null, stopped = null }) {
+    const byId = new Map(videos.map(video => [video.videoId, video]));
+    this.verifier = new DeletionVerifier({
+      listCaptions: videoId => this.listCaptions(videoId).catch(error => {
+        this.recordListFailure(byId.get(videoId), error);
+        throw error;
+      }),
+      shouldDelete: (video, caption) => this.shouldDelete(video, caption),
+      deleteCaption,
+      retries: this.verifyRetries,
+      concurrency,
+      pause,
+      stopped,
+      logger: this.logger
+    });
+    const verification = await this.verifier.verify(videos);
+
+    const dirty = new Set([...verification.leftovers.map(leftover => leftover.videoId), ...verification.unverifiable, ...verification.unchecked]);
+    this.failures.resolveVideos([...byId.keys()].filter(videoId => !dirty.has(videoId)));
+    if (this.journal) {
+      for (const videoId of failedVideos) {
+        if (!dirty.has(videoId)) await this.journal.recordVideoDone(videoId);
+      }
+    }
+    return verification;
+  }
+}
@@ -0,0 +1,124 @@
+import { captionLanguage } from './language-filter.js';
+import { silentLogger } from './logger.js';
+
+// Second look at the videos a deletion run deleted from or could not list. A failed
+// deletion or a caption listing that errored can leave captions behind without the
+// run noticing, so each video is listed again, strictly this time, and any caption
+// the run should have deleted is retried. That repeats up to `retries` times; the
+// last round only looks. The deleter supplies the API calls:
+//   listCaptions(videoId)          throws when the captions could not be listed
+//   shouldDelete(video, caption)   whether the run was meant to delete the caption
+//   deleteCaption(video, caption)  backs up and deletes it, resolving to true on
+//                                  success, or null when it was not attempted
+//   stopped()                      optional; once true, no further video is started
+export class DeletionVerifier {
+  constructor({ listCaptions, shouldDelete, deleteCaption, retries = 2, concurrency = 1, pause = null, stopped = null, logger = silentLogger }) {
+    this.listCaptions = listCaptions;
+    this.shouldDelete = shouldDelete;
+    this.deleteCaption = deleteCaption;
+    this.retries = retries;
+    this.concurrency = concurrency;
+    // Called between videos, e.g. the sequential deleter's rate-limit aware delay
+    this.pause = pause;
+    // E.g. the fast deleter's time budget running out
+    this.stopped = stopped;
+    this.logger = logger;
+  }
+
+  // Returns the videos still holding captions to delete, with those captions, the
+  // videos that could not be listed, and those not listed because the verification
+  // was stopped. All three empty means the videos are clean.
+  async inspect(videos) {
+    const leftovers = [];
+    const unverifiable = [];
+    const checked = new Set();
+
+    await this.forEach(videos, async video => {
+      checked.add(video);
+      try {
+        const captions = (await this.listCaptions(video.videoId)).filter(caption => this.shouldDelete(video, caption));
+        if (captions.length > 0) leftovers.push({ video, captions });
+      } catch (error) {
+        this.logger.error(`❌ Could not verify video ${video.videoId}:`, error.message);
+        unverifiable.push(video);
+      }
+    });
+
+    return { leftovers, unverifiable, unchecked: videos.filter(video => !checked.has(video)) };
+  }
+
+  async verify(videos) {
+    const summary = { videos: videos.length, rounds: 0, captionsRetried: 0, captionsDeleted: 0, leftovers: [], unverifiable: [], unchecked: [], clean: false };
+    if (videos.length === 0) {
+      summary.clean = true;
+      return summary;
+    }
+
+    this.logger.log(`\n🔎 Verifying ${videos.length} video(s)...`);
+    let pending = videos;
+
+    for (let round = 0; ; round++) {
+      summary.rounds++;
+      const { leftovers, unverifiable, unchecked } = await this.inspect(pending);
+      const remaining = leftovers.reduce((sum, leftover) => sum + leftover.captions.length, 0);
+
+      if (remaining === 0 && unverifiable.length === 0 && unchecked.length === 0) {
+        summary.clean = true;
+        break;
+      }
+
+      this.logger.log(`⚠️  ${remaining} caption(s) left on ${leftovers.length} video(s), ${unverifiable.length} video(s) could not be listed`);
+      if (unchecked.length > 0) this.logger.log(`⏹️  Verification stopped: ${unchecked.length} video(s) not checked`);
+      if (round === this.retries || this.stopped?.()) {
+        summary.leftovers = leftovers.flatMap(({ video, captions }) =>
+          captions.map(caption => ({ videoId: video.videoId, language: captionLanguage(caption) }))
+        );
+        summary.unverifiable = unverifiable.map(video => video.videoId);
+        summary.unchecked = unchecked.map(video => video.videoId);
+        break;
+      }
+
+      this.logger.log(`🔁 Retry ${round + 1}/${this.retries}: deleting the leftover captions again`);
+      await this.forEach(leftovers, async ({ video, captions }) => {
+        for (const caption of captions) {
+          const deleted = await this.deleteCaption(video, caption);
+          if (deleted === null) continue;
+          summary.captionsRetried++;
+          if (deleted) summary.captionsDeleted++;
+        }
+      });
+
+      // Videos that could not be listed get another chance alongside the retried ones
+      pending = [...leftovers.map(leftover => leftover.video), ...unverifiable];
+    }
+
+    return summary;
+  }
+
+  // Summary lines for the end of a run. A run that stopped before the end of the
+  // listing can only vouch for the videos it reached.
+  printSummary(summary, { complete = true } = {}) {
+    this.logger.log(`   • Verified: ${summary.videos} video(s) in ${summary.rounds} round(s), ${summary.captionsDeleted}/${summary.captionsRetried} leftover caption(s) deleted on retry`);
+
+    if (!summary.clean) {
+      const sample = summary.leftovers.slice(0, 5).map(({ videoId, language }) => `${videoId} (${language})`).join(', ');
+      this.logger.log(`⚠️  NOT verifiably clean: ${summary.leftovers.length} caption(s) still present${sample ? ` - ${sample}${summary.leftovers.length > 5 ? ', ...' : ''}` : ''}; ${summary.unverifiable.length} video(s) could not be checked${summary.unchecked.length > 0 ? `, ${summary.unchecked.length} not checked before the verification stopped` : ''}`);
+    } else if (complete) {
+      this.logger.log("✅ Verifiably clean: none of the captions this run was meant to delete are left");
+    } else {
+      this.logger.log("✅ The videos this run reached are verifiably clean, but it stopped before reaching them all");
+    }
+  }
+
+  // Runs the task for every item, at most `concurrency` at a time, until stopped
+  async forEach(items, task) {
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length && !this.stopped?.()) {
+        await task(items[next++]);
+        if (this.pause && next < items.length) await this.pause();
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, worker));
+  }
+}
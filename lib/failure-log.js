@@ -0,0 +1,140 @@
+import { mkdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const FAILURES_VERSION = 1;
+
+// Why a caption could not be listed, backed up or deleted:
+//   auth         401/403: the key or token was refused
+//   not-found    404: the video or caption was gone
+//   rate-limit   429 after every retry was used up
+//   validation   any other 4xx: the API rejected the request
+//   server       5xx
+//   network      no response at all: connection refused or dropped, timed out, cancelled
+//   other        anything else, e.g. a caption file that is not WebVTT or could not be saved
+export const FAILURE_CLASSES = ['auth', 'not-found', 'rate-limit', 'validation', 'server', 'network', 'other'];
+
+// Errors carry `status` when they come from an HTTP response, and `network` when
+// fetchWithRetry gave up without getting one
+export function classifyFailure({ status = null, error = null } = {}) {
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 404) return 'not-found';
+  if (status === 429) return 'rate-limit';
+  if (status >= 400 && status < 500) return 'validation';
+  if (status >= 500) return 'server';
+  return error?.network ? 'network' : 'other';
+}
+
+// The captions (or whole videos, when their captions could not be listed) a
+// deletion run failed on, with the class and details of each failure. A later
+// success on the same item clears it, so at the end of a run it holds what is
+// still failed. Saved as JSON, it is what --retry-failed reads back.
+export class FailureLog {
+  constructor({ baseUrl, createdAt = new Date().toISOString(), includeLanguages = [], excludeLanguages = [], failures = [] } = {}) {
+    this.baseUrl = baseUrl;
+    this.createdAt = createdAt;
+    // The run's language filter, for the videos that failed before any caption was chosen
+    this.includeLanguages = includeLanguages;
+    this.excludeLanguages = excludeLanguages;
+    this.failures = new Map(failures.map(failure => [key(failure.videoId, failure.language), failure]));
+    // Every failure recorded, by class, including those that later succeeded
+    this.classCounts = {};
+  }
+
+  static async load(file) {
+    const data = JSON.parse(await readFile(file, 'utf8'));
+    if (data.version !== FAILURES_VERSION || !Array.isArray(data.failures)) {
+      throw new Error(`${file} is not a failures file (expected version ${FAILURES_VERSION})`);
+    }
+    return new FailureLog(data);
+  }
+
+  // stage is 'list', 'backup' or 'delete'; language is null for a video whose captions could not be listed
+  record({ stage, video, language = null, status = null, error = null, retries = null }) {
+    status ??= error?.status ?? null;
+    const failure = {
+      videoId: video.videoId,
+      title: video.title ?? null,
+      language,
+      stage,
+      class: classifyFailure({ status, error }),
+      status,
+      error: error?.message ?? null,
+      retries: retries ?? error?.retries ?? 0,
+      failedAt: new Date().toISOString()
+    };
+    this.failures.set(key(failure.videoId, language), failure);
+    this.classCounts[failure.class] = (this.classCounts[failure.class] || 0) + 1;
+    return failure;
+  }
+
+  // A caption deleted after all, e.g. by a verification retry
+  resolve(videoId, language = null) {
+    this.failures.delete(key(videoId, language));
+  }
+
+  // Drops everything on videos a verification found clean
+  resolveVideos(videoIds) {
+    const clean = new Set(videoIds);
+    for (const [id, failure] of this.failures) {
+      if (clean.has(failure.videoId)) this.failures.delete(id);
+    }
+  }
+
+  get size() {
+    return this.failures.size;
+  }
+
+  // The failures still open, by class
+  counts() {
+    const counts = {};
+    for (const failure of this.failures.values()) counts[failure.class] = (counts[failure.class] || 0) + 1;
+    return counts;
+  }
+
+  static format(counts) {
+    return FAILURE_CLASSES.filter(name => counts[name]).map(name => `${name}: ${counts[name]}`).join(', ') || 'none';
+  }
+
+  // What a retry run goes through: each failed video with the languages to retry,
+  // or languages null when the whole video is retried under the run's language filter
+  retryTargets() {
+    const videos = new Map();
+    for (const failure of this.failures.values()) {
+      if (!videos.has(failure.videoId)) videos.set(failure.videoId, { videoId: failure.videoId, title: failure.title, languages: [] });
+      const video = videos.get(failure.videoId);
+      if (failure.language === null) {
+        video.languages = null;
+      } else if (video.languages) {
+        video.languages.push(failure.language);
+      }
+    }
+    return videos;
+  }
+
+  toJSON() {
+    return {
+      version: FAILURES_VERSION,
+      createdAt: this.createdAt,
+      baseUrl: this.baseUrl,
+      includeLanguages: this.includeLanguages,
+      excludeLanguages: this.excludeLanguages,
+      counts: this.counts(),
+      failures: [...this.failures.values()]
+    };
+  }
+
+  // Written whole through a temporary file; a run with no failures left removes an older one
+  async save(file) {
+    if (this.size === 0) {
+      await rm(file, { force: true });
+      return;
+    }
+    await mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    await writeFile(`${file}.tmp`, JSON.stringify(this, null, 2));
+    await rename(`${file}.tmp`, file);
+  }
+}
+
+function key(videoId, language) {
+  return `${videoId}/${language ?? '*'}`;
+}
@@ -0,0 +1,625 @@
+import { mkdir, rename, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { AdaptiveConcurrency } from './adaptive-concurrency.js';
+import { DeletionRun } from './deletion-run.js';
+import { FailureLog } from './failure-log.js';
+import { silentLogger } from './logger.js';
+import { RateLimiter } from './rate-limiter.js';
+import { LanguageCounts, captionLanguage } from './language-filter.js';
+
+// Parallel deleter for large accounts: many videos at once behind a shared rate
+// limiter, stopping when its time or caption budget runs out or stop() is called.
+// What it shares with the sequential deleter is described on DeletionRun. Emits
+// 'videos', 'caption', 'video', 'progress' and 'done' like the sequential deleter.
+export class FastCaptionDeleter extends DeletionRun {
+  constructor({
+    apiKey,
+    baseUrl = "https://ws.api.video",
+    backupDir = "caption-backups",
+    includeLanguages = [],
+    excludeLanguages = [],
+    videoFilterOptions = {},
+    pageSize = 100,
+    pageDelay = 50,
+    videoConcurrency = 10,
+    timeBudgetMinutes = 10,
+    maxCaptions = null,
+    gracePeriodSeconds = 30,
+    remainingFile = null,
+    dryRun = false,
+    planOut = null,
+    planFile = null,
+    retryFile = null,
+    failuresFile = null,
+    resume = false,
+    journalFile = 'journals/fast-delete.jsonl',
+    adaptive = false,
+    maxConcurrency = 20,
+    verify = true,
+    verifyRetries = 2,
+    confirm = null,
+    maxDeletions = null,
+    canary = 0,
+    auditLog = null,
+    checkCacheFile = null,
+    logger = silentLogger
+  } = {}) {
+    // Time spent waiting for the operator does not count against the time budget
+    const timedConfirm = confirm && (async details => {
+      const askedAt = Date.now();
+      try {
+        return await confirm(details);
+      } finally {
+        this.startTime += Date.now() - askedAt;
+      }
+    });
+    super({
+      script: 'fast-delete',
+      apiKey,
+      baseUrl,
+      backupDir,
+      includeLanguages,
+      excludeLanguages,
+      videoFilterOptions,
+      pageSize,
+      pageDelay,
+      // Adaptive mode replaces the fixed video and caption batches with an AIMD-tuned limit
+      concurrency: adaptive ? new AdaptiveConcurrency({ max: maxConcurrency, logger }) : null,
+      dryRun,
+      planOut,
+      planFile,
+      retryFile,
+      failuresFile,
+      resume,
+      journalFile,
+      verify,
+      verifyRetries,
+      confirm: timedConfirm,
+      maxDeletions,
+      canary,
+      auditLog,
+      checkCacheFile,
+      logger
+    });
+    this.videoConcurrency = videoConcurrency;
+    this.timeBudgetMinutes = timeBudgetMinutes;
+    // Deletions the run may start; null for no limit
+    this.maxCaptions = maxCaptions;
+    this.captionsStarted = 0;
+    this.gracePeriodSeconds = gracePeriodSeconds;
+    this.graceTimer = null;
+    // Cancels the requests still in flight once the grace period after stop() is over
+    this.abortController = new AbortController();
+    this.signal = this.abortController.signal;
+    // Why the run stopped starting new work ('time', 'captions' or 'interrupted'), null while it goes on
+    this.stopReason = null;
+    // Where the videos a stopped run did not finish are written, if anywhere
+    this.remainingFile = remainingFile;
+    this.unfinished = [];
+    this.limiter = new RateLimiter({ logger });
+    this.startTime = Date.now();
+    this.listFailures = 0;
+    this.backupFailures = 0;
+    this.deleteFailures = 0;
+    this.languageCounts = new LanguageCounts();
+    this.plan = null;
+    this.videosResumed = 0;
+    // Videos this run deleted from or could not list, and those with a caption that was not deleted
+    this.videosToVerify = new Map();
+    this.failedVideos = [];
+  }
+
+  // Every API request waits for the shared rate limiter, and in adaptive mode for a
+  // concurrency slot, then reports the outcome back to both. Caption file downloads
+  // from the CDN don't count against the API budget.
+  async sendRequest(url, options) {
+    if (!url.startsWith(this.baseUrl)) return fetch(url, options);
+
+    if (this.concurrency) await this.concurrency.acquire();
+    await this.limiter.acquire();
+
+    const startedAt = Date.now();
+    try {
+      // Cancelled while waiting for its turn; the slot is handed back below like any failure
+      options.signal.throwIfAborted();
+      const response = await fetch(url, options);
+      this.limiter.release(response);
+      if (this.concurrency) this.concurrency.release({ startedAt, latencyMs: Date.now() - startedAt, status: response.status });
+      return response;
+    } catch (error) {
+      this.limiter.release(null);
+      if (this.concurrency) this.concurrency.release({ startedAt, latencyMs: Date.now() - startedAt, error: true });
+      throw error;
+    }
+  }
+
+  // A 429 holds every worker: the limiter cools down and the retry waits for it
+  async waitForRateLimit(url, response, attempt) {
+    const retryAfter = parseInt(response.headers.get('X-RateLimit-Retry-After')) || Math.pow(2, attempt);
+    this.limiter.cooldown(retryAfter);
+    this.emit('rateLimited', { url, retryAfter, attempt: attempt + 1 });
+  }
+
+  // Pulls up to count videos from the source
+  async take(videos, count) {
+    const batch = [];
+    while (batch.length < count) {
+      const { value, done } = await videos.next();
+      if (done) break;
+      batch.push(value);
+    }
+    return batch;
+  }
+
+  // Backs the caption up first and only deletes it if that succeeded. Failures of
+  // a verification retry are not counted again; the verification reports them.
+  async backupAndDeleteCaption(video, caption, { retry = false } = {}) {
+    const language = captionLanguage(caption);
+    
+    // Holds everything after the canary until it has been approved; retries come after it anyway
+    if (!retry) await this.interlock.beforeDeletion();
+    
+    if (!(await this.backupCaption(video, caption))) {
+      if (!retry) this.interlock.afterDeletion(false);
+      if (!retry) this.backupFailures++;
+      this.emit('caption', { video, language, outcome: 'backup-failed', ...(retry ? { retry } : {}) });
+      return false;
+    }
+
+    const { deleted, status, retries, error } = await this.tryDeleteCaption(video.videoId, language, video.title);
+    if (!retry) this.interlock.afterDeletion(deleted);
+    if (deleted) {
+      this.languageCounts.add('deleted', language);
+      this.failures.resolve(video.videoId, language);
+      if (this.journal) await this.journal.recordCaptionDeleted(video.videoId, language);
+    } else {
+      if (!retry) this.deleteFailures++;
+      this.failures.record({ stage: 'delete', video, language, status, retries, error });
+    }
+    this.emit('caption', { video, language, outcome: deleted ? 'deleted' : 'delete-failed', ...(retry ? { retry } : {}) });
+    return deleted;
+  }
+
+  // Graceful shutdown, e.g. on SIGINT: no new video or caption is started, requests
+  // in flight get gracePeriodSeconds to finish before they are cancelled, and the
+  // run then ends with its summary (without the verification pass)
+  stop() {
+    if (this.stopReason === 'interrupted') return;
+    this.stopReason = 'interrupted';
+    this.logger.log(`\n🛑 Stopping: no new work is started, requests in flight get ${this.gracePeriodSeconds}s to finish...`);
+
+    this.graceTimer = setTimeout(() => {
+      this.logger.log("⏰ Grace period over: cancelling the requests still in flight");
+      this.abortController.abort();
+    }, this.gracePeriodSeconds * 1000);
+    this.graceTimer.unref();
+  }
+
+  timeUp() {
+    return (Date.now() - this.startTime) / 1000 / 60 >= this.timeBudgetMinutes;
+  }
+
+  // Whether to stop starting new videos: stop() was called or a budget ran out
+  get stopping() {
+    if (!this.stopReason && this.timeUp()) {
+      this.logger.log(`⏰ ${this.timeBudgetMinutes} minutes reached. Stopping...`);
+      this.stopReason = 'time';
+    }
+    return this.stopReason !== null;
+  }
+
+  // Whether the verification must stop listing videos: the run was interrupted or its
+  // time is up. A spent caption budget only holds back the retries (see captionAllowed).
+  verificationStopped() {
+    if (this.stopping && this.stopReason !== 'captions') return true;
+    return this.timeUp();
+  }
+
+  // Whether another caption deletion may start
+  captionAllowed() {
+    if (this.stopReason) return false;
+    if (this.maxCaptions !== null && this.captionsStarted >= this.maxCaptions) {
+      this.logger.log(`🧮 Caption budget of ${this.maxCaptions} reached. Stopping...`);
+      this.stopReason = 'captions';
+      return false;
+    }
+    this.captionsStarted++;
+    return true;
+  }
+
+  describeStop() {
+    return {
+      time: `the ${this.timeBudgetMinutes}-minute time budget ran out`,
+      captions: `the budget of ${this.maxCaptions} caption(s) was used up`,
+      interrupted: 'it was interrupted'
+    }[this.stopReason];
+  }
+
+  async processBatch(videos, batchIndex, totalBatches) {
+    let deletedCount = 0;
+    const elapsed = (Date.now() - this.startTime) / 1000 / 60;
+    const remaining = this.timeBudgetMinutes - elapsed;
+    
+    this.logger.log(`🔥 Batch ${batchIndex + 1}/${totalBatches} | ${remaining.toFixed(1)} min remaining`);
+
+    for (const video of videos) {
+      deletedCount += await this.processVideo(video);
+    }
+    
+    return deletedCount;
+  }
+
+  async processVideo(video) {
+    if (this.stopping) {
+      this.unfinished.push({ videoId: video.videoId, reason: 'not reached' });
+      return 0;
+    }
+    
+    if (this.journal && this.journal.isVideoDone(video.videoId)) {
+      this.videosResumed++;
+      this.emit('video', { video, captions: 0, failed: false, resumed: true });
+      return 0;
+    }
+    
+    let allCaptions;
+    try {
+      allCaptions = await this.listCaptions(video.videoId);
+    } catch (error) {
+      // Not checkpointed, so the verification and --resume look at it again
+      this.logger.error(`❌ Error getting captions for ${video.videoId}:`, error.message);
+      this.listFailures++;
+      this.recordListFailure(video, error);
+      this.queueVerification(this.videosToVerify, video);
+      this.failedVideos.push(video.videoId);
+      this.emit('video', { video, captions: 0, failed: true, resumed: false });
+      return 0;
+    }
+    const captions = allCaptions.filter(caption =>
+      this.shouldDelete(video, caption) && !(this.journal && this.journal.isCaptionDeleted(video.videoId, captionLanguage(caption)))
+    );
+    
+    allCaptions
+      .filter(caption => !captions.includes(caption))
+      .forEach(caption => {
+        this.languageCounts.add('kept', captionLanguage(caption));
+        this.emit('caption', { video, language: captionLanguage(caption), outcome: 'kept' });
+      });
+    
+    if (captions.length === 0) {
+      if (this.journal) await this.journal.recordVideoDone(video.videoId);
+      this.emit('video', { video, captions: allCaptions.length, failed: false, resumed: false });
+      return 0;
+    }
+    
+    if (this.dryRun) {
+      captions.forEach(caption => {
+        this.plan.add(video, captionLanguage(caption));
+        this.emit('caption', { video, language: captionLanguage(caption), outcome: 'planned' });
+      });
+      this.emit('video', { video, captions: allCaptions.length, failed: false, resumed: false });
+      return 0;
+    }
+    
+    this.logger.log(`🗑️  Deleting ${captions.length} captions from ${video.videoId}`);
+    
+    // Process captions in small concurrent batches; in adaptive mode the controller bounds them instead
+    const captionBatchSize = this.concurrency ? captions.length : 3;
+    const captionBatches = [];
+    for (let i = 0; i < captions.length; i += captionBatchSize) {
+      captionBatches.push(captions.slice(i, i + captionBatchSize));
+    }
+    
+    let deletedCount = 0;
+    let videoFailed = false;
+    let cutShort = false;
+    
+    for (const captionBatch of captionBatches) {
+      const promises = [];
+      for (const caption of captionBatch) {
+        if (!this.captionAllowed()) break;
+        promises.push(this.backupAndDeleteCaption(video, caption));
+      }
+      
+      const results = await Promise.all(promises);
+      deletedCount += results.filter(Boolean).length;
+      if (results.includes(false)) videoFailed = true;
+      if (promises.length < captionBatch.length) {
+        cutShort = true;
+        break;
+      }
+    }
+    
+    // Leave videos with failed deletions out of the journal so --resume retries them.
+    // A video the run stopped in the middle of is unfinished, not failed, and is
+    // left out of the verification, which would otherwise delete the rest.
+    if (cutShort) {
+      this.unfinished.push({ videoId: video.videoId, reason: 'stopped part way' });
+    } else {
+      this.queueVerification(this.videosToVerify, video);
+      if (videoFailed) {
+        this.failedVideos.push(video.videoId);
+      } else if (this.journal) {
+        await this.journal.recordVideoDone(video.videoId);
+      }
+    }
+    this.emit('video', { video, captions: allCaptions.length, failed: videoFailed, resumed: false });
+    
+    return deletedCount;
+  }
+
+  // Returns false once the time budget is used up. While the listing is still
+  // streaming, the total (and so the ETA) is the listing's running estimate.
+  logProgress(videosProcessed, totalDeleted) {
+    const elapsed = (Date.now() - this.startTime) / 1000 / 60;
+    const remaining = this.timeBudgetMinutes - elapsed;
+    const totalVideos = Math.max(this.listing.expected, videosProcessed);
+    const speed = videosProcessed / elapsed;
+    const eta = (totalVideos - videosProcessed) / speed;
+    
+    this.emit('progress', { videosProcessed, totalVideos, estimated: this.listing.estimated, captionsDeleted: totalDeleted, elapsedMinutes: elapsed, remainingMinutes: remaining });
+    this.logger.log(`⚡ Progress: ${videosProcessed}/${this.listing.estimated ? '~' : ''}${totalVideos} videos | ${totalDeleted} captions deleted`);
+    this.logger.log(`⏱️  Time: ${elapsed.toFixed(1)}min elapsed, ${remaining.toFixed(1)}min remaining, ETA: ${eta.toFixed(1)}min`);
+    if (this.maxCaptions !== null) {
+      this.logger.log(`🧮 Caption budget: ${this.captionsStarted}/${this.maxCaptions} started`);
+    }
+    this.logger.log(`🚦 Rate limiter: ${this.limiter.describe()}`);
+    if (this.concurrency) {
+      this.logger.log(`🎛️  Concurrency: ${this.concurrency.describe()}`);
+    }
+    
+    if (remaining < 1) {
+      this.logger.log("⚠️  Less than 1 minute remaining! Continuing at maximum speed...");
+    }
+    
+    return !this.stopping;
+  }
+
+  // Fixed mode: a group of videos at a time, each group finishing before the next starts
+  async processInBatches(videos) {
+    const batchSize = this.videoConcurrency;
+    this.logger.log(`🔥 Processing videos in parallel batches of ${batchSize} as they are listed`);
+    
+    let totalDeleted = 0;
+    let videosProcessed = 0;
+    
+    for (let i = 0; !this.stopping; i++) {
+      const batch = await this.take(videos, batchSize);
+      if (batch.length === 0) break;
+      
+      const totalBatches = `${this.listing.estimated ? '~' : ''}${Math.max(i + 1, Math.ceil(this.listing.expected / batchSize))}`;
+      const batchPromises = batch.map(video => 
+        this.processBatch([video], i, totalBatches)
+      );
+      
+      const batchResults = await Promise.all(batchPromises);
+      const batchTotal = batchResults.reduce((sum, count) => sum + count, 0);
+      totalDeleted += batchTotal;
+      videosProcessed += batch.length;
+      
+      if (!this.logProgress(videosProcessed, totalDeleted)) break;
+    }
+    
+    return { totalDeleted, videosProcessed };
+  }
+
+  // Adaptive mode: enough workers to fill the concurrency ceiling pull videos from the
+  // shared stream; the controller decides how many of their requests actually run
+  async processAdaptively(videos) {
+    this.logger.log(`🎛️  Adaptive mode: processing videos as they are listed, starting at concurrency ${this.concurrency.limit} (ceiling ${this.concurrency.max})`);
+    
+    let videosProcessed = 0;
+    let totalDeleted = 0;
+    
+    const worker = async () => {
+      while (!this.stopping) {
+        // Concurrent next() calls on the stream are queued, so each video goes to one worker
+        const { value: video, done } = await videos.next();
+        if (done) break;
+        
+        const deleted = await this.processVideo(video);
+        totalDeleted += deleted;
+        videosProcessed++;
+        
+        if (videosProcessed % 10 === 0) this.logProgress(videosProcessed, totalDeleted);
+      }
+    };
+    
+    await Promise.all(Array.from({ length: this.concurrency.max }, worker));
+    if (videosProcessed % 10 !== 0) this.logProgress(videosProcessed, totalDeleted);
+    
+    return { totalDeleted, videosProcessed };
+  }
+
+  // Returns the run's counts; incomplete is set when the time budget ran out first
+  async fastDeleteAllCaptions() {
+    try {
+      return await this.runDeletion();
+    } finally {
+      await this.journal?.close();
+      await this.forgetChangedVideos();
+    }
+  }
+
+  async runDeletion() {
+    this.logger.log(this.dryRun ? "🧪 FAST MODE: DRY RUN (nothing will be deleted)" : `🚀🚀🚀 FAST MODE: ${this.timeBudgetMinutes}-MINUTE CAPTION DELETION 🚀🚀🚀`);
+    this.startTime = Date.now();
+    
+    await this.prepareRun();
+    this.plan = this.createPlan();
+    
+    await this.authenticate();
+    if (this.interlock.active && !this.dryRun) {
+      // Listed as many videos at once as the run itself
+      await this.previewAndConfirm({
+        stopped: () => this.stopReason === 'interrupted',
+        concurrency: this.concurrency ? this.concurrency.max : this.videoConcurrency
+      });
+      // The budget is for deleting; listing the preview does not use it up
+      this.startTime = Date.now();
+    }
+    const videos = this.getVideosToProcess();
+    let totalDeleted;
+    let videosProcessed;
+    let listedToTheEnd = true;
+    try {
+      ({ totalDeleted, videosProcessed } = this.concurrency
+        ? await this.processAdaptively(videos)
+        : await this.processInBatches(videos));
+      if (this.stopReason && this.remainingFile && !this.dryRun) {
+        // An interrupted run fetches nothing more: a plan or a retry already holds the
+        // videos it did not reach, but a listing only has what it fetched so far
+        const listing = !(this.reviewedPlan?.videos ?? this.retryTargets);
+        listedToTheEnd = this.stopReason === 'interrupted' && listing ? this.collectPending() : await this.collectUnreached(videos);
+      }
+    } finally {
+      // Stopped (or failed) before the end of the listing: stop fetching pages
+      await videos.return?.();
+      clearTimeout(this.graceTimer);
+    }
+    
+    if (this.dryRun) {
+      // A run of the plan is previewed like this one, so the estimate counts the preview too
+      this.plan.print(this.logger, { verify: this.verify, preview: this.interlock.active });
+      if (this.planOut) {
+        await this.plan.save(this.planOut);
+        this.logger.log(`\n💾 Plan saved to ${this.planOut}. Run it with: apivideo-captions fast-delete --plan ${this.planOut}`);
+      }
+      const result = { ...this.result(videosProcessed, totalDeleted), plan: this.plan };
+      this.emit('done', result);
+      return result;
+    }
+    
+    // An interrupted run ends as soon as it can, so it skips the verification
+    let verification = null;
+    if (this.verify && this.stopReason !== 'interrupted') {
+      // In parallel like the run itself, and within its budgets: retries count against
+      // the caption budget, and no video is listed again once the time is up
+      verification = await this.verifyDeletions([...this.videosToVerify.values()], this.failedVideos, {
+        deleteCaption: (video, caption) => this.captionAllowed() ? this.backupAndDeleteCaption(video, caption, { retry: true }) : null,
+        concurrency: this.concurrency ? this.concurrency.max : this.videoConcurrency,
+        stopped: () => this.verificationStopped()
+      });
+      totalDeleted += verification.captionsDeleted;
+    }
+    
+    if (this.journal) {
+      await this.journal.finish();
+    }
+    const remaining = this.remainingVideos(verification);
+    if (this.remainingFile) await this.writeRemaining(remaining, listedToTheEnd);
+    if (this.failuresFile) await this.failures.save(this.failuresFile);
+    
+    const totalTime = (Date.now() - this.startTime) / 1000 / 60;
+    this.logger.log(this.stopReason === 'interrupted' ? "\n🛑 FAST DELETION STOPPED" : "\n🎉 FAST DELETION COMPLETED!");
+    this.logger.log(`📊 Summary:`);
+    this.logger.log(`   • Total captions deleted: ${totalDeleted}`);
+    if (this.resume) this.logger.log(`   • Videos skipped (done in a previous run): ${this.videosResumed}`);
+    if (this.stopReason) this.logger.log(`   • Stopped early: ${this.describeStop()}`);
+    if (remaining.length > 0) this.logger.log(`   • Videos left to do: ${remaining.length}${this.remainingFile ? `, listed in ${this.remainingFile}` : ''}`);
+    this.logger.log(`   • Deleted by language: ${this.languageCounts.format('deleted')}`);
+    this.logger.log(`   • Total captions kept: ${this.languageCounts.total('kept')}`);
+    this.logger.log(`   • Kept by language: ${this.languageCounts.format('kept')}`);
+    this.logger.log(`   • Videos whose captions could not be listed: ${this.listFailures}`);
+    this.logger.log(`   • Skipped (backup failed): ${this.backupFailures}`);
+    this.logger.log(`   • Failed to delete: ${this.deleteFailures}`);
+    this.logger.log(`   • Failures by class: ${FailureLog.format(this.failures.classCounts)}`);
+    this.logger.log(`   • Failures left: ${this.failures.size}${this.failuresFile && this.failures.size > 0 ? `, details in ${this.failuresFile}` : ''}`);
+    this.logger.log(`   • Backup archive: ${this.backup.archiveDir}`);
+    this.logger.log(`   • Time taken: ${totalTime.toFixed(2)} minutes`);
+    this.logger.log(`   • Average speed: ${(totalDeleted / totalTime).toFixed(1)} captions/minute`);
+    if (verification) this.verifier.printSummary(verification, { complete: !this.stopReason });
+    
+    const result = {
+      ...this.result(videosProcessed, totalDeleted),
+      videosResumed: this.videosResumed,
+      minutes: totalTime,
+      verification,
+      remaining: remaining.map(entry => entry.videoId)
+    };
+    this.emit('done', result);
+    return result;
+  }
+
+  result(videosProcessed, totalDeleted) {
+    return {
+      dryRun: this.dryRun,
+      videos: videosProcessed,
+      captionsDeleted: totalDeleted,
+      captionsKept: this.languageCounts.total('kept'),
+      deletedByLanguage: { ...this.languageCounts.deleted },
+      keptByLanguage: { ...this.languageCounts.kept },
+      listFailures: this.listFailures,
+      backupFailures: this.backupFailures,
+      deleteFailures: this.deleteFailures,
+      failures: this.listFailures + this.backupFailures + this.deleteFailures,
+      failuresByClass: { ...this.failures.classCounts },
+      failuresRemaining: this.failures.size,
+      incomplete: this.stopReason !== null,
+      stopReason: this.stopReason
+    };
+  }
+
+  // The videos the listing fetched but the run did not get to. Returns whether
+  // they reach the end of the listing.
+  collectPending() {
+    for (const video of this.pendingVideos) {
+      this.unfinished.push({ videoId: video.videoId, reason: 'not reached' });
+    }
+    return this.pendingComplete;
+  }
+
+  // Pulls the videos the run never got to from the rest of the listing. Returns
+  // false if that was cut short, e.g. by a page that failed to load.
+  async collectUnreached(videos) {
+    try {
+      for (let next; !(next = await videos.next()).done;) {
+        this.unfinished.push({ videoId: next.value.videoId, reason: 'not reached' });
+      }
+      return true;
+    } catch (error) {
+      this.logger.error("❌ Could not list the videos the run did not reach:", error.message);
+      return false;
+    }
+  }
+
+  // Videos a follow-up run still has to go through: those the run did not finish,
+  // those it could not clean (as verified, when there was a verification), and
+  // those the verification did not get to before the time ran out
+  remainingVideos(verification) {
+    const remaining = new Map(this.unfinished.map(entry => [entry.videoId, entry]));
+    const failed = verification
+      ? [...verification.leftovers.map(leftover => leftover.videoId), ...verification.unverifiable]
+      : this.failedVideos;
+    for (const videoId of failed) {
+      if (!remaining.has(videoId)) remaining.set(videoId, { videoId, reason: 'failed' });
+    }
+    for (const videoId of verification?.unchecked ?? []) {
+      const reason = this.failedVideos.includes(videoId) ? 'failed' : 'not verified';
+      if (!remaining.has(videoId)) remaining.set(videoId, { videoId, reason });
+    }
+    return [...remaining.values()];
+  }
+
+  // One videoId per line, the format VIDEO_IDS_FILE reads, so a follow-up run can
+  // take exactly these videos. A list that stops short of the end of the listing is
+  // marked incomplete and points to --resume instead. A run with nothing left
+  // removes an older list.
+  async writeRemaining(remaining, listedToTheEnd) {
+    if (remaining.length === 0 && !this.stopReason) {
+      await rm(this.remainingFile, { force: true });
+      return;
+    }
+
+    const lines = [
+      `# Videos left by a fast-delete run (${new Date().toISOString()})${this.stopReason ? `, which stopped because ${this.describeStop()}` : ''}`,
+      ...(listedToTheEnd
+        ? [`# Follow up with: VIDEO_IDS_FILE=${this.remainingFile} apivideo-captions fast-delete`]
+        : ["# INCOMPLETE: the listing was cut short, so videos after these are missing. Follow up with --resume, not with this list."]),
+      ...remaining.map(entry => `${entry.videoId}  # ${entry.reason}`)
+    ];
+    await mkdir(path.dirname(path.resolve(this.remainingFile)), { recursive: true });
+    await writeFile(`${this.remainingFile}.tmp`, `${lines.join('\n')}\n`);
+    await rename(`${this.remainingFile}.tmp`, this.remainingFile);
+  }
+}
+
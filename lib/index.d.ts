@@ -0,0 +1,986 @@
+import { EventEmitter } from 'node:events';
+
+// Anything with log/error methods, e.g. console. The library default is silentLogger.
+export interface Logger {
+  log(...args: unknown[]): void;
+  error(...args: unknown[]): void;
+}
+
+export const silentLogger: Logger;
+
+// Video and caption shapes as returned by the api.video API (fields this package uses)
+export interface Video {
+  videoId: string;
+  title: string;
+  tags?: string[];
+  metadata?: Array<{ key: string; value: string }>;
+  createdAt?: string;
+  updatedAt?: string;
+  [field: string]: unknown;
+}
+
+export interface Caption {
+  uri?: string;
+  src?: string;
+  srclang?: string;
+  language?: string;
+  languageName?: string;
+  default?: boolean;
+  [field: string]: unknown;
+}
+
+export interface CaptionTrack {
+  srclang: string;
+  default: boolean;
+  src?: string;
+  // Set when the checker inspected the file
+  issues?: LintIssue[];
+  hits?: SearchHit[];
+  error?: string;
+}
+
+export interface VideoFilterOptions {
+  titlePattern?: string;
+  tags?: string[];
+  metadata?: Record<string, string>;
+  createdAfter?: string | Date;
+  createdBefore?: string | Date;
+  updatedAfter?: string | Date;
+  updatedBefore?: string | Date;
+  videoIds?: string[] | null;
+  videoIdsFile?: string | null;
+}
+
+export function parseMetadata(value: string | undefined): Record<string, string>;
+export function videoFilterOptionsFromEnv(env: Record<string, string | undefined>): VideoFilterOptions;
+
+export class VideoFilter {
+  constructor(options?: VideoFilterOptions);
+  readonly isActive: boolean;
+  loadVideoIds(): Promise<string[] | null>;
+  applyToQuery(params: URLSearchParams): URLSearchParams;
+  matches(video: Video): boolean;
+  describe(): string;
+}
+
+export function parseLanguageList(value: string | undefined): string[];
+export function captionLanguage(caption: Caption): string;
+
+export class LanguageFilter {
+  constructor(options?: { include?: string[]; exclude?: string[] });
+  readonly isActive: boolean;
+  shouldDelete(caption: Caption): boolean;
+  describe(): string;
+}
+
+export class LanguageCounts {
+  deleted: Record<string, number>;
+  kept: Record<string, number>;
+  add(kind: 'deleted' | 'kept', language: string): void;
+  total(kind: 'deleted' | 'kept'): number;
+  format(kind: 'deleted' | 'kept'): string;
+}
+
+export interface PlannedVideo {
+  videoId: string;
+  title: string;
+  languages: string[];
+}
+
+export class DeletionPlan {
+  constructor(options: {
+    baseUrl: string;
+    createdAt?: string;
+    languageFilter?: string | null;
+    videoFilter?: string | null;
+    videos?: PlannedVideo[];
+  });
+  static load(file: string): Promise<DeletionPlan>;
+  baseUrl: string;
+  createdAt: string;
+  videos: Map<string, PlannedVideo>;
+  readonly videoCount: number;
+  readonly captionCount: number;
+  add(video: Video, language: string): void;
+  has(videoId: string, language: string): boolean;
+  languageCounts(): LanguageCounts;
+  // What a run with --plan sends, before retries; it lists no videos
+  // preview adds the lookups of a confirmed run's preview (see DeletionInterlock)
+  estimateRequests(options?: { verify?: boolean; preview?: boolean }): { auth: number; previewLookups: number; captionLookups: number; backupDownloads: number; deletions: number; verificationLookups: number; total: number };
+  save(file: string): Promise<void>;
+  print(logger?: Logger, options?: { verify?: boolean; preview?: boolean }): void;
+}
+
+export type FailureClass = 'auth' | 'not-found' | 'rate-limit' | 'validation' | 'server' | 'network' | 'other';
+export const FAILURE_CLASSES: FailureClass[];
+// status comes from the HTTP response, if any; errors marked `network` got none
+export function classifyFailure(failure?: { status?: number | null; error?: (Error & { status?: number; network?: boolean }) | null }): FailureClass;
+
+export interface Failure {
+  videoId: string;
+  title: string | null;
+  // null when the captions of the video could not be listed
+  language: string | null;
+  stage: 'list' | 'backup' | 'delete';
+  class: FailureClass;
+  status: number | null;
+  error: string | null;
+  retries: number;
+  failedAt: string;
+}
+
+export class FailureLog {
+  constructor(options: { baseUrl: string; createdAt?: string; includeLanguages?: string[]; excludeLanguages?: string[]; failures?: Failure[] });
+  static load(file: string): Promise<FailureLog>;
+  // 'none' when there are no counts
+  static format(counts: Partial<Record<FailureClass, number>>): string;
+  baseUrl: string;
+  createdAt: string;
+  includeLanguages: string[];
+  excludeLanguages: string[];
+  failures: Map<string, Failure>;
+  // Every failure recorded, including those later resolved
+  classCounts: Partial<Record<FailureClass, number>>;
+  readonly size: number;
+  record(failure: { stage: Failure['stage']; video: Video | PlannedVideo; language?: string | null; status?: number | null; error?: Error | null; retries?: number | null }): Failure;
+  resolve(videoId: string, language?: string | null): void;
+  resolveVideos(videoIds: string[]): void;
+  // The failures still open
+  counts(): Partial<Record<FailureClass, number>>;
+  // languages null retries the whole video under the failed run's language filter
+  retryTargets(): Map<string, { videoId: string; title: string | null; languages: string[] | null }>;
+  // Removes the file when nothing failed
+  save(file: string): Promise<void>;
+}
+
+export interface BackupEntry {
+  videoId: string;
+  title: string;
+  srclang: string;
+  default: boolean;
+  src: string;
+  file: string;
+  backedUpAt: string;
+}
+
+export class CaptionBackup {
+  constructor(archiveDir: string);
+  archiveDir: string;
+  // Every backup of each track by videoId and language, oldest first
+  loadManifest(): Promise<{ version: number; createdAt: string; videos: Record<string, Record<string, BackupEntry[]>> }>;
+  // The most recent backup of each of a video's tracks
+  static latest(tracks: Record<string, BackupEntry[]>): Record<string, BackupEntry>;
+  save(fetchFn: (url: string) => Promise<Response>, video: Video, caption: Caption): Promise<BackupEntry>;
+  readCaptionFile(entry: BackupEntry): Promise<string>;
+}
+
+export type ReportFormat = 'json' | 'csv' | 'ndjson';
+export const REPORT_FORMATS: ReportFormat[];
+
+export interface CaptionRecord {
+  videoId: string;
+  title: string;
+  language: string;
+  default: boolean;
+  url: string | null;
+  issues?: LintIssue[];
+  hits?: SearchHit[];
+  // Set in combined multi-profile reports
+  profile?: string;
+}
+
+export function captionRecords(video: Video, captions: Caption[]): CaptionRecord[];
+
+export class CaptionReport {
+  // output is a file path, or "-" for stdout
+  constructor(format: ReportFormat, output?: string);
+  format: ReportFormat;
+  output: string;
+  readonly toStdout: boolean;
+  // Summaries by profile name once section() has been called
+  profiles: Record<string, Record<string, unknown>> | null;
+  describe(): string;
+  section(profile: string): ReportSection;
+  open(): Promise<void>;
+  addVideo(video: Video, captions: Caption[], profile?: string | null): Promise<void>;
+  finish(summary: Record<string, unknown>): Promise<void>;
+}
+
+// One profile's part of a combined report; the combined report is opened and finished by the caller
+export interface ReportSection {
+  report: CaptionReport;
+  profile: string;
+  format: ReportFormat;
+  output: string;
+  readonly toStdout: boolean;
+  describe(): string;
+  open(): Promise<void>;
+  addVideo(video: Video, captions: Caption[]): Promise<void>;
+  finish(summary: Record<string, unknown>): Promise<void>;
+}
+
+export const PROFILE_SETTINGS: string[];
+
+export interface Profile {
+  name: string;
+  apiKey: string | null;
+  // Environment variable holding the key, when the file does not
+  apiKeyEnv: string | null;
+  baseUrl: string | null;
+  settings: Record<string, string>;
+  // Defaults for command-line flags
+  options: Record<string, string | number | boolean>;
+}
+
+export class ProfileConfig {
+  constructor(data: { profiles?: Record<string, unknown> }, source?: string);
+  source: string;
+  profiles: Map<string, Profile>;
+  readonly names: string[];
+  // JSON, or YAML for .yaml/.yml files
+  static load(file: string): Promise<ProfileConfig>;
+  get(name: string): Profile;
+  environment(name: string, env: Record<string, string | undefined>, options?: { requireKey?: boolean }): Record<string, string | undefined>;
+}
+
+export class CheckCache {
+  constructor(file: string, scope: { apiKey: string; baseUrl: string; inspect?: Record<string, unknown> | null });
+  file: string;
+  savedAt: string | null;
+  readonly size: number;
+  // Why the saved cache cannot be used, or null once it is loaded
+  load(): Promise<string | null>;
+  get(video: Video): CaptionTrack[] | null;
+  set(video: Video, captions: CaptionTrack[]): void;
+  delete(videoId: string): void;
+  prune(videoIds: Iterable<string>): void;
+  save(): Promise<void>;
+}
+
+// First 16 hex characters of the key's SHA-256
+export function apiKeyFingerprint(apiKey: string): string;
+
+export interface AuditRecord {
+  at: string;
+  runId: string;
+  operator: string | null;
+  // apiKeyFingerprint() of the key the request was made with
+  account: string;
+  action: 'delete';
+  videoId: string;
+  title: string | null;
+  language: string;
+  // null when no response came back
+  status: number | null;
+  retries: number;
+  error?: string;
+}
+
+export interface AuditQuery {
+  videoId?: string | null;
+  language?: string | null;
+  // Matches by prefix
+  runId?: string | null;
+  since?: Date | null;
+  until?: Date | null;
+}
+
+export class AuditLog {
+  constructor(file: string, options: { apiKey: string; operator?: string | null; runId?: string });
+  file: string;
+  runId: string;
+  operator: string | null;
+  account: string;
+  record(entry: { action?: 'delete'; videoId: string; title?: string | null; language: string; status?: number | null; retries?: number; error?: string | null }): Promise<void>;
+  static read(file: string): AsyncGenerator<AuditRecord, void, undefined>;
+  static query(file: string, filters?: AuditQuery): AsyncGenerator<AuditRecord, void, undefined>;
+}
+
+export class RunJournal {
+  constructor(file: string, params: Record<string, unknown>);
+  file: string;
+  completedVideos: Map<string, unknown>;
+  open(options?: { resume?: boolean }): Promise<RunJournal>;
+  isVideoDone(videoId: string): boolean;
+  videoData(videoId: string): unknown;
+  isCaptionDeleted(videoId: string, language: string): boolean;
+  recordCaptionDeleted(videoId: string, language: string): Promise<void>;
+  recordVideoDone(videoId: string, data?: unknown): Promise<void>;
+  finish(): Promise<void>;
+  // Flushes and closes the file without marking the run finished; safe to call more than once
+  close(): Promise<void>;
+}
+
+export class RateLimiter {
+  constructor(options?: { initialRate?: number; maxRate?: number; burst?: number; rampMs?: number; reserve?: number; logger?: Logger });
+  acquire(): Promise<void>;
+  release(response: Response | null): void;
+  cooldown(seconds: number): void;
+  describe(): string;
+}
+
+export class AdaptiveConcurrency {
+  constructor(options?: { initial?: number; min?: number; max?: number; latencyFactor?: number; latencySlackMs?: number; logger?: Logger });
+  limit: number;
+  max: number;
+  run<T extends Response | null | undefined>(fn: () => Promise<T>): Promise<T>;
+  describe(): string;
+}
+
+export interface ClientOptions {
+  apiKey: string;
+  baseUrl?: string;
+  videoFilter?: VideoFilter;
+  pageSize?: number;
+  pageDelay?: number;
+  concurrency?: AdaptiveConcurrency | null;
+  // Every caption deletion is recorded here
+  auditLog?: AuditLog | null;
+  // Check cache that forgets the videos whose captions this client changes
+  checkCacheFile?: string | null;
+  logger?: Logger;
+}
+
+export interface ClientEvents {
+  authenticated: [];
+  rateLimited: [{ url: string; retryAfter: number; attempt: number }];
+  // Once the first page is in; estimated while client-side filters make the total an extrapolation
+  videos: [VideosEvent];
+  page: [{ page: number; totalPages: number; videos: number; matching: number; total: number }];
+}
+
+export interface VideosEvent {
+  total: number;
+  estimated: boolean;
+}
+
+export class VideoListing {
+  constructor(itemsTotal?: number | null);
+  itemsTotal: number | null;
+  listed: number;
+  matched: number;
+  done: boolean;
+  add(listed: number, matched: number): void;
+  finish(): void;
+  readonly expected: number;
+  readonly estimated: boolean;
+  // "[3/120]", or "[3/~120]" while the total is extrapolated
+  progress(index: number): string;
+}
+
+// Low-level client; API calls authenticate on first use
+export class ApiVideoClient extends EventEmitter {
+  constructor(options: ClientOptions);
+  on<E extends keyof ClientEvents & string>(event: E, listener: (...args: ClientEvents[E]) => void): this;
+  once<E extends keyof ClientEvents & string>(event: E, listener: (...args: ClientEvents[E]) => void): this;
+  off<E extends keyof ClientEvents & string>(event: E, listener: (...args: ClientEvents[E]) => void): this;
+  apiKey: string;
+  baseUrl: string;
+  videoFilter: VideoFilter;
+  readonly accessToken: string | null;
+  authenticate(): Promise<{ access_token: string; refresh_token?: string; token_type?: string; expires_in?: number }>;
+  fetchWithRetry(url: string, options?: RequestInit, maxRetries?: number): Promise<Response>;
+  // Progress of the current or last listing
+  listing: VideoListing;
+  // Videos the listing has but has not yielded yet; pendingComplete is false while pages beyond them are unlisted
+  pendingVideos: Array<Video | { videoId: string }>;
+  pendingComplete: boolean;
+  // Matching videos page by page, the next page loading while the current one is consumed
+  iterateVideos(): AsyncGenerator<Video, void, undefined>;
+  iterateVideosById(videoIds: string[]): AsyncGenerator<Video, void, undefined>;
+  // The whole listing collected into an array
+  getAllVideos(): Promise<Video[]>;
+  getVideosById(videoIds: string[]): Promise<Video[]>;
+  // null when the video does not exist
+  getVideo(videoId: string): Promise<Video | null>;
+  // Throws when the request fails
+  listCaptions(videoId: string): Promise<Caption[]>;
+  // [] when the video has no captions or they could not be fetched
+  getCaptionsForVideo(videoId: string): Promise<Caption[]>;
+  // false when the deletion failed
+  // The title only goes into the audit record
+  deleteCaption(videoId: string, language: string, title?: string | null): Promise<boolean>;
+  // Like deleteCaption, with what is needed to classify a failure
+  tryDeleteCaption(videoId: string, language: string, title?: string | null): Promise<DeleteOutcome>;
+  uploadCaption(videoId: string, language: string, content: string): Promise<Caption>;
+  setDefaultCaption(videoId: string, language: string, isDefault?: boolean): Promise<Caption>;
+}
+
+export interface DeleteOutcome {
+  deleted: boolean;
+  status: number | null;
+  retries: number;
+  error: (Error & { status?: number; network?: boolean }) | null;
+}
+
+export interface SelectionOptions {
+  includeLanguages?: string[];
+  excludeLanguages?: string[];
+  videoFilterOptions?: VideoFilterOptions;
+}
+
+export interface CheckerOptions {
+  apiKey: string;
+  baseUrl?: string;
+  videoFilterOptions?: VideoFilterOptions;
+  pageSize?: number;
+  pageDelay?: number;
+  videoDelay?: number;
+  resume?: boolean;
+  // null runs without a checkpoint journal
+  journalFile?: string | null;
+  report?: CaptionReport | ReportSection | null;
+  // Download every caption file to lint it and/or search its text
+  inspect?: InspectOptions | null;
+  // Only new or changed videos are queried; null (the default) queries every video
+  cacheFile?: string | null;
+  // Ignore the cache for this run, and rebuild it
+  full?: boolean;
+  logger?: Logger;
+}
+
+export interface CaptionedVideo {
+  videoId: string;
+  title: string;
+  captionCount: number;
+  languages: string;
+  captions: CaptionTrack[];
+}
+
+export interface CheckResult {
+  videos: number;
+  videosWithCaptions: number;
+  captionsFound: number;
+  captionsByLanguage: Record<string, number>;
+  captionedVideos: CaptionedVideo[];
+  // Videos unchanged since the cached check, answered without a request
+  videosFromCache: number;
+  // Videos whose captions could not be listed
+  listFailures: number;
+  // Those videos plus the captions that could not be downloaded or read when inspecting
+  failures: number;
+  // Set when inspecting
+  captionsInspected?: number;
+  captionsWithIssues?: number;
+  issuesByRule?: Partial<Record<LintRule, number>>;
+  searchHits?: number;
+  findings?: InspectionFinding[];
+}
+
+export interface InspectionFinding {
+  videoId: string;
+  title: string;
+  language: string;
+  issues: LintIssue[];
+  hits: SearchHit[];
+  error: string | null;
+}
+
+export interface CheckerEvents extends ClientEvents {
+  videos: [VideosEvent];
+  // failed: the video's captions could not be listed
+  video: [{ index: number; total: number; video: Video; captions: CaptionTrack[]; resumed: boolean; cached: boolean; failed: boolean }];
+  done: [CheckResult];
+}
+
+export class ApiVideoCaptionChecker extends ApiVideoClient {
+  constructor(options: CheckerOptions);
+  on<E extends keyof CheckerEvents & string>(event: E, listener: (...args: CheckerEvents[E]) => void): this;
+  once<E extends keyof CheckerEvents & string>(event: E, listener: (...args: CheckerEvents[E]) => void): this;
+  off<E extends keyof CheckerEvents & string>(event: E, listener: (...args: CheckerEvents[E]) => void): this;
+  checkAllCaptions(): Promise<CheckResult>;
+}
+
+export type CaptionOutcome = 'kept' | 'planned' | 'already-deleted' | 'backup-failed' | 'delete-failed' | 'deleted';
+
+export interface DeletionOptions extends SelectionOptions {
+  apiKey: string;
+  baseUrl?: string;
+  backupDir?: string;
+  pageSize?: number;
+  pageDelay?: number;
+  dryRun?: boolean;
+  planOut?: string | null;
+  planFile?: string | null;
+  // A failures file from an earlier run: retry only what failed there
+  retryFile?: string | null;
+  // Where the failures left at the end of the run are saved (see FailureLog)
+  failuresFile?: string | null;
+  resume?: boolean;
+  // null runs without a checkpoint journal
+  journalFile?: string | null;
+  adaptive?: boolean;
+  maxConcurrency?: number;
+  // List the videos again at the end and retry captions that are still there (default: true)
+  verify?: boolean;
+  // Retry rounds before the leftovers are reported (default: 2)
+  verifyRetries?: number;
+  // Any of these three previews the run before the first deletion (see DeletionInterlock)
+  confirm?: ((request: ConfirmRequest) => boolean | Promise<boolean>) | null;
+  maxDeletions?: number | null;
+  canary?: number;
+  auditLog?: AuditLog | null;
+  checkCacheFile?: string | null;
+  logger?: Logger;
+}
+
+export interface DeletionTarget {
+  baseUrl: string;
+  environment: 'PRODUCTION' | 'sandbox' | 'custom';
+  // apiKeyFingerprint() of the key
+  account: string;
+}
+
+export interface ConfirmRequest {
+  stage: 'preview' | 'canary';
+  plan: DeletionPlan;
+  target: DeletionTarget;
+  // Set at the canary stage
+  canary?: { deleted: number; failed: number };
+}
+
+export class DeletionAborted extends Error {}
+export function describeTarget(baseUrl: string, apiKey: string): DeletionTarget;
+
+export class DeletionInterlock {
+  constructor(options: { confirm?: ((request: ConfirmRequest) => boolean | Promise<boolean>) | null; maxDeletions?: number | null; canary?: number; target: DeletionTarget; logger?: Logger });
+  readonly active: boolean;
+  preview(options: {
+    videos: AsyncIterable<Video | PlannedVideo> | Iterable<Video | PlannedVideo>;
+    // Must throw when the captions could not be listed
+    listCaptions(videoId: string): Promise<Caption[]>;
+    shouldDelete(video: Video | PlannedVideo, caption: Caption): boolean;
+    isDone?(video: Video | PlannedVideo, language?: string): boolean;
+    // Ends the preview early with DeletionAborted
+    stopped?(): boolean;
+    // Called for each video left out because its captions could not be listed
+    failed?(video: Video | PlannedVideo, error: Error): void;
+    concurrency?: number;
+    pause?: (() => Promise<void>) | null;
+  }): Promise<DeletionPlan>;
+  // Throws DeletionAborted unless the run may go on
+  approve(plan: DeletionPlan): Promise<void>;
+  beforeDeletion(): Promise<void>;
+  afterDeletion(deleted: boolean): void;
+}
+
+export interface VerifierOptions {
+  // Must throw when the captions could not be listed
+  listCaptions(videoId: string): Promise<Caption[]>;
+  shouldDelete(video: Video | PlannedVideo, caption: Caption): boolean;
+  // Backs up and deletes the caption; resolves to true on success, null when not attempted
+  deleteCaption(video: Video | PlannedVideo, caption: Caption): Promise<boolean | null> | null;
+  retries?: number;
+  concurrency?: number;
+  pause?: (() => Promise<void>) | null;
+  // Once true, no further video is listed; the rest are reported as unchecked
+  stopped?: (() => boolean) | null;
+  logger?: Logger;
+}
+
+export interface VerificationSummary {
+  videos: number;
+  rounds: number;
+  captionsRetried: number;
+  captionsDeleted: number;
+  // Captions still present after the last retry
+  leftovers: { videoId: string; language: string }[];
+  // Videos whose captions could not be listed
+  unverifiable: string[];
+  // Videos not listed before the verification was stopped, e.g. by the time budget
+  unchecked: string[];
+  clean: boolean;
+}
+
+export class DeletionVerifier {
+  constructor(options: VerifierOptions);
+  inspect(videos: (Video | PlannedVideo)[]): Promise<{ leftovers: { video: Video | PlannedVideo; captions: Caption[] }[]; unverifiable: (Video | PlannedVideo)[]; unchecked: (Video | PlannedVideo)[] }>;
+  verify(videos: (Video | PlannedVideo)[]): Promise<VerificationSummary>;
+  printSummary(summary: VerificationSummary, options?: { complete?: boolean }): void;
+}
+
+export interface DeleterOptions extends DeletionOptions {
+  videoDelay?: number;
+  deleteDelay?: number;
+}
+
+export interface FastDeleterOptions extends DeletionOptions {
+  videoConcurrency?: number;
+  timeBudgetMinutes?: number;
+  // Caption deletions the run may start; null for no limit
+  maxCaptions?: number | null;
+  // How long requests in flight may take to finish after stop() (default: 30)
+  gracePeriodSeconds?: number;
+  // Where a run that stopped early lists the videos it left, in the VIDEO_IDS_FILE format
+  remainingFile?: string | null;
+}
+
+export type StopReason = 'time' | 'captions' | 'interrupted';
+
+export interface DeletionResult {
+  dryRun: boolean;
+  // Videos gone through; a fast run that ran out of time only counts those it reached
+  videos: number;
+  captionsDeleted: number;
+  captionsKept: number;
+  deletedByLanguage: Record<string, number>;
+  keptByLanguage: Record<string, number>;
+  // Videos whose captions could not be listed
+  listFailures: number;
+  backupFailures: number;
+  deleteFailures: number;
+  // listFailures + backupFailures + deleteFailures
+  failures: number;
+  // Every failure during the run, including verification retries
+  failuresByClass: Partial<Record<FailureClass, number>>;
+  // Failures not resolved by the end of the run, as saved to failuresFile
+  failuresRemaining: number;
+  // Set on dry runs
+  plan?: DeletionPlan;
+  videosResumed?: number;
+  // null on dry runs and when verify is off
+  verification?: VerificationSummary | null;
+}
+
+export interface DeleterResult extends DeletionResult {
+  videosWithCaptions: number;
+  plannedMissing?: number;
+}
+
+export interface FastDeleterResult extends DeletionResult {
+  // The run stopped before every video was processed
+  incomplete: boolean;
+  stopReason: StopReason | null;
+  // Videos not reached, stopped part way or left with captions
+  remaining?: string[];
+  minutes?: number;
+}
+
+export interface DeletionEvents {
+  videos: [VideosEvent];
+  // retry is set for deletions made by the verification pass
+  caption: [{ video: Video | PlannedVideo; language: string; outcome: CaptionOutcome; retry?: boolean }];
+}
+
+export interface DeleterEvents extends ClientEvents, DeletionEvents {
+  video: [{ index: number; total: number; video: Video | PlannedVideo; captions: number; failed: boolean; resumed: boolean }];
+  done: [DeleterResult];
+}
+
+export class ApiVideoCaptionDeleter extends ApiVideoClient {
+  constructor(options: DeleterOptions);
+  on<E extends keyof DeleterEvents & string>(event: E, listener: (...args: DeleterEvents[E]) => void): this;
+  once<E extends keyof DeleterEvents & string>(event: E, listener: (...args: DeleterEvents[E]) => void): this;
+  off<E extends keyof DeleterEvents & string>(event: E, listener: (...args: DeleterEvents[E]) => void): this;
+  deleteAllCaptions(): Promise<DeleterResult>;
+}
+
+export interface FastDeleterEvents extends ClientEvents, DeletionEvents {
+  video: [{ video: Video | PlannedVideo; captions: number; failed: boolean; resumed: boolean }];
+  // totalVideos is the listing's running estimate while it still streams
+  progress: [{ videosProcessed: number; totalVideos: number; estimated: boolean; captionsDeleted: number; elapsedMinutes: number; remainingMinutes: number }];
+  done: [FastDeleterResult];
+}
+
+export class FastCaptionDeleter extends ApiVideoClient {
+  constructor(options: FastDeleterOptions);
+  on<E extends keyof FastDeleterEvents & string>(event: E, listener: (...args: FastDeleterEvents[E]) => void): this;
+  once<E extends keyof FastDeleterEvents & string>(event: E, listener: (...args: FastDeleterEvents[E]) => void): this;
+  off<E extends keyof FastDeleterEvents & string>(event: E, listener: (...args: FastDeleterEvents[E]) => void): this;
+  listing: VideoListing;
+  stopReason: StopReason | null;
+  // Stops starting new work; requests in flight get the grace period to finish
+  stop(): void;
+  fastDeleteAllCaptions(): Promise<FastDeleterResult>;
+}
+
+export type RestoreOutcome = 'restored' | 'overwritten' | 'conflict' | 'failed' | 'missing-video';
+
+export interface RestoreResult {
+  videos: number;
+  restored: number;
+  overwritten: number;
+  conflicts: number;
+  failures: number;
+  missingVideos: string[];
+}
+
+export interface RestorerEvents extends ClientEvents {
+  caption: [{ videoId: string; language: string; outcome: RestoreOutcome }];
+  done: [RestoreResult];
+}
+
+export class ApiVideoCaptionRestorer extends ApiVideoClient {
+  constructor(archiveDir: string, options: { apiKey: string; baseUrl?: string; overwrite?: boolean; backupDir?: string | null; auditLog?: AuditLog | null; checkCacheFile?: string | null; logger?: Logger });
+  on<E extends keyof RestorerEvents & string>(event: E, listener: (...args: RestorerEvents[E]) => void): this;
+  once<E extends keyof RestorerEvents & string>(event: E, listener: (...args: RestorerEvents[E]) => void): this;
+  off<E extends keyof RestorerEvents & string>(event: E, listener: (...args: RestorerEvents[E]) => void): this;
+  restoreAllCaptions(): Promise<RestoreResult>;
+}
+
+export type UploadOutcome = 'uploaded' | 'overwritten' | 'conflict' | 'failed' | 'invalid' | 'planned' | 'missing-video';
+
+export interface UploaderOptions {
+  apiKey: string;
+  baseUrl?: string;
+  // CSV with title,file[,language] columns; files are matched to videos by exact title
+  mapFile?: string | null;
+  // Make every uploaded caption the default track
+  setDefault?: boolean;
+  overwrite?: boolean;
+  // Where captions replaced by overwrite are backed up (default caption-backups)
+  backupDir?: string;
+  dryRun?: boolean;
+  uploadDelay?: number;
+  auditLog?: AuditLog | null;
+  checkCacheFile?: string | null;
+  logger?: Logger;
+}
+
+export interface UploadResult {
+  dryRun: boolean;
+  files: number;
+  converted: number;
+  planned: number;
+  uploaded: number;
+  overwritten: number;
+  conflicts: number;
+  invalid: number;
+  // Invalid files plus uploads that failed
+  failures: number;
+  missingVideos: string[];
+  unmatched: { file: string; title: string; reason: string }[];
+}
+
+export interface UploaderEvents extends ClientEvents {
+  caption: [{ videoId: string; language: string; file: string; outcome: UploadOutcome }];
+  done: [UploadResult];
+}
+
+export class ApiVideoCaptionUploader extends ApiVideoClient {
+  constructor(sourceDir: string, options: UploaderOptions);
+  on<E extends keyof UploaderEvents & string>(event: E, listener: (...args: UploaderEvents[E]) => void): this;
+  once<E extends keyof UploaderEvents & string>(event: E, listener: (...args: UploaderEvents[E]) => void): this;
+  off<E extends keyof UploaderEvents & string>(event: E, listener: (...args: UploaderEvents[E]) => void): this;
+  uploadAllCaptions(): Promise<UploadResult>;
+}
+
+export interface VttCue {
+  id: string | null;
+  // Milliseconds
+  start: number;
+  end: number;
+  text: string;
+  // Line number of the cue's timing line
+  line: number;
+}
+
+export const CAPTION_EXTENSIONS: string[];
+export function parseVtt(text: string): VttCue[];
+export function validateVtt(text: string): VttCue[];
+export function srtToVtt(text: string): string;
+export function parseVttTime(value: string): number | null;
+export function formatVttTime(ms: number): string;
+
+export interface VttProblem {
+  rule: 'header' | 'timing';
+  line: number;
+  message: string;
+}
+
+export function readVtt(text: string): { cues: VttCue[]; errors: VttProblem[] };
+
+export type LintRule = 'header' | 'timing' | 'out-of-order' | 'overlap' | 'empty-cue' | 'long-cue' | 'long-line';
+export const LINT_RULES: LintRule[];
+
+export interface LintOptions {
+  maxCueSeconds?: number;
+  maxLineLength?: number;
+}
+
+export interface LintIssue {
+  rule: LintRule;
+  line: number;
+  // Cue start in ms; null for file-level problems
+  start: number | null;
+  message: string;
+}
+
+export interface SearchHit {
+  start: number;
+  end: number;
+  line: number;
+  text: string;
+  match: string;
+}
+
+export interface InspectOptions extends LintOptions {
+  lint?: boolean;
+  // A string is a literal, case-insensitive term
+  search?: string | RegExp | null;
+}
+
+export function cueText(cue: VttCue): string;
+export function lintVtt(text: string, options?: LintOptions): { cues: VttCue[]; issues: LintIssue[] };
+export function searchCues(cues: VttCue[], pattern: RegExp): SearchHit[];
+
+export class CaptionInspector {
+  constructor(options?: InspectOptions);
+  readonly isActive: boolean;
+  inspect(text: string): { issues: LintIssue[]; hits: SearchHit[] };
+  describe(): string;
+}
+
+export interface PolicyMatch {
+  titlePattern?: string;
+  tags?: string | string[];
+  metadata?: Record<string, string>;
+  createdAfter?: string;
+  createdBefore?: string;
+  updatedAfter?: string;
+  updatedBefore?: string;
+  videoIds?: string[];
+}
+
+export interface PolicyRule {
+  name?: string;
+  // Omitted: the rule applies to every video
+  match?: PolicyMatch;
+  // Only these languages may exist; [] means no captions at all
+  allow?: string | string[];
+  forbid?: string | string[];
+  require?: string | string[];
+  // Must exist and be the default track
+  default?: string;
+}
+
+export interface PolicyChange {
+  action: 'delete' | 'set-default';
+  language: string;
+  rules: string[];
+}
+
+export interface PolicyProblem {
+  type: 'missing' | 'conflict';
+  language: string | null;
+  rules: string[];
+  message: string;
+}
+
+export class CaptionPolicy {
+  constructor(policy: { rules: PolicyRule[] }, source?: string);
+  static load(file: string): Promise<CaptionPolicy>;
+  source: string;
+  // Changes whenever the rules do
+  fingerprint: string;
+  evaluate(video: Video, captions: Caption[]): { changes: (PolicyChange & { caption: Caption })[]; problems: PolicyProblem[] };
+}
+
+export interface ReconcilerOptions {
+  apiKey: string;
+  baseUrl?: string;
+  policy: CaptionPolicy;
+  backupDir?: string;
+  videoFilterOptions?: VideoFilterOptions;
+  pageSize?: number;
+  pageDelay?: number;
+  videoDelay?: number;
+  changeDelay?: number;
+  // Any of these three makes apply() show the plan's deletions and wait for their approval (see DeletionInterlock)
+  confirm?: ((request: ConfirmRequest) => boolean | Promise<boolean>) | null;
+  maxDeletions?: number | null;
+  canary?: number;
+  auditLog?: AuditLog | null;
+  checkCacheFile?: string | null;
+  logger?: Logger;
+}
+
+export interface PolicyResult {
+  videos: number;
+  videosToChange: number;
+  deletions: number;
+  defaultChanges: number;
+  // Missing captions and conflicting rules, which apply cannot fix
+  problems: number;
+  plans: { videoId: string; title: string; changes: PolicyChange[]; problems: PolicyProblem[] }[];
+  // Videos whose captions could not be listed, left out of the plan
+  unverifiable: { videoId: string; title: string; error: string }[];
+  // Those videos, plus (after apply()) the changes that failed
+  failures: number;
+  // Set by apply()
+  applied?: number;
+}
+
+export interface ReconcilerEvents extends ClientEvents {
+  videos: [VideosEvent];
+  video: [{ index: number; total: number; video: Video; changes: PolicyChange[]; problems: PolicyProblem[]; error?: Error }];
+  change: [{ video: Video; action: PolicyChange['action']; language: string; outcome: 'applied' | 'failed' | 'backup-failed' }];
+  done: [PolicyResult];
+}
+
+export class ApiVideoCaptionReconciler extends ApiVideoClient {
+  constructor(options: ReconcilerOptions);
+  on<E extends keyof ReconcilerEvents & string>(event: E, listener: (...args: ReconcilerEvents[E]) => void): this;
+  once<E extends keyof ReconcilerEvents & string>(event: E, listener: (...args: ReconcilerEvents[E]) => void): this;
+  off<E extends keyof ReconcilerEvents & string>(event: E, listener: (...args: ReconcilerEvents[E]) => void): this;
+  plan(): Promise<PolicyResult>;
+  apply(): Promise<PolicyResult>;
+}
+
+export interface WatcherOptions extends ReconcilerOptions {
+  // Remembers the updatedAt of every enforced video between restarts
+  stateFile?: string;
+  intervalMinutes?: number;
+  // Port for api.video webhooks; null (the default) polls only
+  port?: number | null;
+  host?: string;
+  // Webhooks without a matching X-Api-Video-WebhookSignature are rejected
+  webhookSecret?: string | null;
+  // Unattended: maxDeletions applies to each sweep and each webhook's video; confirm and canary are refused
+  confirm?: null;
+  canary?: 0;
+}
+
+export interface SweepSummary {
+  videos: number;
+  // Videos whose updatedAt changed since they were last enforced
+  inspected: number;
+  applied: number;
+  failures: number;
+  problems: number;
+  // stop() was called before every changed video was inspected and enforced
+  interrupted: boolean;
+}
+
+export interface WatchTotals {
+  sweeps: number;
+  inspected: number;
+  applied: number;
+  failures: number;
+  problems: number;
+  webhooks: number;
+}
+
+export interface WatcherEvents extends ClientEvents {
+  listening: [{ host: string; port: number }];
+  sweep: [SweepSummary];
+  sweepFailed: [{ error: Error }];
+  webhook: [{ type: string | null; videoId: string | null; accepted: boolean }];
+  video: [{ video: Video; changes: PolicyChange[]; problems: PolicyProblem[]; trigger: 'sweep' | 'webhook'; error?: Error }];
+  change: ReconcilerEvents['change'];
+  done: [WatchTotals];
+}
+
+export class ApiVideoCaptionWatcher extends ApiVideoClient {
+  constructor(options: WatcherOptions);
+  on<E extends keyof WatcherEvents & string>(event: E, listener: (...args: WatcherEvents[E]) => void): this;
+  once<E extends keyof WatcherEvents & string>(event: E, listener: (...args: WatcherEvents[E]) => void): this;
+  off<E extends keyof WatcherEvents & string>(event: E, listener: (...args: WatcherEvents[E]) => void): this;
+  // Runs until stop() and resolves with the totals
+  watch(): Promise<WatchTotals>;
+  stop(): Promise<void>;
+  // A single sweep, without the timer or the webhook port
+  sweep(): Promise<SweepSummary>;
+  // Resolves once queued sweep and webhook work has finished
+  idle(): Promise<void>;
+}
@@ -0,0 +1,29 @@
+// Public entry point of the package. Importing it has no side effects: nothing
+// reads .env or process.env, and nothing runs until a method is called.
+export { ApiVideoClient } from './api-video-client.js';
+export { ApiVideoCaptionChecker } from './caption-checker.js';
+export { ApiVideoCaptionDeleter } from './caption-deleter.js';
+export { FastCaptionDeleter } from './fast-caption-deleter.js';
+export { ApiVideoCaptionRestorer } from './caption-restorer.js';
+export { ApiVideoCaptionUploader } from './caption-uploader.js';
+export { ApiVideoCaptionReconciler } from './caption-reconciler.js';
+export { ApiVideoCaptionWatcher } from './caption-watcher.js';
+export { AdaptiveConcurrency } from './adaptive-concurrency.js';
+export { AuditLog, apiKeyFingerprint } from './audit-log.js';
+export { CaptionBackup } from './caption-backup.js';
+export { CAPTION_EXTENSIONS, formatVttTime, parseVtt, parseVttTime, readVtt, srtToVtt, validateVtt } from './caption-file.js';
+export { CaptionInspector, LINT_RULES, cueText, lintVtt, searchCues } from './caption-inspector.js';
+export { CaptionPolicy } from './caption-policy.js';
+export { CaptionReport, REPORT_FORMATS, captionRecords } from './caption-report.js';
+export { CheckCache } from './check-cache.js';
+export { DeletionAborted, DeletionInterlock, describeTarget } from './deletion-interlock.js';
+export { DeletionPlan } from './deletion-plan.js';
+export { DeletionVerifier } from './deletion-verifier.js';
+export { FAILURE_CLASSES, FailureLog, classifyFailure } from './failure-log.js';
+export { LanguageCounts, LanguageFilter, captionLanguage, parseLanguageList } from './language-filter.js';
+export { silentLogger } from './logger.js';
+export { PROFILE_SETTINGS, ProfileConfig } from './profiles.js';
+export { RateLimiter } from './rate-limiter.js';
+export { RunJournal } from './run-journal.js';
+export { VideoFilter, parseMetadata, videoFilterOptionsFromEnv } from './video-filter.js';
+export { VideoListing } from './video-listing.js';
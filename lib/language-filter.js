@@ -0,0 +1,57 @@
+// Parses a comma-separated list such as "fr, de" into normalised language codes
+export function parseLanguageList(value) {
+  if (!value) return [];
+  return value.split(',').map(language => language.trim().toLowerCase()).filter(Boolean);
+}
+
+export function captionLanguage(caption) {
+  return caption.srclang || caption.language;
+}
+
+// Decides which captions a run may delete, based on include/exclude language lists.
+// An empty include list means every language; exclude always wins over include.
+export class LanguageFilter {
+  constructor({ include = [], exclude = [] } = {}) {
+    this.include = new Set(include.map(language => language.toLowerCase()));
+    this.exclude = new Set(exclude.map(language => language.toLowerCase()));
+  }
+
+  get isActive() {
+    return this.include.size > 0 || this.exclude.size > 0;
+  }
+
+  shouldDelete(caption) {
+    const language = String(captionLanguage(caption)).toLowerCase();
+    if (this.exclude.has(language)) return false;
+    return this.include.size === 0 || this.include.has(language);
+  }
+
+  describe() {
+    const parts = [];
+    if (this.include.size > 0) parts.push(`only ${[...this.include].join(', ')}`);
+    if (this.exclude.size > 0) parts.push(`keeping ${[...this.exclude].join(', ')}`);
+    return parts.length > 0 ? parts.join('; ') : 'all languages';
+  }
+}
+
+// Per-language tally of deleted and kept captions for the run summary
+export class LanguageCounts {
+  constructor() {
+    this.deleted = {};
+    this.kept = {};
+  }
+
+  add(kind, language) {
+    this[kind][language] = (this[kind][language] || 0) + 1;
+  }
+
+  total(kind) {
+    return Object.values(this[kind]).reduce((sum, count) => sum + count, 0);
+  }
+
+  // e.g. "fr: 12, de: 4", most frequent first
+  format(kind) {
+    const entries = Object.entries(this[kind]).sort((a, b) => b[1] - a[1]);
+    return entries.length > 0 ? entries.map(([language, count]) => `${language}: ${count}`).join(', ') : 'none';
+  }
+}
@@ -0,0 +1,6 @@
+// Default logger for library use: progress is reported through events instead.
+// The CLI passes `console` (or a stderr-only logger) to get the familiar output.
+export const silentLogger = {
+  log() {},
+  error() {}
+};
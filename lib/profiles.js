@@ -0,0 +1,121 @@
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import YAML from 'yaml';
+
+const PROFILE_KEYS = ['apiKey', 'apiKeyEnv', 'baseUrl', 'settings', 'options'];
+// Environment settings a profile may set; the key and base URL have their own fields
+export const PROFILE_SETTINGS = [
+  'BACKUP_DIR', 'INCLUDE_LANGUAGES', 'EXCLUDE_LANGUAGES', 'WEBHOOK_SECRET', 'AUDIT_LOG', 'OPERATOR',
+  'VIDEO_TITLE_PATTERN', 'VIDEO_TAGS', 'VIDEO_METADATA', 'CREATED_AFTER', 'CREATED_BEFORE',
+  'UPDATED_AFTER', 'UPDATED_BEFORE', 'VIDEO_IDS_FILE'
+];
+// Profile names end up in file names, so they are kept to safe characters
+const PROFILE_NAME = /^[\w-]+$/;
+
+// Named api.video accounts from a JSON or YAML file:
+//   profiles:
+//     sandbox:
+//       apiKeyEnv: SANDBOX_API_KEY     # or apiKey: ... (keeps the key in the file)
+//       baseUrl: https://sandbox.api.video
+//       settings: { EXCLUDE_LANGUAGES: en }
+//       options: { page-size: 50 }
+// A profile stands in for API_KEY, BASE_URL and the environment settings it lists;
+// options are defaults for command-line flags.
+export class ProfileConfig {
+  constructor({ profiles } = {}, source = 'profiles') {
+    this.source = source;
+    if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles) || Object.keys(profiles).length === 0) {
+      throw new Error(`${source} needs a non-empty "profiles" map`);
+    }
+    this.profiles = new Map(Object.entries(profiles).map(([name, profile]) => [name, this.parseProfile(name, profile)]));
+  }
+
+  static async load(file) {
+    let text;
+    try {
+      text = await readFile(file, 'utf8');
+    } catch (error) {
+      throw new Error(error.code === 'ENOENT' ? `Profile file ${file} does not exist` : `Could not read profile file ${file}: ${error.message}`);
+    }
+
+    const yaml = ['.yaml', '.yml'].includes(path.extname(file).toLowerCase());
+    let data;
+    try {
+      data = yaml ? YAML.parse(text) : JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Could not parse profile file ${file}: ${error.message}`);
+    }
+    return new ProfileConfig(data || {}, file);
+  }
+
+  parseProfile(name, profile) {
+    const where = `${this.source} profile "${name}"`;
+    if (!PROFILE_NAME.test(name)) {
+      throw new Error(`${where}: names may only use letters, digits, _ and -`);
+    }
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      throw new Error(`${where} must be an object`);
+    }
+
+    const unknown = Object.keys(profile).filter(key => !PROFILE_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`${where} has unknown field(s) ${unknown.join(', ')}. Use: ${PROFILE_KEYS.join(', ')}`);
+    }
+    if (Boolean(profile.apiKey) === Boolean(profile.apiKeyEnv)) {
+      throw new Error(`${where} needs either apiKey or apiKeyEnv`);
+    }
+
+    const settings = profile.settings || {};
+    const unknownSettings = Object.keys(settings).filter(key => !PROFILE_SETTINGS.includes(key));
+    if (unknownSettings.length > 0) {
+      throw new Error(`${where} has unknown setting(s) ${unknownSettings.join(', ')}. Use: ${PROFILE_SETTINGS.join(', ')}`);
+    }
+
+    const options = profile.options || {};
+    const badOption = Object.entries(options).find(([, value]) => !['string', 'number', 'boolean'].includes(typeof value));
+    if (badOption) {
+      throw new Error(`${where} option ${badOption[0]} must be a string, number or boolean`);
+    }
+
+    return {
+      name,
+      apiKey: profile.apiKey || null,
+      apiKeyEnv: profile.apiKeyEnv || null,
+      baseUrl: profile.baseUrl || null,
+      settings: Object.fromEntries(Object.entries(settings).map(([key, value]) => [key, String(value)])),
+      options
+    };
+  }
+
+  get names() {
+    return [...this.profiles.keys()];
+  }
+
+  get(name) {
+    const profile = this.profiles.get(name);
+    if (!profile) {
+      throw new Error(`Unknown profile "${name}" in ${this.source}. Profiles: ${this.names.join(', ')}`);
+    }
+    return profile;
+  }
+
+  // The environment a command sees under the profile: the profile's key, base URL
+  // and settings win over whatever .env or the shell set, and an API_KEY or BASE_URL
+  // from there never applies to the profile. PROFILE names the profile.
+  environment(name, env, { requireKey = true } = {}) {
+    const profile = this.get(name);
+    const apiKey = profile.apiKey || env[profile.apiKeyEnv];
+    if (!apiKey && requireKey) {
+      throw new Error(`Profile "${name}" reads its API key from ${profile.apiKeyEnv}, which is not set`);
+    }
+
+    const { API_KEY, BASE_URL, ...rest } = env;
+    return {
+      ...rest,
+      ...profile.settings,
+      ...(apiKey && { API_KEY: apiKey }),
+      ...(profile.baseUrl && { BASE_URL: profile.baseUrl }),
+      PROFILE: name
+    };
+  }
+}
@@ -0,0 +1,124 @@
+import { silentLogger } from './logger.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Central token-bucket scheduler that every API request goes through. The bucket's
+// refill rate follows the X-RateLimit-* headers so the remaining budget is spread
+// over the rest of the window; a 429 holds every caller until the window resets,
+// after which throughput ramps back up instead of resuming at full speed.
+export class RateLimiter {
+  constructor({ initialRate = 5, maxRate = 50, burst = 5, rampMs = 10000, reserve = 1, logger = silentLogger } = {}) {
+    this.logger = logger;
+    this.rate = initialRate;
+    this.maxRate = maxRate;
+    this.burst = burst;
+    this.rampMs = rampMs;
+    this.reserve = reserve;
+
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+    this.inFlight = 0;
+
+    // Latest server view of the budget
+    this.limit = null;
+    this.remaining = null;
+    this.resetAt = null;
+
+    this.cooldownUntil = 0;
+    this.rampStart = 0;
+    this.queue = Promise.resolve();
+  }
+
+  // Resolves when the caller may send one request. Callers are served in order.
+  acquire() {
+    const turn = this.queue.then(() => this.waitForSlot());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  // Share of the full rate allowed while recovering from a cooldown (25% → 100%)
+  rampFactor(now) {
+    if (!this.rampStart || now - this.rampStart >= this.rampMs) return 1;
+    return 0.25 + 0.75 * ((now - this.rampStart) / this.rampMs);
+  }
+
+  async waitForSlot() {
+    for (;;) {
+      const now = Date.now();
+
+      // A new window started; the old remaining count no longer applies
+      if (this.resetAt && now >= this.resetAt) {
+        this.remaining = null;
+        this.resetAt = null;
+      }
+
+      if (now < this.cooldownUntil) {
+        await sleep(this.cooldownUntil - now);
+        continue;
+      }
+
+      // Don't send more than the server says is left in this window
+      if (this.remaining !== null && this.remaining - this.inFlight <= this.reserve) {
+        if (this.resetAt && this.resetAt > now) {
+          await sleep(this.resetAt - now);
+        } else if (this.inFlight > 0) {
+          await sleep(100);
+        } else {
+          // No reset time and nothing pending to update us: probe with one request
+          this.remaining = null;
+        }
+        continue;
+      }
+
+      const rate = this.rate * this.rampFactor(now);
+      this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * rate);
+      this.lastRefill = now;
+
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        this.inFlight++;
+        return;
+      }
+
+      await sleep(Math.ceil(((1 - this.tokens) / rate) * 1000));
+    }
+  }
+
+  // Records a finished request and syncs the budget with its rate-limit headers
+  release(response) {
+    this.inFlight = Math.max(0, this.inFlight - 1);
+    if (!response) return;
+
+    const limit = response.headers.get('X-RateLimit-Limit');
+    const remaining = response.headers.get('X-RateLimit-Remaining');
+    const retryAfter = response.headers.get('X-RateLimit-Retry-After');
+
+    if (limit) this.limit = parseInt(limit);
+    if (remaining) this.remaining = parseInt(remaining);
+    if (retryAfter) this.resetAt = Date.now() + parseInt(retryAfter) * 1000;
+
+    // Spread what is left over the time until the window resets
+    if (this.remaining !== null && this.resetAt && this.resetAt > Date.now()) {
+      const secondsLeft = Math.max(1, (this.resetAt - Date.now()) / 1000);
+      this.rate = Math.min(this.maxRate, Math.max(0.5, this.remaining / secondsLeft));
+    }
+  }
+
+  // Holds every caller after a 429, then lets traffic back in gradually
+  cooldown(seconds) {
+    const until = Date.now() + seconds * 1000;
+    if (until > this.cooldownUntil) {
+      this.logger.log(`🧊 Rate limit hit. Holding all requests for ${seconds}s, then ramping back up...`);
+      this.cooldownUntil = until;
+      this.rampStart = until;
+      this.tokens = 0;
+      this.lastRefill = until;
+      this.remaining = null;
+    }
+  }
+
+  describe() {
+    const budget = this.remaining !== null ? `${this.remaining}/${this.limit ?? '?'} left` : 'budget unknown';
+    return `${this.rate.toFixed(1)} req/s, ${budget}, ${this.inFlight} in flight`;
+  }
+}
@@ -0,0 +1,115 @@
+import { mkdir, open, readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// Append-only JSONL checkpoint of a run. The first record holds the run's
+// parameters; each later record marks a finished video or deleted caption.
+// A crash can only ever leave a partial last line, which is ignored on resume.
+export class RunJournal {
+  constructor(file, params) {
+    this.file = path.resolve(file);
+    this.params = params;
+    this.completedVideos = new Map();
+    this.deletedCaptions = new Set();
+    this.handle = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Starts a fresh journal, or with resume loads the previous one and continues it
+  async open({ resume = false } = {}) {
+    await mkdir(path.dirname(this.file), { recursive: true });
+
+    if (!resume) {
+      this.handle = await open(this.file, 'w');
+      await this.append({ type: 'run', params: this.params, startedAt: new Date().toISOString() });
+      return this;
+    }
+
+    let content;
+    try {
+      content = await readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new Error(`No journal to resume at ${this.file}`);
+      throw error;
+    }
+
+    const records = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // Torn write from a crash; everything before it is still valid
+      }
+    }
+
+    const header = records[0];
+    if (!header || header.type !== 'run') {
+      throw new Error(`${this.file} is not a run journal`);
+    }
+    if (JSON.stringify(header.params) !== JSON.stringify(this.params)) {
+      throw new Error(
+        `Cannot resume: the journal at ${this.file} was written with different parameters.\n` +
+        `   Journal: ${JSON.stringify(header.params)}\n` +
+        `   Now:     ${JSON.stringify(this.params)}`
+      );
+    }
+
+    for (const record of records) {
+      if (record.type === 'video') this.completedVideos.set(record.videoId, record.data || null);
+      if (record.type === 'caption') this.deletedCaptions.add(`${record.videoId}/${record.language}`);
+    }
+
+    this.handle = await open(this.file, 'a');
+    // Terminate a torn last line so the next record starts on its own line
+    if (content.length > 0 && !content.endsWith('\n')) {
+      await this.handle.write('\n');
+    }
+    await this.append({ type: 'resume', resumedAt: new Date().toISOString() });
+    return this;
+  }
+
+  isVideoDone(videoId) {
+    return this.completedVideos.has(videoId);
+  }
+
+  // Data stored with the video when it was completed (e.g. the checker's findings)
+  videoData(videoId) {
+    return this.completedVideos.get(videoId);
+  }
+
+  isCaptionDeleted(videoId, language) {
+    return this.deletedCaptions.has(`${videoId}/${language}`);
+  }
+
+  recordCaptionDeleted(videoId, language) {
+    this.deletedCaptions.add(`${videoId}/${language}`);
+    return this.append({ type: 'caption', videoId, language, at: new Date().toISOString() });
+  }
+
+  recordVideoDone(videoId, data = null) {
+    this.completedVideos.set(videoId, data);
+    return this.append({ type: 'video', videoId, data, at: new Date().toISOString() });
+  }
+
+  async finish() {
+    await this.append({ type: 'finished', finishedAt: new Date().toISOString() });
+    await this.close();
+  }
+
+  // Flushes pending records and closes the file without marking the run finished.
+  // Safe to call more than once, so runs call it on the way out even when they throw.
+  async close() {
+    await this.writeQueue;
+    if (!this.handle) return;
+    const handle = this.handle;
+    this.handle = null;
+    await handle.close();
+  }
+
+  append(record) {
+    // One write per record keeps each line whole unless the process dies mid-write
+    const write = this.writeQueue.then(() => this.handle.write(`${JSON.stringify(record)}\n`));
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+}
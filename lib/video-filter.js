@@ -0,0 +1,136 @@
+import { readFile } from 'node:fs/promises';
+
+function parseDate(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} is not a valid date: ${value}`);
+  }
+  return date;
+}
+
+// Parses "key=value,other=value" into { key: 'value', other: 'value' }
+export function parseMetadata(value) {
+  const metadata = {};
+  if (!value) return metadata;
+
+  for (const pair of value.split(',')) {
+    const index = pair.indexOf('=');
+    if (index <= 0) {
+      throw new Error(`Invalid metadata filter "${pair}". Expected key=value`);
+    }
+    metadata[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+  }
+
+  return metadata;
+}
+
+// Reads the video selection settings shared by all scripts from the environment
+export function videoFilterOptionsFromEnv(env) {
+  return {
+    titlePattern: env.VIDEO_TITLE_PATTERN,
+    tags: env.VIDEO_TAGS ? env.VIDEO_TAGS.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+    metadata: parseMetadata(env.VIDEO_METADATA),
+    createdAfter: env.CREATED_AFTER,
+    createdBefore: env.CREATED_BEFORE,
+    updatedAfter: env.UPDATED_AFTER,
+    updatedBefore: env.UPDATED_BEFORE,
+    videoIdsFile: env.VIDEO_IDS_FILE
+  };
+}
+
+// Limits a run to a subset of videos. Tags and metadata are sent to the /videos
+// query so api.video filters them; everything else is checked on the client.
+export class VideoFilter {
+  constructor({
+    titlePattern,
+    tags = [],
+    metadata = {},
+    createdAfter,
+    createdBefore,
+    updatedAfter,
+    updatedBefore,
+    videoIds = null,
+    videoIdsFile = null
+  } = {}) {
+    this.titlePattern = titlePattern ? new RegExp(titlePattern, 'i') : null;
+    this.tags = tags;
+    this.metadata = metadata;
+    this.createdAfter = parseDate(createdAfter, 'CREATED_AFTER');
+    this.createdBefore = parseDate(createdBefore, 'CREATED_BEFORE');
+    this.updatedAfter = parseDate(updatedAfter, 'UPDATED_AFTER');
+    this.updatedBefore = parseDate(updatedBefore, 'UPDATED_BEFORE');
+    this.videoIds = videoIds ? [...new Set(videoIds)] : null;
+    this.videoIdsFile = videoIdsFile;
+  }
+
+  get isActive() {
+    return Boolean(
+      this.titlePattern || this.tags.length > 0 || Object.keys(this.metadata).length > 0 ||
+      this.createdAfter || this.createdBefore || this.updatedAfter || this.updatedBefore ||
+      this.videoIds || this.videoIdsFile
+    );
+  }
+
+  // Loads the explicit videoId list (one per line, # comments allowed) if a file was given
+  async loadVideoIds() {
+    if (this.videoIds || !this.videoIdsFile) return this.videoIds;
+
+    const content = await readFile(this.videoIdsFile, 'utf8');
+    const ids = content
+      .split('\n')
+      .map(line => line.replace(/#.*/, '').trim())
+      .flatMap(line => line.split(/[\s,]+/))
+      .filter(Boolean);
+
+    this.videoIds = [...new Set(ids)];
+    return this.videoIds;
+  }
+
+  // Adds the filters api.video can apply server-side to a /videos query
+  applyToQuery(params) {
+    for (const tag of this.tags) {
+      params.append('tags[]', tag);
+    }
+    for (const [key, value] of Object.entries(this.metadata)) {
+      params.append(`metadata[${key}]`, value);
+    }
+    return params;
+  }
+
+  matches(video) {
+    if (this.videoIds && !this.videoIds.includes(video.videoId)) return false;
+    if (this.titlePattern && !this.titlePattern.test(video.title || '')) return false;
+
+    const videoTags = video.tags || [];
+    if (!this.tags.every(tag => videoTags.includes(tag))) return false;
+
+    const videoMetadata = video.metadata || [];
+    for (const [key, value] of Object.entries(this.metadata)) {
+      if (!videoMetadata.some(entry => entry.key === key && entry.value === value)) return false;
+    }
+
+    const createdAt = new Date(video.createdAt);
+    const updatedAt = new Date(video.updatedAt);
+    if (this.createdAfter && !(createdAt >= this.createdAfter)) return false;
+    if (this.createdBefore && !(createdAt < this.createdBefore)) return false;
+    if (this.updatedAfter && !(updatedAt >= this.updatedAfter)) return false;
+    if (this.updatedBefore && !(updatedAt < this.updatedBefore)) return false;
+
+    return true;
+  }
+
+  describe() {
+    const parts = [];
+    if (this.videoIds) parts.push(`${this.videoIds.length} listed videoIds`);
+    else if (this.videoIdsFile) parts.push(`videoIds from ${this.videoIdsFile}`);
+    if (this.titlePattern) parts.push(`title ~ ${this.titlePattern}`);
+    if (this.tags.length > 0) parts.push(`tags: ${this.tags.join(', ')}`);
+    for (const [key, value] of Object.entries(this.metadata)) parts.push(`metadata ${key}=${value}`);
+    if (this.createdAfter) parts.push(`created >= ${this.createdAfter.toISOString()}`);
+    if (this.createdBefore) parts.push(`created < ${this.createdBefore.toISOString()}`);
+    if (this.updatedAfter) parts.push(`updated >= ${this.updatedAfter.toISOString()}`);
+    if (this.updatedBefore) parts.push(`updated < ${this.updatedBefore.toISOString()}`);
+    return parts.length > 0 ? parts.join('; ') : 'all videos';
+  }
+}
@@ -0,0 +1,37 @@
+// How far a streamed video listing has got. Until the last page is in, the number
+// of matching videos is extrapolated from the share of listed videos that passed the
+// client-side filters so far, which keeps progress counters and ETAs meaningful.
+export class VideoListing {
+  constructor(itemsTotal = null) {
+    // Videos the API says the listing has, before client-side filtering
+    this.itemsTotal = itemsTotal;
+    this.listed = 0;
+    this.matched = 0;
+    this.done = false;
+  }
+
+  add(listed, matched) {
+    this.listed += listed;
+    this.matched += matched;
+  }
+
+  finish() {
+    this.done = true;
+  }
+
+  get expected() {
+    if (this.done || this.itemsTotal === null) return this.matched;
+    if (this.listed === 0) return this.itemsTotal;
+    return this.matched + Math.round((this.itemsTotal - this.listed) * this.matched / this.listed);
+  }
+
+  // Whether expected is an extrapolation rather than a count
+  get estimated() {
+    return !this.done && this.matched !== this.listed;
+  }
+
+  // "[3/120]", or "[3/~120]" while the total is extrapolated
+  progress(index) {
+    return `[${index + 1}/${this.estimated ? '~' : ''}${this.expected}]`;
+  }
+}
@@ -0,0 +1,4 @@
+import { run } from './lib/cli.js';
+
+// Kept so `npm run restore` and `node restore-captions.js` keep working; same as `apivideo-captions restore`
+run(['restore', ...process.argv.slice(2)]);
@@ -0,0 +1,144 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { ApiVideoClient } from '../lib/api-video-client.js';
+import { VideoFilter } from '../lib/video-filter.js';
+import { FakeApiVideo } from './fake-api-video.js';
+
+describe('ApiVideoClient', () => {
+  let api;
+  let client;
+
+  beforeEach(async () => {
+    api = await new FakeApiVideo().start();
+    client = new ApiVideoClient({ apiKey: api.apiKey, baseUrl: api.baseUrl, pageSize: 3, pageDelay: 0 });
+  });
+
+  afterEach(() => api.stop());
+
+  it('walks every page of the video list', async () => {
+    api.addVideos(7);
+    const pages = [];
+    client.on('page', page => pages.push(page.page));
+
+    const videos = await client.getAllVideos();
+
+    assert.deepEqual(videos.map(video => video.videoId), ['vi0', 'vi1', 'vi2', 'vi3', 'vi4', 'vi5', 'vi6']);
+    assert.deepEqual(pages, [1, 2, 3]);
+    assert.equal(api.count('listVideos'), 3);
+  });
+
+  it('streams videos one page ahead and extrapolates the filtered total', async () => {
+    for (let i = 0; i < 8; i++) api.addVideo(`vi${i}`, [], { title: i % 2 ? 'skip' : 'keep' });
+    client.pageSize = 2;
+    client.videoFilter = new VideoFilter({ titlePattern: '^keep$' });
+    const announced = [];
+    client.on('videos', event => announced.push(event));
+
+    const seen = [];
+    for await (const video of client.iterateVideos()) {
+      if (seen.length === 0) {
+        assert.ok(api.count('listVideos') < 4);
+        assert.equal(client.listing.progress(0), '[1/~4]');
+      }
+      seen.push(video.videoId);
+    }
+
+    assert.deepEqual(seen, ['vi0', 'vi2', 'vi4', 'vi6']);
+    assert.deepEqual(announced, [{ total: 4, estimated: true }]);
+    assert.equal(client.listing.progress(3), '[4/4]');
+  });
+
+  it('sends tag and metadata filters with the list request', async () => {
+    client.videoFilter = new VideoFilter({ tags: ['news'], metadata: { team: 'video' } });
+    api.addVideo('tagged', [], { tags: ['news'], metadata: [{ key: 'team', value: 'video' }] });
+
+    await client.getAllVideos();
+
+    const { query } = api.requests.find(request => request.route === 'listVideos');
+    assert.deepEqual(query.getAll('tags[]'), ['news']);
+    assert.equal(query.get('metadata[team]'), 'video');
+  });
+
+  it('authenticates on first use', async () => {
+    api.addVideo('vi0', ['en']);
+
+    const captions = await client.getCaptionsForVideo('vi0');
+
+    assert.equal(captions.length, 1);
+    assert.equal(api.count('authenticate'), 1);
+  });
+
+  it('treats a 404 on the captions list as no captions', async () => {
+    assert.deepEqual(await client.getCaptionsForVideo('missing'), []);
+  });
+
+  it('returns no captions when the list request fails with a 5xx', async () => {
+    api.addVideo('vi0', ['en']);
+    api.inject({ route: 'listCaptions', status: 500 });
+
+    assert.deepEqual(await client.getCaptionsForVideo('vi0'), []);
+  });
+
+  it('waits for Retry-After and retries a 429', async () => {
+    api.addVideo('vi0', ['en', 'fr']);
+    api.inject({ route: 'listCaptions', status: 429, retryAfter: 1 });
+    const rateLimited = [];
+    client.on('rateLimited', event => rateLimited.push(event));
+
+    const startedAt = Date.now();
+    const captions = await client.getCaptionsForVideo('vi0');
+
+    assert.deepEqual(captions.map(caption => caption.srclang), ['en', 'fr']);
+    assert.equal(api.count('listCaptions'), 2);
+    assert.ok(Date.now() - startedAt >= 1000);
+    assert.equal(rateLimited.length, 1);
+    assert.equal(rateLimited[0].retryAfter, 1);
+  });
+
+  it('refreshes an expired token and replays the request', async () => {
+    api.addVideo('vi0', ['en']);
+    await client.authenticate();
+    api.expireTokens();
+
+    assert.equal((await client.getCaptionsForVideo('vi0')).length, 1);
+    assert.equal(api.count('refresh'), 1);
+    assert.equal(api.count('authenticate'), 1);
+  });
+
+  it('authenticates again when the refresh token is rejected', async () => {
+    api.addVideo('vi0', ['en']);
+    await client.authenticate();
+    api.expireTokens();
+    api.refreshTokens.clear();
+
+    assert.equal((await client.getCaptionsForVideo('vi0')).length, 1);
+    assert.equal(api.count('authenticate'), 2);
+  });
+
+  it('retries a dropped connection', async () => {
+    api.addVideo('vi0', ['en']);
+    api.inject({ route: 'listCaptions', dropConnection: true });
+
+    assert.equal((await client.getCaptionsForVideo('vi0')).length, 1);
+    assert.equal(api.count('listCaptions'), 2);
+  });
+
+  it('waits out a slow response', async () => {
+    api.addVideo('vi0', ['en']);
+    api.inject({ route: 'listCaptions', delayMs: 300 });
+
+    assert.equal((await client.getCaptionsForVideo('vi0')).length, 1);
+    assert.equal(api.count('listCaptions'), 1);
+  });
+
+  it('reports a failed deletion without throwing', async () => {
+    api.addVideo('vi0', ['en']);
+    api.inject({ route: 'deleteCaption', status: 503 });
+
+    assert.equal(await client.deleteCaption('vi0', 'en'), false);
+    assert.deepEqual(api.languagesOf('vi0'), ['en']);
+
+    assert.equal(await client.deleteCaption('vi0', 'en'), true);
+    assert.deepEqual(api.languagesOf('vi0'), []);
+  });
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { appendFile, mkdtemp, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { AuditLog, apiKeyFingerprint } from '../lib/audit-log.js';
+import { ApiVideoCaptionDeleter } from '../lib/caption-deleter.js';
+import { FastCaptionDeleter } from '../lib/fast-caption-deleter.js';
+import { FakeApiVideo } from './fake-api-video.js';
+
+const collect = async records => {
+  const entries = [];
+  for await (const entry of records) entries.push(entry);
+  return entries;
+};
+
+describe('AuditLog', () => {
+  let api;
+  let dir;
+  let file;
+
+  const options = () => ({
+    apiKey: api.apiKey,
+    baseUrl: api.baseUrl,
+    backupDir: path.join(dir, 'backups'),
+    journalFile: null,
+    auditLog: new AuditLog(file, { apiKey: api.apiKey, operator: 'ana', runId: 'run-1' }),
+    pageDelay: 0,
+    verify: false
+  });
+
+  beforeEach(async () => {
+    api = await new FakeApiVideo().start();
+    dir = await mkdtemp(path.join(os.tmpdir(), 'audit-log-'));
+    file = path.join(dir, 'logs', 'audit.jsonl');
+    api.addVideo('vi0', ['en', 'es']);
+    api.addVideo('vi1', ['es']);
+  });
+
+  afterEach(async () => {
+    await api.stop();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('records every deletion with its status and retries', async () => {
+    api.inject({ route: 'deleteCaption', status: 429, retryAfter: 1, match: request => request.videoId === 'vi0' && request.language === 'es' });
+    api.inject({ route: 'deleteCaption', status: 500, match: request => request.videoId === 'vi1' });
+
+    await new ApiVideoCaptionDeleter({ ...options(), videoDelay: 0, deleteDelay: 0 }).deleteAllCaptions();
+
+    const entries = (await readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(entries.map(({ videoId, title, language, status, retries }) => ({ videoId, title, language, status, retries })), [
+      { videoId: 'vi0', title: 'Video vi0', language: 'en', status: 204, retries: 0 },
+      { videoId: 'vi0', title: 'Video vi0', language: 'es', status: 204, retries: 1 },
+      { videoId: 'vi1', title: 'Video vi1', language: 'es', status: 500, retries: 0 }
+    ]);
+    assert.ok(entries.every(entry => entry.runId === 'run-1' && entry.operator === 'ana' && entry.action === 'delete'));
+    assert.equal(entries[0].account, apiKeyFingerprint(api.apiKey));
+    assert.ok(!JSON.stringify(entries).includes(api.apiKey));
+  });
+
+  it('records the fast deleter\'s deletions too', async () => {
+    await new FastCaptionDeleter(options()).fastDeleteAllCaptions();
+
+    const entries = await collect(AuditLog.read(file));
+    assert.deepEqual(entries.map(entry => `${entry.videoId}/${entry.language} ${entry.status}`).sort(), ['vi0/en 204', 'vi0/es 204', 'vi1/es 204']);
+  });
+
+  it('filters by video, language, run and time, skipping torn lines', async () => {
+    const first = new AuditLog(file, { apiKey: 'key', runId: 'aaaa-1' });
+    await first.record({ videoId: 'vi0', language: 'es', status: 204 });
+    await first.record({ videoId: 'vi1', language: 'en', status: 204 });
+    await appendFile(file, '{"at":"2024-');
+    await appendFile(file, '\n');
+    const second = new AuditLog(file, { apiKey: 'key', runId: 'bbbb-2' });
+    await second.record({ videoId: 'vi0', language: 'ES', status: 404 });
+
+    const ids = async filters => (await collect(AuditLog.query(file, filters))).map(entry => `${entry.runId} ${entry.videoId}`);
+    assert.deepEqual(await ids({}), ['aaaa-1 vi0', 'aaaa-1 vi1', 'bbbb-2 vi0']);
+    assert.deepEqual(await ids({ videoId: 'vi0', language: 'es' }), ['aaaa-1 vi0', 'bbbb-2 vi0']);
+    assert.deepEqual(await ids({ runId: 'bbbb' }), ['bbbb-2 vi0']);
+    assert.deepEqual(await ids({ since: new Date(Date.now() + 60000) }), []);
+    assert.deepEqual(await ids({ until: new Date(Date.now() + 60000), language: 'en' }), ['aaaa-1 vi1']);
+    assert.deepEqual(await collect(AuditLog.read(path.join(dir, 'missing.jsonl'))), []);
+  });
+});
@@ -0,0 +1,168 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { ApiVideoCaptionChecker } from '../lib/caption-checker.js';
+import { CaptionReport } from '../lib/caption-report.js';
+import { FakeApiVideo } from './fake-api-video.js';
+
+describe('ApiVideoCaptionChecker', () => {
+  let api;
+  let dir;
+
+  const checker = options => new ApiVideoCaptionChecker({
+    apiKey: api.apiKey,
+    baseUrl: api.baseUrl,
+    pageSize: 2,
+    pageDelay: 0,
+    videoDelay: 0,
+    journalFile: null,
+    ...options
+  });
+
+  beforeEach(async () => {
+    api = await new FakeApiVideo().start();
+    dir = await mkdtemp(path.join(os.tmpdir(), 'caption-checker-'));
+    api.addVideo('vi0', ['en', 'fr']);
+    api.addVideo('vi1', []);
+    api.addVideo('vi2', ['fr']);
+    api.addVideo('vi3', []);
+    api.addVideo('vi4', ['de']);
+  });
+
+  afterEach(async () => {
+    await api.stop();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('lists the videos that still have captions', async () => {
+    const result = await checker().checkAllCaptions();
+
+    assert.equal(result.videos, 5);
+    assert.equal(result.videosWithCaptions, 3);
+    assert.equal(result.captionsFound, 4);
+    assert.deepEqual(result.captionsByLanguage, { en: 1, fr: 2, de: 1 });
+    assert.deepEqual(result.captionedVideos.map(video => video.videoId), ['vi0', 'vi2', 'vi4']);
+    assert.equal(api.count('deleteCaption'), 0);
+  });
+
+  it('emits an event per video', async () => {
+    const run = checker();
+    const seen = [];
+    run.on('video', ({ video, captions }) => seen.push([video.videoId, captions.length]));
+
+    await run.checkAllCaptions();
+
+    assert.deepEqual(seen, [['vi0', 2], ['vi1', 0], ['vi2', 1], ['vi3', 0], ['vi4', 1]]);
+  });
+
+  it('starts checking before the last page is listed', async () => {
+    const events = [];
+    const instance = checker();
+    instance.on('page', ({ page }) => events.push(`page ${page}`));
+    instance.on('video', ({ video }) => events.push(video.videoId));
+
+    await instance.checkAllCaptions();
+
+    assert.deepEqual(events, ['page 1', 'vi0', 'vi1', 'page 2', 'vi2', 'vi3', 'page 3', 'vi4']);
+  });
+
+  it('rides out rate limiting and slow responses', async () => {
+    api.inject({ route: 'listCaptions', status: 429, retryAfter: 1 });
+    api.inject({ route: 'listVideos', delayMs: 300 });
+
+    const result = await checker().checkAllCaptions();
+
+    assert.equal(result.captionsFound, 4);
+    assert.equal(api.count('listCaptions'), 6);
+  });
+
+  it('writes an NDJSON report', async () => {
+    const output = path.join(dir, 'report.ndjson');
+
+    await checker({ report: new CaptionReport('ndjson', output) }).checkAllCaptions();
+
+    const lines = (await readFile(output, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.filter(line => line.type === 'caption').map(line => `${line.videoId}/${line.language}`),
+      ['vi0/en', 'vi0/fr', 'vi2/fr', 'vi4/de']);
+    assert.equal(lines.at(-1).type, 'summary');
+    assert.equal(lines.at(-1).totalCaptions, 4);
+  });
+
+  it('resumes from its journal without checking videos again', async () => {
+    const journalFile = path.join(dir, 'check.jsonl');
+    await checker({ journalFile }).checkAllCaptions();
+    const listed = api.count('listCaptions');
+
+    const result = await checker({ journalFile, resume: true }).checkAllCaptions();
+
+    assert.equal(api.count('listCaptions'), listed);
+    assert.equal(result.captionsFound, 4);
+    assert.deepEqual(result.captionsByLanguage, { en: 1, fr: 2, de: 1 });
+  });
+
+  it('counts a video whose captions could not be listed as a failure, not as checked', async () => {
+    const journalFile = path.join(dir, 'check.jsonl');
+    api.inject({ route: 'listCaptions', status: 502, match: request => request.videoId === 'vi2' });
+
+    const first = await checker({ journalFile }).checkAllCaptions();
+    assert.equal(first.listFailures, 1);
+    assert.equal(first.failures, 1);
+    assert.deepEqual(first.captionedVideos.map(video => video.videoId), ['vi0', 'vi4']);
+
+    const resumed = await checker({ journalFile, resume: true }).checkAllCaptions();
+    assert.equal(resumed.failures, 0);
+    assert.deepEqual(resumed.captionedVideos.map(video => video.videoId).sort(), ['vi0', 'vi2', 'vi4']);
+  });
+
+  it('only queries new and changed videos when a cache is kept', async () => {
+    const cacheFile = path.join(dir, 'cache.json');
+    api.inject({ route: 'listCaptions', status: 500, match: request => request.videoId === 'vi3' });
+    await checker({ cacheFile }).checkAllCaptions();
+    assert.equal(api.count('listCaptions'), 5);
+
+    api.captions.get('vi1').push({ srclang: 'it', default: true });
+    api.videos[1].updatedAt = '2024-02-01T00:00:00+00:00';
+    api.addVideo('vi5', ['en']);
+
+    // vi1 changed, vi5 is new and vi3 failed last time; the rest come from the cache
+    const result = await checker({ cacheFile }).checkAllCaptions();
+    assert.equal(api.count('listCaptions'), 8);
+    assert.equal(result.videosFromCache, 3);
+    assert.equal(result.captionsFound, 6);
+    assert.deepEqual(result.captionsByLanguage, { en: 2, fr: 2, it: 1, de: 1 });
+
+    const full = await checker({ cacheFile, full: true }).checkAllCaptions();
+    assert.equal(api.count('listCaptions'), 14);
+    assert.equal(full.videosFromCache, 0);
+    assert.equal(full.captionsFound, 6);
+
+    // Cached tracks carry no lint results, so a linting check cannot use them
+    const linted = await checker({ cacheFile, inspect: { lint: true } }).checkAllCaptions();
+    assert.equal(linted.videosFromCache, 0);
+  });
+
+  it('lints and searches the caption files', async () => {
+    api.setCaptionContent('vi0', 'fr', 'WEBVTT\n\n00:00:01.000 --> 00:00:03.000\nBonjour Acme\n\n00:00:02.000 --> 00:00:04.000\nSalut\n');
+    api.inject({ route: 'downloadCaption', status: 500, match: request => request.videoId === 'vi4' });
+    const output = path.join(dir, 'report.json');
+
+    const result = await checker({
+      inspect: { lint: true, search: 'acme' },
+      report: new CaptionReport('json', output)
+    }).checkAllCaptions();
+
+    assert.equal(result.captionsInspected, 3);
+    assert.equal(result.failures, 1);
+    assert.equal(result.captionsWithIssues, 1);
+    assert.deepEqual(result.issuesByRule, { overlap: 1 });
+    assert.equal(result.searchHits, 1);
+    assert.deepEqual(result.findings.map(finding => `${finding.videoId}/${finding.language}`), ['vi0/fr', 'vi4/de']);
+    assert.equal(result.findings[0].hits[0].start, 1000);
+
+    const report = JSON.parse(await readFile(output, 'utf8'));
+    assert.equal(report.summary.searchHits, 1);
+    assert.equal(report.captions.find(caption => caption.language === 'fr' && caption.videoId === 'vi0').issues[0].rule, 'overlap');
+  });
+});
@@ -0,0 +1,199 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { ApiVideoCaptionDeleter } from '../lib/caption-deleter.js';
+import { ApiVideoCaptionRestorer } from '../lib/caption-restorer.js';
+import { FakeApiVideo } from './fake-api-video.js';
+
+describe('ApiVideoCaptionDeleter', () => {
+  let api;
+  let dir;
+
+  const deleter = options => new ApiVideoCaptionDeleter({
+    apiKey: api.apiKey,
+    baseUrl: api.baseUrl,
+    backupDir: path.join(dir, 'backups'),
+    journalFile: path.join(dir, 'journal.jsonl'),
+    pageSize: 2,
+    pageDelay: 0,
+    videoDelay: 0,
+    deleteDelay: 0,
+    ...options
+  });
+
+  beforeEach(async () => {
+    api = await new FakeApiVideo().start();
+    dir = await mkdtemp(path.join(os.tmpdir(), 'caption-deleter-'));
+    api.addVideo('vi0', ['en', 'fr']);
+    api.addVideo('vi1', []);
+    api.addVideo('vi2', ['fr', 'de']);
+  });
+
+  afterEach(async () => {
+    await api.stop();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('backs up and deletes every caption', async () => {
+    const result = await deleter().deleteAllCaptions();
+
+    assert.equal(result.captionsDeleted, 4);
+    assert.equal(result.failures, 0);
+    assert.deepEqual(result.deletedByLanguage, { en: 1, fr: 2, de: 1 });
+    assert.deepEqual([...api.captions.values()].flat(), []);
+
+    const manifest = JSON.parse(await readFile(path.join(dir, 'backups', 'manifest.json'), 'utf8'));
+    assert.deepEqual(Object.keys(manifest.videos).sort(), ['vi0', 'vi2']);
+    assert.match(await readFile(path.join(dir, 'backups', manifest.videos.vi0.fr[0].file), 'utf8'), /^WEBVTT/);
+  });
+
+  it('keeps every backup of a caption that is deleted again, and restores the latest', async () => {
+    const first = 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nFirst\n';
+    const second = 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nSecond\n';
+    const restorer = () => new ApiVideoCaptionRestorer(path.join(dir, 'backups'), { apiKey: api.apiKey, baseUrl: api.baseUrl });
+    api.setCaptionContent('vi0', 'en', first);
+
+    await deleter({ includeLanguages: ['en'], journalFile: null }).deleteAllCaptions();
+    await restorer().restoreAllCaptions();
+    api.setCaptionContent('vi0', 'en', second);
+    await deleter({ includeLanguages: ['en'], journalFile: null }).deleteAllCaptions();
+
+    const manifest = JSON.parse(await readFile(path.join(dir, 'backups', 'manifest.json'), 'utf8'));
+    const backups = manifest.videos.vi0.en;
+    assert.equal(backups.length, 2);
+    assert.notEqual(backups[0].file, backups[1].file);
+    assert.equal(await readFile(path.join(dir, 'backups', backups[0].file), 'utf8'), first);
+    assert.equal(await readFile(path.join(dir, 'backups', backups[1].file), 'utf8'), second);
+
+    await restorer().restoreAllCaptions();
+    assert.equal(api.captions.get('vi0').find(caption => caption.srclang === 'en').content, second);
+  });
+
+  it('keeps excluded languages', async () => {
+    const result = await deleter({ excludeLanguages: ['fr'] }).deleteAllCaptions();
+
+    assert.equal(result.captionsDeleted, 2);
+    assert.deepEqual(result.keptByLanguage, { fr: 2 });
+    assert.deepEqual(api.languagesOf('vi0'), ['fr']);
+    assert.deepEqual(api.languagesOf('vi2'), ['fr']);
+  });
+
+  it('deletes nothing in a dry run', async () => {
+    const result = await deleter({ dryRun: true }).deleteAllCaptions();
+
+    assert.equal(result.dryRun, true);
+    assert.equal(api.count('deleteCaption'), 0);
+    assert.deepEqual(api.languagesOf('vi0'), ['en', 'fr']);
+  });
+
+  it('estimates the requests it takes to execute a plan', async () => {
+    const planOut = path.join(dir, 'plan.json');
+    const { plan } = await deleter({ dryRun: true, planOut }).deleteAllCaptions();
+    const sent = api.requests.length;
+
+    await deleter({ planFile: planOut }).deleteAllCaptions();
+
+    assert.equal(plan.estimateRequests().total, api.requests.length - sent);
+    assert.equal(plan.estimateRequests({ verify: false }).verificationLookups, 0);
+  });
+
+  it('does not delete a caption whose backup failed', async () => {
+    api.inject({ route: 'downloadCaption', status: 500, match: request => request.videoId === 'vi0' && request.language === 'en' });
+
+    const result = await deleter({ verify: false }).deleteAllCaptions();
+
+    assert.equal(result.backupFailures, 1);
+    assert.equal(result.failures, 1);
+    assert.deepEqual(api.languagesOf('vi0'), ['en']);
+  });
+
+  it('retries videos with failed deletions on resume', async () => {
+    api.inject({ route: 'deleteCaption', status: 503, match: request => request.videoId === 'vi2' });
+
+    const first = await deleter({ verify: false }).deleteAllCaptions();
+    assert.equal(first.deleteFailures, 1);
+    assert.equal(api.languagesOf('vi2').length, 1);
+
+    const second = await deleter({ resume: true }).deleteAllCaptions();
+    assert.equal(second.failures, 0);
+    assert.equal(second.videosResumed, 2);
+    assert.deepEqual(api.languagesOf('vi2'), []);
+  });
+
+  it('keeps the pause between videos in adaptive mode', async () => {
+    const run = deleter({ adaptive: true, videoDelay: 50, verify: false });
+    const pauses = [];
+    run.smartDelay = async delay => { pauses.push(delay); };
+
+    const result = await run.deleteAllCaptions();
+
+    assert.equal(result.captionsDeleted, 4);
+    assert.equal(pauses.filter(delay => delay === 50).length, 3);
+  });
+
+  it('closes its journal when the run throws', async () => {
+    api.inject({ route: 'authenticate', status: 403 });
+    const run = deleter();
+
+    await assert.rejects(run.deleteAllCaptions());
+    assert.equal(run.journal.handle, null);
+
+    const resumed = await deleter({ resume: true }).deleteAllCaptions();
+    assert.equal(resumed.captionsDeleted, 4);
+  });
+
+  it('survives a 429 and an expired token mid-run', async () => {
+    api.inject({ route: 'deleteCaption', status: 429, retryAfter: 1 });
+    const run = deleter();
+    run.once('video', () => api.expireTokens());
+
+    const result = await run.deleteAllCaptions();
+
+    assert.equal(result.captionsDeleted, 4);
+    assert.equal(result.failures, 0);
+    assert.equal(api.count('refresh'), 1);
+  });
+
+  it('verifies the videos it went through and retries leftover captions', async () => {
+    // vi0's caption list fails, so the run sees no captions; one of vi2's deletions fails
+    api.inject({ route: 'listCaptions', status: 500, match: request => request.videoId === 'vi0' });
+    api.inject({ route: 'deleteCaption', status: 503, match: request => request.videoId === 'vi2' });
+
+    const result = await deleter().deleteAllCaptions();
+
+    assert.equal(result.deleteFailures, 1);
+    assert.equal(result.captionsDeleted, 4);
+    assert.equal(result.verification.clean, true);
+    assert.equal(result.verification.captionsDeleted, 3);
+    assert.equal(result.verification.rounds, 2);
+    assert.deepEqual([...api.captions.values()].flat(), []);
+
+    // The retried video is checkpointed after all, so a resume has nothing left to do
+    const resumed = await deleter({ resume: true }).deleteAllCaptions();
+    assert.equal(resumed.videosResumed, 3);
+  });
+
+  it('only verifies the videos it deleted from or could not list', async () => {
+    api.addVideo('vi3', ['en']);
+    api.inject({ route: 'listCaptions', status: 500, match: request => request.videoId === 'vi3' });
+
+    const result = await deleter().deleteAllCaptions();
+
+    // vi1 has no captions and is not listed again; vi3 is listed once more after its retry
+    assert.equal(result.verification.videos, 3);
+    assert.equal(api.count('listCaptions'), 4 + 3 + 1);
+  });
+
+  it('reports captions that are still there after the last retry', async () => {
+    api.inject({ route: 'deleteCaption', status: 503, match: request => request.videoId === 'vi2' && request.language === 'de', times: Infinity });
+
+    const result = await deleter({ verifyRetries: 1 }).deleteAllCaptions();
+
+    assert.equal(result.verification.clean, false);
+    assert.deepEqual(result.verification.leftovers, [{ videoId: 'vi2', language: 'de' }]);
+    assert.equal(result.verification.captionsRetried, 1);
+    assert.equal(api.count('deleteCaption'), 5);
+  });
+});
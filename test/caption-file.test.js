@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { parseVtt, srtToVtt, validateVtt } from '../lib/caption-file.js';
+
+describe('caption files', () => {
+  it('parses WebVTT cues with identifiers, settings and notes', () => {
+    const cues = parseVtt('\uFEFFWEBVTT - title\r\n\r\nNOTE a comment\r\n\r\nintro\r\n00:01.000 --> 00:02.500 align:start\r\nHello\r\nthere\r\n\r\n01:00:00.000 --> 01:00:01.000\r\nBye\r\n');
+
+    assert.deepEqual(cues, [
+      { id: 'intro', start: 1000, end: 2500, text: 'Hello\nthere', line: 6 },
+      { id: null, start: 3600000, end: 3601000, text: 'Bye', line: 10 }
+    ]);
+  });
+
+  it('rejects files that are not WebVTT', () => {
+    assert.throws(() => parseVtt('1\n00:00:01,000 --> 00:00:02,000\nHi\n'), /Line 1: .*WEBVTT/);
+    assert.throws(() => parseVtt('WEBVTT\n\nHello\nWorld\n'), /Line 3: expected a cue timing line/);
+    assert.throws(() => parseVtt('WEBVTT\n\n00:00:02.000 --> 00:00:01.000\nHi\n'), /Line 3: cue ends/);
+    assert.throws(() => parseVtt('WEBVTT\n\n00:00:61.000 --> 00:01:02.000\nHi\n'), /invalid cue timing/);
+    assert.throws(() => validateVtt('WEBVTT\n'), /no cues/);
+  });
+
+  it('converts SRT to WebVTT', () => {
+    const vtt = srtToVtt('1\r\n00:00:01,000 --> 00:00:02,000\r\n{\\an8}Hello\r\n\r\n2\r\n00:00:03,5 --> 00:00:04,000\r\n<i>World</i>\r\n');
+
+    assert.equal(vtt, 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHello\n\n00:00:03.500 --> 00:00:04.000\n<i>World</i>\n');
+    assert.equal(validateVtt(vtt).length, 2);
+  });
+
+  it('points at the broken block of an SRT file', () => {
+    assert.throws(() => srtToVtt('1\n00:00:01,000 --> 00:00:02,000\nHi\n\n2\nno timing\n'), /Line 6: expected an SRT timing line/);
+  });
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { CaptionInspector, lintVtt, searchCues } from '../lib/caption-inspector.js';
+import { parseVtt } from '../lib/caption-file.js';
+
+const rules = text => lintVtt(text).issues.map(issue => `${issue.line}:${issue.rule}`);
+
+describe('caption inspection', () => {
+  it('accepts a clean file', () => {
+    assert.deepEqual(rules('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHello\n\n00:00:02.000 --> 00:00:03.000\nWorld\n'), []);
+  });
+
+  it('flags overlapping, out-of-order, empty and long cues', () => {
+    const text = [
+      'WEBVTT',
+      '',
+      '00:00:05.000 --> 00:00:07.000',
+      'First',
+      '',
+      '00:00:06.000 --> 00:00:08.000',
+      'Overlaps the first',
+      '',
+      '00:00:01.000 --> 00:00:02.000',
+      'Out of order',
+      '',
+      '00:00:10.000 --> 00:00:20.000',
+      '<i> </i>',
+      '',
+      '00:00:21.000 --> 00:00:22.000',
+      'This line is far too long to read comfortably on screen',
+      ''
+    ].join('\n');
+
+    assert.deepEqual(rules(text), ['6:overlap', '9:out-of-order', '12:empty-cue', '12:long-cue', '16:long-line']);
+  });
+
+  it('reports malformed headers and timings without stopping', () => {
+    assert.deepEqual(rules('WEBVTT\n00:00:01.000 --> 00:00:02.000\nHi\n\n00:00:03.000 -> 00:00:04.000\nBye\n\n00:00:05.000 --> 00:00:06.000\nOk\n'),
+      ['2:header', '5:timing']);
+    assert.deepEqual(rules('1\n00:00:01,000 --> 00:00:02,000\nHi\n'), ['1:header', '2:timing']);
+  });
+
+  it('uses the configured limits', () => {
+    const text = 'WEBVTT\n\n00:00:01.000 --> 00:00:04.000\n0123456789\n';
+    assert.deepEqual(lintVtt(text, { maxCueSeconds: 2, maxLineLength: 5 }).issues.map(issue => issue.rule), ['long-cue', 'long-line']);
+  });
+
+  it('finds terms across line breaks and markup', () => {
+    const cues = parseVtt('WEBVTT\n\n00:01:02.000 --> 00:01:04.000\nBrought to you by <b>Acme</b>\nWidgets\n\n00:01:05.000 --> 00:01:06.000\nNothing here\n');
+
+    assert.deepEqual(searchCues(cues, /acme widgets/gi), [
+      { start: 62000, end: 64000, line: 3, text: 'Brought to you by Acme Widgets', match: 'Acme Widgets' }
+    ]);
+  });
+
+  it('treats a string search as a literal term', () => {
+    const inspector = new CaptionInspector({ search: 'a.c (tm)' });
+    const { hits, issues } = inspector.inspect('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nabc (tm)\n\n00:00:03.000 --> 00:00:04.000\nA.C (TM)\n');
+
+    assert.deepEqual(hits.map(hit => hit.text), ['A.C (TM)']);
+    assert.deepEqual(issues, []);
+  });
+});
@@ -0,0 +1,189 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { CaptionPolicy } from '../lib/caption-policy.js';
+import { ApiVideoCaptionReconciler } from '../lib/caption-reconciler.js';
+import { DeletionAborted } from '../lib/deletion-interlock.js';
+import { FakeApiVideo } from './fake-api-video.js';
+
+const POLICY = `
+rules:
+  - name: public videos default to English
+    match:
+      tags: [public]
+    default: en
+  - name: no placeholder tracks
+    forbid: [auto, xx]
+  - name: internal videos have no captions
+    match: { tags: internal }
+    allow: []
+`;
+
+const caption = (srclang, isDefault = false) => ({ srclang, default: isDefault });
+const summarize = ({ changes, problems }) => ({
+  changes: changes.map(change => `${change.action} ${change.language}`),
+  problems: problems.map(problem => `${problem.type} ${problem.language}`)
+});
+
+describe('CaptionPolicy', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'caption-policy-'));
+  });
+
+  afterEach(() => rm(dir, { recursive: true, force: true }));
+
+  it('loads YAML and JSON policies', async () => {
+    await writeFile(path.join(dir, 'policy.yaml'), POLICY);
+    await writeFile(path.join(dir, 'policy.json'), JSON.stringify({ rules: [{ forbid: 'auto' }] }));
+
+    assert.equal((await CaptionPolicy.load(path.join(dir, 'policy.yaml'))).rules.length, 3);
+    assert.deepEqual((await CaptionPolicy.load(path.join(dir, 'policy.json'))).rules[0].forbid, ['auto']);
+  });
+
+  it('rejects rules it does not understand', () => {
+    assert.throws(() => new CaptionPolicy({}), /non-empty "rules"/);
+    assert.throws(() => new CaptionPolicy({ rules: [{ forbidden: ['xx'] }] }), /rule 1 has unknown field\(s\) forbidden/);
+    assert.throws(() => new CaptionPolicy({ rules: [{ match: { tag: 'a' }, forbid: 'xx' }] }), /match has unknown field\(s\) tag/);
+    assert.throws(() => new CaptionPolicy({ rules: [{ name: 'nothing' }] }), /needs at least one of/);
+    assert.throws(() => new CaptionPolicy({ rules: [{ default: ['en', 'fr'] }] }), /single language/);
+  });
+
+  it('plans deletions and default changes for matching videos', async () => {
+    await writeFile(path.join(dir, 'policy.yaml'), POLICY);
+    const policy = await CaptionPolicy.load(path.join(dir, 'policy.yaml'));
+
+    const publicVideo = { videoId: 'a', tags: ['public'] };
+    assert.deepEqual(summarize(policy.evaluate(publicVideo, [caption('fr', true), caption('en'), caption('xx')])),
+      { changes: ['delete xx', 'set-default en'], problems: [] });
+    assert.deepEqual(summarize(policy.evaluate(publicVideo, [caption('en', true)])), { changes: [], problems: [] });
+    assert.deepEqual(summarize(policy.evaluate(publicVideo, [caption('fr', true)])), { changes: [], problems: ['missing en'] });
+
+    const internalVideo = { videoId: 'b', tags: ['internal'] };
+    assert.deepEqual(summarize(policy.evaluate(internalVideo, [caption('en', true), caption('auto')])),
+      { changes: ['delete auto', 'delete en'], problems: [] });
+  });
+
+  it('reports conflicting rules instead of acting on them', () => {
+    const policy = new CaptionPolicy({
+      rules: [
+        { name: 'english', default: 'en' },
+        { name: 'french', match: { tags: ['fr'] }, default: 'fr' },
+        { name: 'only french', match: { tags: ['fr'] }, allow: ['fr'] }
+      ]
+    });
+
+    const { changes, problems } = policy.evaluate({ videoId: 'c', tags: ['fr'] }, [caption('en'), caption('fr')]);
+    assert.deepEqual(changes, []);
+    assert.deepEqual(problems.map(problem => problem.message), [
+      'only french would delete en, but english requires it',
+      'rules disagree on the default: en (english) vs fr (french)'
+    ]);
+  });
+});
+
+describe('ApiVideoCaptionReconciler', () => {
+  let api;
+  let dir;
+  let policy;
+
+  const reconciler = options => new ApiVideoCaptionReconciler({
+    apiKey: api.apiKey,
+    baseUrl: api.baseUrl,
+    policy,
+    backupDir: path.join(dir, 'backups'),
+    pageDelay: 0,
+    videoDelay: 0,
+    changeDelay: 0,
+    ...options
+  });
+
+  beforeEach(async () => {
+    api = await new FakeApiVideo().start();
+    dir = await mkdtemp(path.join(os.tmpdir(), 'caption-reconciler-'));
+    await writeFile(path.join(dir, 'policy.yaml'), POLICY);
+    policy = await CaptionPolicy.load(path.join(dir, 'policy.yaml'));
+
+    api.addVideo('pub', ['fr', 'en', 'xx'], { tags: ['public'] });
+    api.addVideo('int', ['en'], { tags: ['internal'] });
+    api.addVideo('ok', ['en'], { tags: ['public'] });
+    api.addVideo('gap', ['de'], { tags: ['public'] });
+  });
+
+  afterEach(async () => {
+    await api.stop();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('plans without changing anything', async () => {
+    const result = await reconciler().plan();
+
+    assert.equal(result.videosToChange, 2);
+    assert.equal(result.deletions, 2);
+    assert.equal(result.defaultChanges, 1);
+    assert.equal(result.problems, 1);
+    assert.deepEqual(result.plans.map(entry => entry.videoId), ['pub', 'int', 'gap']);
+    assert.equal(api.count('deleteCaption') + api.count('updateCaption'), 0);
+  });
+
+  it('applies only the changes needed to conform', async () => {
+    const result = await reconciler().apply();
+
+    assert.equal(result.applied, 3);
+    assert.equal(result.failures, 0);
+    assert.deepEqual(api.languagesOf('pub'), ['fr', 'en']);
+    assert.deepEqual(api.captions.get('pub').filter(track => track.default).map(track => track.srclang), ['en']);
+    assert.deepEqual(api.languagesOf('int'), []);
+    assert.deepEqual(api.languagesOf('gap'), ['de']);
+
+    const manifest = JSON.parse(await readFile(path.join(dir, 'backups', 'manifest.json'), 'utf8'));
+    assert.deepEqual(Object.keys(manifest.videos).sort(), ['int', 'pub']);
+
+    const again = await reconciler().plan();
+    assert.equal(again.deletions + again.defaultChanges, 0);
+  });
+
+  it('changes nothing until the deletions in the plan are confirmed, and within the limit', async () => {
+    const requests = [];
+    await assert.rejects(reconciler({ confirm: request => (requests.push(request), false) }).apply(), DeletionAborted);
+    await assert.rejects(reconciler({ maxDeletions: 1 }).apply(), DeletionAborted);
+    assert.equal(api.count('deleteCaption') + api.count('updateCaption'), 0);
+    assert.equal(requests[0].stage, 'preview');
+    assert.deepEqual([...requests[0].plan.videos.values()].map(video => `${video.videoId}: ${video.languages}`), ['pub: xx', 'int: en']);
+
+    const result = await reconciler({ confirm: () => true, maxDeletions: 2 }).apply();
+    assert.equal(result.applied, 3);
+  });
+
+  it('stops after a canary that was not approved', async () => {
+    const confirm = ({ stage }) => stage === 'preview';
+
+    await assert.rejects(reconciler({ confirm, canary: 1 }).apply(), /Stopped after the canary/);
+    assert.equal(api.count('deleteCaption'), 1);
+    assert.deepEqual(api.languagesOf('int'), ['en']);
+  });
+
+  it('counts failed changes', async () => {
+    api.inject({ route: 'updateCaption', status: 500 });
+
+    const result = await reconciler().apply();
+
+    assert.equal(result.applied, 2);
+    assert.equal(result.failures, 1);
+  });
+
+  it('leaves videos whose captions could not be listed out of the plan', async () => {
+    api.inject({ route: 'listCaptions', status: 502, match: request => request.videoId === 'ok' || request.videoId === 'int', times: 2 });
+
+    const result = await reconciler().apply();
+
+    assert.deepEqual(result.unverifiable.map(video => video.videoId), ['int', 'ok']);
+    assert.deepEqual(result.plans.map(entry => entry.videoId), ['pub', 'gap']);
+    assert.equal(result.applied, 2);
+    assert.equal(result.failures, 2);
+    assert.deepEqual(api.languagesOf('int'), ['en']);
+  });
+});
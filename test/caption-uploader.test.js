@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { ApiVideoCaptionUploader } from '../lib/caption-uploader.js';
+import { FakeApiVideo } from './fake-api-video.js';
+
+const VTT = 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHello\n';
+const SRT = '1\n00:00:01,000 --> 00:00:02,000\nHello\n';
+
+describe('ApiVideoCaptionUploader', () => {
+  let api;
+  let dir;
+
+  const uploader = options => new ApiVideoCaptionUploader(dir, {
+    apiKey: api.apiKey,
+    baseUrl: api.baseUrl,
+    backupDir: `${dir}-backups`,
+    uploadDelay: 0,
+    ...options
+  });
+
+  const write = async (file, content) => {
+    await mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await writeFile(path.join(dir, file), content);
+  };
+
+  beforeEach(async () => {
+    api = await new FakeApiVideo().start();
+    dir = await mkdtemp(path.join(os.tmpdir(), 'caption-uploader-'));
+    api.addVideo('vi0', []);
+    api.addVideo('vi1', ['en']);
+  });
+
+  afterEach(async () => {
+    await api.stop();
+    await rm(dir, { recursive: true, force: true });
+    await rm(`${dir}-backups`, { recursive: true, force: true });
+  });
+
+  it('uploads files named by videoId and language, converting SRT', async () => {
+    await write('vi0.en.vtt', VTT);
+    await write('vi0.pt-BR.srt', SRT);
+    await write('vi1/fr.vtt', VTT);
+    await write('notes.txt', 'ignored');
+
+    const result = await uploader().uploadAllCaptions();
+
+    assert.equal(result.uploaded, 3);
+    assert.equal(result.converted, 1);
+    assert.equal(result.failures, 0);
+    assert.deepEqual(api.languagesOf('vi0'), ['en', 'pt-BR']);
+    assert.deepEqual(api.languagesOf('vi1'), ['en', 'fr']);
+    assert.match(api.captions.get('vi0')[1].content, /^WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHello/);
+  });
+
+  it('skips invalid files and counts them as failures', async () => {
+    await write('vi0.en.vtt', 'not a caption file');
+    await write('vi0.fr.vtt', VTT);
+
+    const result = await uploader().uploadAllCaptions();
+
+    assert.equal(result.invalid, 1);
+    assert.equal(result.failures, 1);
+    assert.deepEqual(api.languagesOf('vi0'), ['fr']);
+  });
+
+  it('rejects files for the same video and language as invalid', async () => {
+    await write('vi0.en.vtt', VTT);
+    await write('vi0/EN.srt', SRT);
+    await write('vi0.fr.vtt', VTT);
+
+    const result = await uploader({ overwrite: true }).uploadAllCaptions();
+
+    assert.equal(result.invalid, 2);
+    assert.equal(result.failures, 2);
+    assert.equal(result.uploaded, 1);
+    assert.deepEqual(api.languagesOf('vi0'), ['fr']);
+    assert.equal(api.count('deleteCaption'), 0);
+  });
+
+  it('leaves existing captions alone unless overwriting', async () => {
+    await write('vi1.en.vtt', VTT);
+
+    assert.equal((await uploader().uploadAllCaptions()).conflicts, 1);
+    assert.equal(api.count('uploadCaption'), 0);
+
+    const result = await uploader({ overwrite: true }).uploadAllCaptions();
+    assert.equal(result.overwritten, 1);
+    assert.equal(api.captions.get('vi1')[0].content, VTT);
+  });
+
+  it('backs up a caption before overwriting it, and keeps it when the backup fails', async () => {
+    await write('vi1.en.vtt', VTT);
+    api.inject({ route: 'downloadCaption', status: 500 });
+
+    const failed = await uploader({ overwrite: true }).uploadAllCaptions();
+    assert.equal(failed.failures, 1);
+    assert.equal(api.count('deleteCaption'), 0);
+    assert.deepEqual(api.languagesOf('vi1'), ['en']);
+
+    const result = await uploader({ overwrite: true }).uploadAllCaptions();
+    assert.equal(result.overwritten, 1);
+    const manifest = JSON.parse(await readFile(path.join(`${dir}-backups`, 'manifest.json'), 'utf8'));
+    assert.deepEqual(Object.keys(manifest.videos.vi1), ['en']);
+    assert.throws(() => uploader({ overwrite: true, backupDir: dir }), /directory being uploaded/);
+  });
+
+  it('makes the uploaded caption the default when asked', async () => {
+    await write('vi1.fr.vtt', VTT);
+
+    await uploader({ setDefault: true }).uploadAllCaptions();
+
+    const defaults = api.captions.get('vi1').filter(caption => caption.default).map(caption => caption.srclang);
+    assert.deepEqual(defaults, ['fr']);
+  });
+
+  it('matches files to videos by title through a CSV map', async () => {
+    api.addVideo('vi2', [], { title: 'Launch, part 2' });
+    api.addVideo('vi3', [], { title: 'Twin' });
+    api.addVideo('vi4', [], { title: 'Twin' });
+    await write('launch.srt', SRT);
+    await write('twin.de.vtt', VTT);
+    await write('map.csv', 'title,file,language\n"Launch, part 2",launch.srt,es\nTwin,twin.de.vtt,\nMissing,launch.srt,en\n');
+
+    const result = await uploader({ mapFile: path.join(dir, 'map.csv') }).uploadAllCaptions();
+
+    assert.equal(result.uploaded, 1);
+    assert.deepEqual(api.languagesOf('vi2'), ['es']);
+    assert.deepEqual(result.unmatched.map(row => row.title), ['Twin', 'Missing']);
+  });
+
+  it('retries rate-limited uploads and reports missing videos', async () => {
+    await write('vi0.en.vtt', VTT);
+    await write('gone.en.vtt', VTT);
+    api.inject({ route: 'uploadCaption', status: 429, retryAfter: 1 });
+
+    const result = await uploader().uploadAllCaptions();
+
+    assert.equal(result.uploaded, 1);
+    assert.deepEqual(result.missingVideos, ['gone']);
+    assert.equal(api.count('uploadCaption'), 2);
+  });
+
+  it('uploads nothing in a dry run', async () => {
+    await write('vi0.en.srt', SRT);
+
+    const result = await uploader({ dryRun: true }).uploadAllCaptions();
+
+    assert.equal(result.planned, 1);
+    assert.equal(api.requests.length, 0);
+  });
+});
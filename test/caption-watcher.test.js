@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { CaptionPolicy } from '../lib/caption-policy.js';
+import { ApiVideoCaptionWatcher } from '../lib/caption-watcher.js';
+import { DeletionAborted } from '../lib/deletion-interlock.js';
+import { FakeApiVideo } from './fake-api-video.js';
+
+const policy = new CaptionPolicy({ rules: [{ name: 'no auto captions', forbid: 'auto' }] });
+
+describe('ApiVideoCaptionWatcher', () => {
+  let api;
+  let dir;
+  let watcher;
+
+  const createWatcher = (options = {}) => new ApiVideoCaptionWatcher({
+    apiKey: api.apiKey,
+    baseUrl: api.baseUrl,
+    policy,
+    stateFile: path.join(dir, 'state.json'),
+    backupDir: path.join(dir, 'backups'),
+    pageDelay: 0,
+    videoDelay: 0,
+    changeDelay: 0,
+    ...options
+  });
+
+  beforeEach(async () => {
+    api = await new FakeApiVideo().start();
+    dir = await mkdtemp(path.join(os.tmpdir(), 'caption-watcher-'));
+    api.addVideo('vi0', ['en', 'auto']);
+    api.addVideo('vi1', ['en']);
+  });
+
+  afterEach(async () => {
+    await watcher?.stop();
+    watcher = null;
+    await api.stop();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('only inspects videos whose updatedAt changed, across restarts', async () => {
+    const first = await createWatcher().sweep();
+    assert.equal(first.inspected, 2);
+    assert.equal(first.applied, 1);
+    assert.deepEqual(api.languagesOf('vi0'), ['en']);
+
+    const state = JSON.parse(await readFile(path.join(dir, 'state.json'), 'utf8'));
+    assert.deepEqual(Object.keys(state.videos), ['vi0', 'vi1']);
+
+    // A new process with the same state file has nothing to do until a video changes
+    const restarted = createWatcher();
+    assert.equal((await restarted.sweep()).inspected, 0);
+
+    api.captions.get('vi1').push({ srclang: 'auto', default: false });
+    api.videos[1].updatedAt = '2024-03-01T00:00:00+00:00';
+    api.addVideo('vi2', ['auto']);
+
+    const third = await restarted.sweep();
+    assert.equal(third.inspected, 2);
+    assert.equal(third.applied, 2);
+    assert.equal(api.count('listCaptions'), 4);
+    assert.deepEqual(api.languagesOf('vi1'), ['en']);
+  });
+
+  it('inspects every video again when the policy changes', async () => {
+    await createWatcher().sweep();
+
+    const stricter = new CaptionPolicy({ rules: [{ forbid: ['auto', 'en'] }] });
+    const result = await createWatcher({ policy: stricter }).sweep();
+
+    assert.equal(result.inspected, 2);
+    assert.deepEqual(api.languagesOf('vi1'), []);
+  });
+
+  it('retries a video whose changes failed on the next sweep', async () => {
+    api.inject({ route: 'deleteCaption', status: 500 });
+    watcher = createWatcher();
+
+    assert.equal((await watcher.sweep()).failures, 1);
+    const retry = await watcher.sweep();
+    assert.equal(retry.inspected, 1);
+    assert.equal(retry.applied, 1);
+  });
+
+  it('does not mark a video enforced when its captions could not be listed', async () => {
+    api.inject({ route: 'listCaptions', status: 502, match: request => request.videoId === 'vi0' });
+    watcher = createWatcher();
+
+    const first = await watcher.sweep();
+    assert.equal(first.failures, 1);
+    assert.equal(first.applied, 0);
+    assert.deepEqual(Object.keys(watcher.state.videos), ['vi1']);
+
+    const retry = await watcher.sweep();
+    assert.equal(retry.inspected, 1);
+    assert.equal(retry.applied, 1);
+    assert.deepEqual(api.languagesOf('vi0'), ['en']);
+  });
+
+  it('changes nothing in a sweep that would delete more than maxDeletions', async () => {
+    api.addVideo('vi2', ['auto']);
+
+    await assert.rejects(createWatcher({ maxDeletions: 1 }).sweep(), DeletionAborted);
+    assert.equal(api.count('deleteCaption'), 0);
+    assert.deepEqual(api.languagesOf('vi0'), ['en', 'auto']);
+
+    const result = await createWatcher({ maxDeletions: 2 }).sweep();
+    assert.equal(result.applied, 2);
+  });
+
+  it('refuses confirm and canary, which need someone to answer', () => {
+    assert.throws(() => createWatcher({ confirm: () => true }), /runs unattended/);
+    assert.throws(() => createWatcher({ canary: 1 }), /runs unattended/);
+  });
+
+  it('enforces the policy when a caption webhook arrives', async () => {
+    watcher = createWatcher({ port: 0, intervalMinutes: 60, webhookSecret: 'shh' });
+    const listening = new Promise(resolve => watcher.once('listening', resolve));
+    const swept = new Promise(resolve => watcher.once('sweep', resolve));
+    const stopped = watcher.watch();
+    const { port } = await listening;
+    await swept;
+
+    api.captions.get('vi1').push({ srclang: 'auto', default: false });
+    const send = (event, secret = 'shh') => {
+      const body = JSON.stringify(event);
+      return fetch(`http://127.0.0.1:${port}/`, {
+        method: 'POST',
+        headers: { 'x-api-video-webhooksignature': createHmac('sha256', secret).update(body).digest('hex') },
+        body
+      });
+    };
+
+    assert.equal((await send({ type: 'video.caption.generated', videoId: 'vi1' }, 'wrong')).status, 401);
+    assert.equal((await send({ type: 'video.encoding.quality.completed', videoId: 'vi1' })).status, 202);
+    await watcher.idle();
+    assert.deepEqual(api.languagesOf('vi1'), ['en', 'auto']);
+
+    assert.equal((await send({ type: 'video.caption.generated', videoId: 'vi1', language: 'auto' })).status, 202);
+    await watcher.idle();
+    assert.deepEqual(api.languagesOf('vi1'), ['en']);
+
+    await watcher.stop();
+    const totals = await stopped;
+    assert.equal(totals.sweeps, 1);
+    assert.equal(totals.webhooks, 2);
+    assert.equal(totals.applied, 2);
+  });
+});
@@ -0,0 +1,173 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { EXIT_ABORTED, EXIT_FAILURE, EXIT_INCOMPLETE, EXIT_OK, EXIT_USAGE, main } from '../lib/cli.js';
+import { FakeApiVideo } from './fake-api-video.js';
+
+describe('apivideo-captions', () => {
+  let api;
+  let dir;
+  let env;
+
+  beforeEach(async t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    api = await new FakeApiVideo().start();
+    dir = await mkdtemp(path.join(os.tmpdir(), 'cli-'));
+    env = { API_KEY: api.apiKey, BASE_URL: api.baseUrl, AUDIT_LOG: path.join(dir, 'audit.jsonl'), OPERATOR: 'ana' };
+    api.addVideo('vi0', ['en', 'fr']);
+    api.addVideo('vi1', ['en']);
+  });
+
+  afterEach(async () => {
+    await api.stop();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  // Tests are not run in a terminal, so deletions are confirmed with --yes
+  const runArgs = command => [
+    command,
+    '--journal', path.join(dir, `${command}.jsonl`),
+    '--backup-dir', path.join(dir, 'backups'),
+    '--failures-out', path.join(dir, `${command}-failures.json`),
+    ...(command === 'fast-delete' ? ['--remaining-out', path.join(dir, 'remaining.txt')] : []),
+    '--yes'
+  ];
+
+  it('rejects bad command lines with the usage exit code', async () => {
+    assert.equal(await main([], env), EXIT_USAGE);
+    assert.equal(await main(['purge'], env), EXIT_USAGE);
+    assert.equal(await main(['check', '--page-size', '0'], env), EXIT_USAGE);
+    assert.equal(await main(['check', '--bogus'], env), EXIT_USAGE);
+    assert.equal(await main(['check'], {}), EXIT_USAGE);
+    assert.equal(api.requests.length, 0);
+  });
+
+  it('checks, deletes and restores captions', async () => {
+    assert.equal(await main(['check', '--journal', path.join(dir, 'check.jsonl'), '--cache', path.join(dir, 'cache.json')], env), EXIT_OK);
+    assert.equal(await main([...runArgs('delete'), '--delete-delay', '0', '--video-delay', '0', '--page-delay', '0'], env), EXIT_OK);
+    assert.deepEqual(api.languagesOf('vi0'), []);
+    assert.equal(api.count('deleteCaption'), 3);
+
+    assert.equal(await main(['restore', path.join(dir, 'backups')], env), EXIT_OK);
+    assert.deepEqual(api.languagesOf('vi0').sort(), ['en', 'fr']);
+    assert.ok(api.captions.get('vi0').find(caption => caption.srclang === 'en').default);
+
+    // Overwriting backs up the captions it replaces next to the archive, never into it
+    assert.equal(await main(['restore', path.join(dir, 'backups'), '--overwrite', '--backup-dir', path.join(dir, 'backups')], env), EXIT_USAGE);
+    assert.equal(await main(['restore', path.join(dir, 'backups'), '--overwrite'], env), EXIT_OK);
+    assert.equal(api.count('deleteCaption'), 6);
+    const replaced = JSON.parse(await readFile(path.join(dir, 'backups', 'replaced', 'manifest.json'), 'utf8'));
+    assert.deepEqual(Object.keys(replaced.videos).sort(), ['vi0', 'vi1']);
+  });
+
+  it('does not report captions a deletion removed from the default check cache', async () => {
+    // The default cache is relative to the working directory
+    const cwd = process.cwd();
+    process.chdir(dir);
+    try {
+      const check = async () => {
+        assert.equal(await main(['check', '--format', 'ndjson', '--output', 'report.ndjson'], env), EXIT_OK);
+        const lines = (await readFile('report.ndjson', 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+        return lines.filter(line => line.type === 'caption').map(line => `${line.videoId}/${line.language}`);
+      };
+
+      assert.deepEqual(await check(), ['vi0/en', 'vi0/fr', 'vi1/en']);
+      assert.equal(await main([...runArgs('delete'), '--delete-delay', '0', '--video-delay', '0', '--page-delay', '0'], env), EXIT_OK);
+      // Both videos are asked about again instead of being answered from the cache
+      const listed = api.count('listCaptions');
+      assert.deepEqual(await check(), []);
+      assert.equal(api.count('listCaptions') - listed, 2);
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+
+  it('estimates the requests it takes to execute a plan, preview included', async t => {
+    const planOut = path.join(dir, 'plan.json');
+    const lines = [];
+    t.mock.method(console, 'log', line => lines.push(line));
+    assert.equal(await main(['delete', '--plan-out', planOut, '--backup-dir', path.join(dir, 'backups')], env), EXIT_OK);
+    const estimate = Number(lines.map(line => /Requests to execute with --plan: (\d+)/.exec(line)).find(Boolean)[1]);
+    const sent = api.requests.length;
+
+    assert.equal(await main([...runArgs('delete'), '--plan', planOut, '--delete-delay', '0', '--video-delay', '0'], env), EXIT_OK);
+    assert.equal(api.requests.length - sent, estimate);
+    assert.deepEqual(api.languagesOf('vi0'), []);
+  });
+
+  it('exits with the incomplete code when captions fail', async () => {
+    api.inject({ route: 'deleteCaption', status: 500, times: Infinity });
+
+    assert.equal(await main([...runArgs('fast-delete'), '--concurrency', '2', '--verify-retries', '1'], env), EXIT_INCOMPLETE);
+  });
+
+  it('exits with the incomplete code until a retry clears the failures', async () => {
+    const failures = path.join(dir, 'delete-failures.json');
+    api.inject({ route: 'deleteCaption', status: 500, match: request => request.videoId === 'vi1' });
+    const args = [...runArgs('delete'), '--delete-delay', '0', '--video-delay', '0', '--page-delay', '0', '--skip-verify'];
+
+    assert.equal(await main(args, env), EXIT_INCOMPLETE);
+    assert.equal(await main([...args, '--retry-failed', failures, '--plan', failures], env), EXIT_USAGE);
+    assert.equal(await main([...args, '--retry-failed', failures], env), EXIT_OK);
+    assert.deepEqual(api.languagesOf('vi1'), []);
+    assert.equal(api.count('deleteCaption'), 4);
+  });
+
+  it('refuses to delete without confirmation or over the deletion limit', async () => {
+    const args = [...runArgs('fast-delete')].filter(arg => arg !== '--yes');
+    assert.equal(await main(args, env), EXIT_USAGE);
+    assert.equal(api.requests.length, 0);
+
+    assert.equal(await main([...runArgs('fast-delete'), '--max-deletions', '2'], env), EXIT_ABORTED);
+    assert.equal(api.count('deleteCaption'), 0);
+    assert.deepEqual(api.languagesOf('vi0'), ['en', 'fr']);
+  });
+
+  it('confirms the deletions of a policy apply like a deletion run', async () => {
+    const policyFile = path.join(dir, 'policy.yaml');
+    await writeFile(policyFile, 'rules:\n  - forbid: fr\n');
+    const args = ['policy', 'apply', policyFile, '--backup-dir', path.join(dir, 'backups'), '--video-delay', '0', '--change-delay', '0'];
+
+    assert.equal(await main(args, env), EXIT_USAGE);
+    assert.equal(await main([...args, '--yes', '--max-deletions', '0'], env), EXIT_ABORTED);
+    assert.deepEqual(api.languagesOf('vi0'), ['en', 'fr']);
+    assert.equal(await main(['policy', 'plan', policyFile], env), EXIT_OK);
+
+    assert.equal(await main([...args, '--yes'], env), EXIT_OK);
+    assert.deepEqual(api.languagesOf('vi0'), ['en']);
+  });
+
+  it('stops after a canary that had failures', async () => {
+    api.inject({ route: 'deleteCaption', status: 500, times: 1 });
+
+    assert.equal(await main([...runArgs('delete'), '--delete-delay', '0', '--video-delay', '0', '--page-delay', '0', '--canary', '1'], env), EXIT_ABORTED);
+    assert.equal(api.count('deleteCaption'), 1);
+  });
+
+  it('queries the audit log written by deletions', async t => {
+    api.inject({ route: 'deleteCaption', status: 500, match: request => request.videoId === 'vi1' });
+    await main([...runArgs('delete'), '--delete-delay', '0', '--video-delay', '0', '--page-delay', '0', '--skip-verify'], env);
+
+    const lines = [];
+    t.mock.method(console, 'log', line => lines.push(line));
+    assert.equal(await main(['audit', '--video', 'vi1', '--json'], env), EXIT_OK);
+    assert.deepEqual(lines.map(line => JSON.parse(line)).map(entry => [entry.language, entry.status, entry.operator]), [['en', 500, 'ana']]);
+
+    lines.length = 0;
+    assert.equal(await main(['audit', '--language', 'FR', '--since', '2000-01-01'], env), EXIT_OK);
+    assert.equal(lines.length, 1);
+    assert.match(lines[0], /run \w{8}  ana  delete fr on vi0 \(Video vi0\): HTTP 204$/);
+
+    assert.equal(await main(['audit', '--until', 'yesterday'], env), EXIT_USAGE);
+  });
+
+  it('exits with the failure code when the API cannot be reached', async () => {
+    await api.stop();
+
+    assert.equal(await main(['check', '--journal', path.join(dir, 'check.jsonl'), '--cache', path.join(dir, 'cache.json')], env), EXIT_FAILURE);
+    api = await new FakeApiVideo().start();
+  });
+});
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { ApiVideoCaptionDeleter } from '../lib/caption-deleter.js';
+import { DeletionAborted } from '../lib/deletion-interlock.js';
+import { FastCaptionDeleter } from '../lib/fast-caption-deleter.js';
+import { FakeApiVideo } from './fake-api-video.js';
+
+describe('DeletionInterlock', () => {
+  let api;
+  let dir;
+
+  const options = () => ({
+    apiKey: api.apiKey,
+    baseUrl: api.baseUrl,
+    backupDir: path.join(dir, 'backups'),
+    journalFile: path.join(dir, 'journal.jsonl'),
+    pageDelay: 0
+  });
+  const deleter = extra => new ApiVideoCaptionDeleter({ ...options(), videoDelay: 0, deleteDelay: 0, ...extra });
+  const fastDeleter = extra => new FastCaptionDeleter({ ...options(), videoConcurrency: 3, ...extra });
+
+  beforeEach(async () => {
+    api = await new FakeApiVideo().start();
+    dir = await mkdtemp(path.join(os.tmpdir(), 'deletion-interlock-'));
+    api.addVideo('vi0', ['en', 'fr']);
+    api.addVideo('vi1', ['fr']);
+    api.addVideo('vi2', ['fr', 'de']);
+  });
+
+  afterEach(async () => {
+    await api.stop();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('previews the run and deletes nothing unless it is confirmed', async () => {
+    const asked = [];
+    const confirm = async ({ stage, plan, target }) => {
+      asked.push({ stage, captions: plan.captionCount, videos: plan.videoCount, byLanguage: plan.languageCounts().deleted, target });
+      return false;
+    };
+
+    await assert.rejects(deleter({ confirm, excludeLanguages: ['de'] }).deleteAllCaptions(), DeletionAborted);
+    assert.equal(asked.length, 1);
+    assert.deepEqual(asked[0].byLanguage, { en: 1, fr: 3 });
+    assert.equal(asked[0].captions, 4);
+    assert.equal(asked[0].videos, 3);
+    assert.equal(asked[0].target.baseUrl, api.baseUrl);
+    assert.equal(asked[0].target.environment, 'custom');
+    assert.equal(api.count('deleteCaption'), 0);
+  });
+
+  it('aborts before deleting when the run is over the limit', async () => {
+    let asked = false;
+    const run = fastDeleter({ maxDeletions: 4, confirm: () => { asked = true; return true; } }).fastDeleteAllCaptions();
+
+    await assert.rejects(run, /5 captions to delete is over the limit of 4/);
+    assert.equal(asked, false);
+    assert.equal(api.count('deleteCaption'), 0);
+  });
+
+  it('deletes only what the preview showed', async () => {
+    const confirm = async () => {
+      api.addVideo('vi3', ['en']);
+      return true;
+    };
+
+    const result = await deleter({ confirm }).deleteAllCaptions();
+    assert.equal(result.captionsDeleted, 5);
+    assert.deepEqual(api.languagesOf('vi3'), ['en']);
+    assert.equal(result.verification.clean, true);
+  });
+
+  for (const [name, create, run] of [
+    ['sequential', deleter, instance => instance.deleteAllCaptions()],
+    ['fast', fastDeleter, instance => instance.fastDeleteAllCaptions()]
+  ]) {
+    it(`holds the ${name} deleter after its canary until approved`, async () => {
+      const deletedAtCanary = [];
+      const confirm = async ({ stage, canary }) => {
+        if (stage === 'canary') deletedAtCanary.push(api.count('deleteCaption'), canary.deleted);
+        return true;
+      };
+
+      const result = await run(create({ confirm, canary: 2 }));
+      assert.deepEqual(deletedAtCanary, [2, 2]);
+      assert.equal(result.captionsDeleted, 5);
+    });
+
+    it(`leaves the rest in place when the ${name} canary is not approved`, async () => {
+      const confirm = async ({ stage }) => stage === 'preview';
+
+      await assert.rejects(run(create({ confirm, canary: 2 })), /Stopped after the canary: 2 caption\(s\) deleted, the other 3 left in place/);
+      assert.equal(api.count('deleteCaption'), 2);
+    });
+  }
+});
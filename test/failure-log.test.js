@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict';
+import { access, mkdtemp, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { ApiVideoCaptionDeleter } from '../lib/caption-deleter.js';
+import { FailureLog, classifyFailure } from '../lib/failure-log.js';
+import { FastCaptionDeleter } from '../lib/fast-caption-deleter.js';
+import { FakeApiVideo } from './fake-api-video.js';
+
+describe('FailureLog', () => {
+  it('classifies failures by status, or by the lack of a response', () => {
+    assert.equal(classifyFailure({ status: 401 }), 'auth');
+    assert.equal(classifyFailure({ status: 403 }), 'auth');
+    assert.equal(classifyFailure({ status: 404 }), 'not-found');
+    assert.equal(classifyFailure({ status: 429 }), 'rate-limit');
+    assert.equal(classifyFailure({ status: 422 }), 'validation');
+    assert.equal(classifyFailure({ status: 503 }), 'server');
+    assert.equal(classifyFailure({ error: Object.assign(new Error('fetch failed'), { network: true }) }), 'network');
+    assert.equal(classifyFailure({ error: new Error('Downloaded caption file is not a WebVTT document') }), 'other');
+  });
+
+  it('keeps the latest failure per item and turns them into retry targets', () => {
+    const log = new FailureLog({ baseUrl: 'https://sandbox.api.video' });
+    const video = { videoId: 'vi0', title: 'Video vi0' };
+    log.record({ stage: 'delete', video, language: 'en', status: 500 });
+    log.record({ stage: 'delete', video, language: 'en', status: 429 });
+    log.record({ stage: 'backup', video, language: 'fr', error: Object.assign(new Error('Failed to download caption file: 404'), { status: 404 }) });
+    log.record({ stage: 'list', video: { videoId: 'vi1', title: 'Video vi1' }, error: Object.assign(new Error('socket hang up'), { network: true, retries: 3 }) });
+
+    assert.equal(log.size, 3);
+    assert.deepEqual(log.classCounts, { server: 1, 'rate-limit': 1, 'not-found': 1, network: 1 });
+    assert.deepEqual(log.counts(), { 'rate-limit': 1, 'not-found': 1, network: 1 });
+    assert.equal(FailureLog.format(log.counts()), 'not-found: 1, rate-limit: 1, network: 1');
+    assert.equal(log.failures.get('vi1/*').retries, 3);
+    assert.deepEqual([...log.retryTargets().values()], [
+      { videoId: 'vi0', title: 'Video vi0', languages: ['en', 'fr'] },
+      { videoId: 'vi1', title: 'Video vi1', languages: null }
+    ]);
+
+    log.resolve('vi0', 'en');
+    log.resolveVideos(['vi1']);
+    assert.deepEqual([...log.failures.keys()], ['vi0/fr']);
+  });
+});
+
+describe('deletion failures', () => {
+  let api;
+  let dir;
+
+  const options = () => ({
+    apiKey: api.apiKey,
+    baseUrl: api.baseUrl,
+    backupDir: path.join(dir, 'backups'),
+    journalFile: path.join(dir, 'journal.jsonl'),
+    failuresFile: path.join(dir, 'failures.json'),
+    pageDelay: 0
+  });
+  const deleter = extra => new ApiVideoCaptionDeleter({ ...options(), videoDelay: 0, deleteDelay: 0, ...extra });
+  const fastDeleter = extra => new FastCaptionDeleter({ ...options(), videoConcurrency: 3, ...extra });
+
+  beforeEach(async () => {
+    api = await new FakeApiVideo().start();
+    dir = await mkdtemp(path.join(os.tmpdir(), 'failure-log-'));
+    api.addVideo('vi0', ['en', 'fr']);
+    api.addVideo('vi1', ['en']);
+    api.addVideo('vi2', ['en', 'de']);
+  });
+
+  afterEach(async () => {
+    await api.stop();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('classifies and saves what failed, then retries only that', async () => {
+    api.inject({ route: 'deleteCaption', status: 403, match: request => request.videoId === 'vi0' && request.language === 'en' });
+    api.inject({ route: 'deleteCaption', status: 500, match: request => request.videoId === 'vi1' });
+    api.inject({ route: 'listCaptions', dropConnection: true, times: 4, match: request => request.videoId === 'vi2' });
+
+    const first = await fastDeleter({ verify: false, excludeLanguages: ['de'] }).fastDeleteAllCaptions();
+    assert.deepEqual(first.failuresByClass, { auth: 1, server: 1, network: 1 });
+    assert.equal(first.failuresRemaining, 3);
+    assert.equal(first.listFailures, 1);
+
+    const saved = JSON.parse(await readFile(path.join(dir, 'failures.json'), 'utf8'));
+    assert.deepEqual(saved.excludeLanguages, ['de']);
+    assert.deepEqual(saved.failures.map(failure => [failure.videoId, failure.language, failure.stage, failure.class, failure.status]).sort(), [
+      ['vi0', 'en', 'delete', 'auth', 403],
+      ['vi1', 'en', 'delete', 'server', 500],
+      ['vi2', null, 'list', 'network', null]
+    ]);
+
+    // New captions are left alone: only vi0's failed caption is retried, and vi2 under the first run's filter
+    api.addVideo('vi3', ['en']);
+    api.captions.get('vi0').push({ srclang: 'it', default: false });
+    const retry = await fastDeleter({ retryFile: path.join(dir, 'failures.json') }).fastDeleteAllCaptions();
+
+    assert.equal(retry.captionsDeleted, 3);
+    assert.equal(retry.failuresRemaining, 0);
+    assert.deepEqual(api.languagesOf('vi0'), ['it']);
+    assert.deepEqual(api.languagesOf('vi1'), []);
+    assert.deepEqual(api.languagesOf('vi2'), ['de']);
+    assert.deepEqual(api.languagesOf('vi3'), ['en']);
+    await assert.rejects(access(path.join(dir, 'failures.json')), { code: 'ENOENT' });
+  });
+
+  it('drops the failures its verification cleaned up and keeps the rest', async () => {
+    api.inject({ route: 'listCaptions', status: 502, match: request => request.videoId === 'vi0' });
+    api.inject({ route: 'deleteCaption', status: 503, match: request => request.videoId === 'vi2' && request.language === 'de', times: Infinity });
+
+    const result = await deleter({ verifyRetries: 1 }).deleteAllCaptions();
+
+    assert.equal(result.listFailures, 1);
+    assert.deepEqual(result.failuresByClass, { server: 3 });
+    assert.equal(result.failuresRemaining, 1);
+    const saved = JSON.parse(await readFile(path.join(dir, 'failures.json'), 'utf8'));
+    assert.deepEqual(saved.failures.map(failure => `${failure.videoId}/${failure.language}`), ['vi2/de']);
+    assert.deepEqual(saved.counts, { server: 1 });
+
+    await assert.rejects(deleter({ retryFile: path.join(dir, 'failures.json'), planFile: path.join(dir, 'plan.json') }).deleteAllCaptions(), /not both/);
+  });
+});
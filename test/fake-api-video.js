@@ -0,0 +1,260 @@
+import http from 'node:http';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// In-memory stand-in for the api.video endpoints the scripts use. Listens on a
+// random local port; faults (429, 401, 5xx, dropped connections, slow responses)
+// are injected per route with inject().
+export class FakeApiVideo {
+  constructor({ apiKey = 'test-api-key', rateLimit = 1000 } = {}) {
+    this.apiKey = apiKey;
+    this.rateLimit = rateLimit;
+    this.videos = [];
+    this.captions = new Map();
+    this.tokens = new Set();
+    this.refreshTokens = new Set();
+    this.tokenSeq = 0;
+    this.faults = [];
+    this.requests = [];
+    this.inFlight = new Map();
+    this.maxInFlight = new Map();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  addVideo(videoId, languages = [], fields = {}) {
+    const video = {
+      videoId,
+      title: `Video ${videoId}`,
+      tags: [],
+      metadata: [],
+      createdAt: '2024-01-01T00:00:00+00:00',
+      updatedAt: '2024-01-02T00:00:00+00:00',
+      ...fields
+    };
+    this.videos.push(video);
+    this.captions.set(videoId, languages.map((language, index) => ({ srclang: language, default: index === 0 })));
+    return video;
+  }
+
+  // count videos named vi0, vi1, ...; languagesFor(i) picks each video's captions
+  addVideos(count, languagesFor = () => ['en']) {
+    for (let i = 0; i < count; i++) this.addVideo(`vi${i}`, languagesFor(i));
+  }
+
+  // Full caption object as the API returns it
+  caption(videoId, { srclang, default: isDefault }) {
+    return {
+      uri: `/videos/${videoId}/captions/${srclang}`,
+      src: `${this.baseUrl}/vtt/${videoId}/${srclang}.vtt`,
+      srclang,
+      languageName: srclang,
+      default: isDefault
+    };
+  }
+
+  // Replaces the generated one-cue VTT served for a caption
+  setCaptionContent(videoId, language, content) {
+    this.captions.get(videoId).find(caption => caption.srclang === language).content = content;
+  }
+
+  languagesOf(videoId) {
+    return (this.captions.get(videoId) || []).map(caption => caption.srclang);
+  }
+
+  // Makes every issued access token invalid, as if they had all expired
+  expireTokens() {
+    this.tokens.clear();
+  }
+
+  // Fails (or slows down) the next `times` requests matching route/method:
+  //   { route: 'listCaptions', status: 429, retryAfter: 1 }
+  //   { route: 'deleteCaption', status: 503, times: 2 }
+  //   { route: 'listVideos', delayMs: 200 }          slow, then answered normally
+  //   { route: 'listCaptions', dropConnection: true } network error
+  inject({ route, method = null, match = null, status = null, retryAfter = null, delayMs = 0, dropConnection = false, times = 1 }) {
+    this.faults.push({ route, method, match, status, retryAfter, delayMs, dropConnection, remaining: times });
+  }
+
+  count(route) {
+    return this.requests.filter(request => request.route === route).length;
+  }
+
+  route(method, pathname) {
+    if (method === 'POST' && pathname === '/auth/api-key') return { route: 'authenticate' };
+    if (method === 'POST' && pathname === '/auth/refresh') return { route: 'refresh' };
+    if (method === 'GET' && pathname === '/videos') return { route: 'listVideos' };
+
+    let match;
+    if ((match = pathname.match(/^\/vtt\/([^/]+)\/([^/]+)\.vtt$/)) && method === 'GET') {
+      return { route: 'downloadCaption', videoId: match[1], language: match[2] };
+    }
+    if ((match = pathname.match(/^\/videos\/([^/]+)\/captions$/)) && method === 'GET') {
+      return { route: 'listCaptions', videoId: match[1] };
+    }
+    if ((match = pathname.match(/^\/videos\/([^/]+)\/captions\/([^/]+)$/))) {
+      const routes = { DELETE: 'deleteCaption', POST: 'uploadCaption', PATCH: 'updateCaption' };
+      if (routes[method]) return { route: routes[method], videoId: match[1], language: match[2] };
+    }
+    if ((match = pathname.match(/^\/videos\/([^/]+)$/)) && method === 'GET') {
+      return { route: 'getVideo', videoId: match[1] };
+    }
+    return { route: 'unknown' };
+  }
+
+  takeFault(request) {
+    const fault = this.faults.find(candidate =>
+      candidate.remaining > 0 &&
+      candidate.route === request.route &&
+      (!candidate.method || candidate.method === request.method) &&
+      (!candidate.match || candidate.match(request))
+    );
+    if (fault) fault.remaining--;
+    return fault;
+  }
+
+  headers(extra = {}) {
+    const used = this.requests.length;
+    return {
+      'content-type': 'application/json',
+      'X-RateLimit-Limit': String(this.rateLimit),
+      'X-RateLimit-Remaining': String(Math.max(0, this.rateLimit - used)),
+      'X-RateLimit-Retry-After': '1',
+      ...extra
+    };
+  }
+
+  send(res, status, body, extraHeaders) {
+    res.writeHead(status, this.headers(extraHeaders));
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://fake');
+    const request = { method: req.method, path: url.pathname, query: url.searchParams, ...this.route(req.method, url.pathname) };
+    this.requests.push(request);
+
+    const active = (this.inFlight.get(request.route) || 0) + 1;
+    this.inFlight.set(request.route, active);
+    this.maxInFlight.set(request.route, Math.max(active, this.maxInFlight.get(request.route) || 0));
+    res.on('close', () => this.inFlight.set(request.route, this.inFlight.get(request.route) - 1));
+
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks);
+
+    const fault = this.takeFault(request);
+    if (fault) {
+      if (fault.delayMs) await sleep(fault.delayMs);
+      if (fault.dropConnection) return req.socket.destroy();
+      if (fault.status) {
+        const retryHeaders = fault.retryAfter !== null
+          ? { 'Retry-After': String(fault.retryAfter), 'X-RateLimit-Retry-After': String(fault.retryAfter) }
+          : {};
+        return this.send(res, fault.status, { status: fault.status, title: 'Injected fault' }, retryHeaders);
+      }
+    }
+
+    await this.respond(request, body, req, res);
+  }
+
+  async respond(request, body, req, res) {
+    const { route, videoId, language } = request;
+
+    if (route === 'authenticate') {
+      const { apiKey } = JSON.parse(body.toString() || '{}');
+      if (apiKey !== this.apiKey) return this.send(res, 401, { title: 'Invalid API key' });
+      return this.send(res, 200, this.issueTokens());
+    }
+
+    if (route === 'refresh') {
+      const { refreshToken } = JSON.parse(body.toString() || '{}');
+      if (!this.refreshTokens.has(refreshToken)) return this.send(res, 400, { title: 'Invalid refresh token' });
+      return this.send(res, 200, this.issueTokens());
+    }
+
+    if (route === 'downloadCaption') {
+      const caption = (this.captions.get(videoId) || []).find(candidate => candidate.srclang === language);
+      res.writeHead(200, { 'content-type': 'text/vtt' });
+      return res.end(caption?.content ?? `WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n${videoId} ${language}\n`);
+    }
+
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!this.tokens.has(token)) return this.send(res, 401, { title: 'Unauthorized' });
+
+    if (route === 'listVideos') {
+      const page = Number(request.query.get('currentPage')) || 1;
+      const pageSize = Number(request.query.get('pageSize')) || 25;
+      return this.send(res, 200, {
+        data: this.videos.slice((page - 1) * pageSize, page * pageSize),
+        pagination: {
+          currentPage: page,
+          pageSize,
+          pagesTotal: Math.max(1, Math.ceil(this.videos.length / pageSize)),
+          itemsTotal: this.videos.length
+        }
+      });
+    }
+
+    if (route === 'getVideo') {
+      const video = this.videos.find(candidate => candidate.videoId === videoId);
+      return video ? this.send(res, 200, video) : this.send(res, 404, { title: 'Video not found' });
+    }
+
+    const captions = this.captions.get(videoId);
+    if (!captions) return this.send(res, 404, { title: 'Video not found' });
+
+    if (route === 'listCaptions') {
+      return this.send(res, 200, {
+        data: captions.map(caption => this.caption(videoId, caption)),
+        pagination: { itemsTotal: captions.length }
+      });
+    }
+
+    if (route === 'deleteCaption') {
+      const index = captions.findIndex(caption => caption.srclang === language);
+      if (index < 0) return this.send(res, 404, { title: 'Caption not found' });
+      captions.splice(index, 1);
+      return this.send(res, 204);
+    }
+
+    if (route === 'uploadCaption') {
+      if (captions.some(caption => caption.srclang === language)) {
+        return this.send(res, 400, { title: 'A caption already exists for this language' });
+      }
+      const form = await new Response(body, { headers: { 'content-type': req.headers['content-type'] } }).formData();
+      const caption = { srclang: language, default: false, content: await form.get('file').text() };
+      captions.push(caption);
+      return this.send(res, 200, this.caption(videoId, caption));
+    }
+
+    if (route === 'updateCaption') {
+      const caption = captions.find(candidate => candidate.srclang === language);
+      if (!caption) return this.send(res, 404, { title: 'Caption not found' });
+      const { default: isDefault } = JSON.parse(body.toString() || '{}');
+      if (isDefault) captions.forEach(other => { other.default = false; });
+      caption.default = Boolean(isDefault);
+      return this.send(res, 200, this.caption(videoId, caption));
+    }
+
+    this.send(res, 404, { title: 'Not found' });
+  }
+
+  issueTokens() {
+    const accessToken = `access-${++this.tokenSeq}`;
+    const refreshToken = `refresh-${this.tokenSeq}`;
+    this.tokens.add(accessToken);
+    this.refreshTokens.add(refreshToken);
+    return { token_type: 'Bearer', expires_in: 3600, access_token: accessToken, refresh_token: refreshToken };
+  }
+}
@@ -0,0 +1,223 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { FastCaptionDeleter } from '../lib/fast-caption-deleter.js';
+import { FakeApiVideo } from './fake-api-video.js';
+
+describe('FastCaptionDeleter', () => {
+  let api;
+  let dir;
+
+  const deleter = options => new FastCaptionDeleter({
+    apiKey: api.apiKey,
+    baseUrl: api.baseUrl,
+    backupDir: path.join(dir, 'backups'),
+    journalFile: path.join(dir, 'journal.jsonl'),
+    pageSize: 4,
+    pageDelay: 0,
+    videoConcurrency: 3,
+    ...options
+  });
+
+  beforeEach(async () => {
+    api = await new FakeApiVideo().start();
+    dir = await mkdtemp(path.join(os.tmpdir(), 'fast-deleter-'));
+  });
+
+  afterEach(async () => {
+    await api.stop();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('deletes every caption across pages', async () => {
+    api.addVideos(10, i => (i % 2 ? ['en', 'fr'] : ['en']));
+
+    const result = await deleter().fastDeleteAllCaptions();
+
+    assert.equal(result.captionsDeleted, 15);
+    assert.equal(result.failures, 0);
+    assert.equal(result.incomplete, false);
+    assert.equal(api.count('listVideos'), 3);
+    assert.deepEqual([...api.captions.values()].flat(), []);
+  });
+
+  it('processes one batch of videos at a time', async () => {
+    api.addVideos(7);
+    api.inject({ route: 'listCaptions', delayMs: 100, times: Infinity });
+
+    await deleter().fastDeleteAllCaptions();
+
+    assert.equal(api.maxInFlight.get('listCaptions'), 3);
+  });
+
+  it('deletes a video\'s captions three at a time', async () => {
+    api.addVideo('vi0', ['en', 'fr', 'de', 'es', 'it']);
+    api.inject({ route: 'deleteCaption', delayMs: 100, times: Infinity });
+
+    const result = await deleter().fastDeleteAllCaptions();
+
+    assert.equal(result.captionsDeleted, 5);
+    assert.equal(api.maxInFlight.get('deleteCaption'), 3);
+  });
+
+  it('cools down after a 429 and finishes', async () => {
+    api.addVideos(3);
+    api.inject({ route: 'deleteCaption', status: 429, retryAfter: 1 });
+
+    const result = await deleter().fastDeleteAllCaptions();
+
+    assert.equal(result.captionsDeleted, 3);
+    assert.equal(api.count('deleteCaption'), 4);
+  });
+
+  it('counts 5xx deletions as failures', async () => {
+    api.addVideos(3);
+    api.inject({ route: 'deleteCaption', status: 500, match: request => request.videoId === 'vi1' });
+
+    const result = await deleter({ verify: false }).fastDeleteAllCaptions();
+
+    assert.equal(result.captionsDeleted, 2);
+    assert.equal(result.deleteFailures, 1);
+    assert.deepEqual(api.languagesOf('vi1'), ['en']);
+  });
+
+  it('finds and deletes leftovers in its verification pass', async () => {
+    api.addVideos(4);
+    api.inject({ route: 'listCaptions', status: 500, match: request => request.videoId === 'vi0' });
+    api.inject({ route: 'deleteCaption', status: 500, match: request => request.videoId === 'vi1' });
+
+    const result = await deleter().fastDeleteAllCaptions();
+
+    assert.equal(result.deleteFailures, 1);
+    assert.equal(result.captionsDeleted, 4);
+    assert.equal(result.verification.clean, true);
+    assert.equal(result.verification.captionsRetried, 2);
+    assert.deepEqual([...api.captions.values()].flat(), []);
+  });
+
+  it('only verifies the videos it deleted from', async () => {
+    api.addVideos(6, i => (i < 2 ? ['en'] : []));
+
+    const result = await deleter().fastDeleteAllCaptions();
+
+    assert.equal(result.verification.videos, 2);
+    assert.equal(api.count('listCaptions'), 8);
+  });
+
+  it('stops verifying when its time budget runs out', async () => {
+    api.addVideos(4);
+    const remainingFile = path.join(dir, 'remaining.txt');
+    const run = deleter({ remainingFile });
+    // The time runs out as soon as the run is done deleting
+    const verifyDeletions = run.verifyDeletions.bind(run);
+    run.verifyDeletions = (...args) => {
+      run.timeBudgetMinutes = 0;
+      return verifyDeletions(...args);
+    };
+
+    const result = await run.fastDeleteAllCaptions();
+
+    assert.equal(result.stopReason, 'time');
+    assert.equal(result.verification.clean, false);
+    assert.equal(result.verification.unchecked.length, 4);
+    assert.equal(api.count('listCaptions'), 4);
+    const lines = (await readFile(remainingFile, 'utf8')).split('\n').filter(line => line && !line.startsWith('#'));
+    assert.deepEqual(lines, ['vi0  # not verified', 'vi1  # not verified', 'vi2  # not verified', 'vi3  # not verified']);
+  });
+
+  it('stops at the end of its time budget', async () => {
+    api.addVideos(9);
+    api.inject({ route: 'listCaptions', delayMs: 400, times: Infinity });
+
+    // 0.005 minutes is 300 ms: the first batch of three videos outlasts it
+    const result = await deleter({ timeBudgetMinutes: 0.005, verify: false }).fastDeleteAllCaptions();
+
+    assert.equal(result.incomplete, true);
+    assert.equal(result.captionsDeleted, 3);
+    assert.equal(api.count('listCaptions'), 3);
+    // The listing streams, so pages past the one being worked on were never fetched
+    assert.ok(api.count('listVideos') < 3);
+  });
+
+  it('stops at its caption budget and lists the videos it left', async () => {
+    api.addVideos(6, () => ['en', 'fr']);
+    const remainingFile = path.join(dir, 'remaining.txt');
+
+    // The first batch of three videos starts four deletions before the budget is spent
+    const result = await deleter({ maxCaptions: 4, remainingFile }).fastDeleteAllCaptions();
+
+    assert.equal(result.stopReason, 'captions');
+    assert.equal(result.incomplete, true);
+    assert.equal(api.count('deleteCaption'), 4);
+    assert.equal(result.verification.clean, true);
+
+    // Which of the first three videos is cut short depends on which lists its captions last
+    const lines = (await readFile(remainingFile, 'utf8')).split('\n').filter(line => line && !line.startsWith('#'));
+    assert.equal(lines.filter(line => line.endsWith('# stopped part way')).length, 1);
+    assert.deepEqual(lines.filter(line => line.endsWith('# not reached')), ['vi3  # not reached', 'vi4  # not reached', 'vi5  # not reached']);
+    assert.equal(result.remaining.length, 4);
+  });
+
+  it('lets requests in flight finish when stopped, then summarises', async () => {
+    api.addVideos(9);
+    const remainingFile = path.join(dir, 'remaining.txt');
+    const run = deleter({ remainingFile });
+    // Stops as soon as the first deletions reach the API, and keeps them slow
+    api.inject({ route: 'deleteCaption', delayMs: 200, times: Infinity, match: () => (run.stop(), true) });
+
+    const result = await run.fastDeleteAllCaptions();
+
+    assert.equal(result.stopReason, 'interrupted');
+    assert.equal(result.verification, null);
+    // The first batch was in flight and finished; nothing else was started
+    assert.equal(result.captionsDeleted, 3);
+    assert.equal(result.failures, 0);
+    // The rest of the first page and the page loaded ahead are written out, but no
+    // further page is fetched to find the videos after them; --resume gets those
+    assert.equal(api.count('listVideos'), 2);
+    assert.deepEqual(result.remaining, ['vi3', 'vi4', 'vi5', 'vi6', 'vi7']);
+    const lines = (await readFile(remainingFile, 'utf8')).trim().split('\n');
+    assert.match(lines[1], /^# INCOMPLETE: .*--resume/);
+    assert.ok(!lines.some(line => line.includes('VIDEO_IDS_FILE')));
+    assert.deepEqual(lines.slice(2), ['vi3', 'vi4', 'vi5', 'vi6', 'vi7'].map(videoId => `${videoId}  # not reached`));
+  });
+
+  it('cancels requests still in flight when the grace period is over', async () => {
+    api.addVideos(3);
+    api.inject({ route: 'deleteCaption', delayMs: 2000, times: Infinity });
+    const run = deleter({ gracePeriodSeconds: 0.1, verify: false });
+    run.once('videos', () => run.stop());
+
+    const started = Date.now();
+    const result = await run.fastDeleteAllCaptions();
+
+    assert.ok(Date.now() - started < 1500);
+    assert.equal(result.stopReason, 'interrupted');
+    assert.equal(result.captionsDeleted, 0);
+  });
+
+  it('reports progress against the expected total while the listing streams', async () => {
+    api.addVideos(10);
+    const fast = deleter();
+    const listedAtFirstCaption = new Promise(resolve => fast.once('caption', () => resolve(fast.listing.done)));
+    const totals = [];
+    fast.on('progress', ({ totalVideos, estimated }) => totals.push(`${totalVideos}${estimated ? '~' : ''}`));
+
+    const result = await fast.fastDeleteAllCaptions();
+
+    assert.equal(result.videos, 10);
+    assert.equal(await listedAtFirstCaption, false);
+    assert.deepEqual(totals, ['10', '10', '10', '10']);
+  });
+
+  it('tunes its own concurrency in adaptive mode', async () => {
+    api.addVideos(12, () => ['en', 'fr']);
+
+    const result = await deleter({ adaptive: true, maxConcurrency: 4 }).fastDeleteAllCaptions();
+
+    assert.equal(result.captionsDeleted, 24);
+    assert.ok(api.maxInFlight.get('deleteCaption') <= 4);
+  });
+});
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { EXIT_OK, EXIT_USAGE, main } from '../lib/cli.js';
+import { ProfileConfig } from '../lib/profiles.js';
+import { FakeApiVideo } from './fake-api-video.js';
+
+describe('ProfileConfig', () => {
+  it('rejects profiles without exactly one key source or with unknown fields', () => {
+    assert.throws(() => new ProfileConfig({}), /non-empty "profiles"/);
+    assert.throws(() => new ProfileConfig({ profiles: { prod: {} } }), /apiKey or apiKeyEnv/);
+    assert.throws(() => new ProfileConfig({ profiles: { prod: { apiKey: 'k', apiKeyEnv: 'K' } } }), /apiKey or apiKeyEnv/);
+    assert.throws(() => new ProfileConfig({ profiles: { prod: { apiKey: 'k', url: 'x' } } }), /unknown field/);
+    assert.throws(() => new ProfileConfig({ profiles: { prod: { apiKey: 'k', settings: { API_KEY: 'x' } } } }), /unknown setting/);
+    assert.throws(() => new ProfileConfig({ profiles: { 'a/b': { apiKey: 'k' } } }), /names may only use/);
+  });
+
+  it('builds the environment of a profile over the surrounding one', () => {
+    const config = new ProfileConfig({
+      profiles: {
+        prod: { apiKeyEnv: 'PROD_KEY', settings: { EXCLUDE_LANGUAGES: 'en' } },
+        sandbox: { apiKey: 'sandbox-key', baseUrl: 'https://sandbox.api.video' }
+      }
+    });
+    const env = { API_KEY: 'dotenv-key', BASE_URL: 'https://sandbox.api.video', PROD_KEY: 'prod-key', EXCLUDE_LANGUAGES: 'fr' };
+
+    const prod = config.environment('prod', env);
+    assert.equal(prod.API_KEY, 'prod-key');
+    assert.equal(prod.BASE_URL, undefined);
+    assert.equal(prod.EXCLUDE_LANGUAGES, 'en');
+    assert.equal(prod.PROFILE, 'prod');
+    assert.equal(config.environment('sandbox', env).BASE_URL, 'https://sandbox.api.video');
+
+    assert.throws(() => config.environment('prod', {}), /PROD_KEY, which is not set/);
+    assert.throws(() => config.get('staging'), /Unknown profile "staging"/);
+  });
+});
+
+describe('apivideo-captions with profiles', () => {
+  let first;
+  let second;
+  let dir;
+  let cwd;
+
+  beforeEach(async t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    first = await new FakeApiVideo({ apiKey: 'first-key' }).start();
+    second = await new FakeApiVideo({ apiKey: 'second-key' }).start();
+    first.addVideo('vi0', ['en', 'fr']);
+    second.addVideo('vi1', ['en']);
+    second.addVideo('vi2', []);
+
+    // Default journals and caches are relative to the working directory
+    dir = await mkdtemp(path.join(os.tmpdir(), 'profiles-'));
+    cwd = process.cwd();
+    process.chdir(dir);
+    await writeFile(path.join(dir, 'profiles.json'), JSON.stringify({
+      profiles: {
+        first: { apiKey: 'first-key', baseUrl: first.baseUrl, options: { 'page-delay': 0, 'video-delay': 0 } },
+        second: { apiKeyEnv: 'SECOND_KEY', baseUrl: second.baseUrl, options: { 'video-delay': 0 } }
+      }
+    }));
+  });
+
+  afterEach(async () => {
+    process.chdir(cwd);
+    await first.stop();
+    await second.stop();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const env = () => ({ PROFILES_FILE: path.join(dir, 'profiles.json'), SECOND_KEY: 'second-key', API_KEY: 'not-used' });
+
+  it('runs a command against the account of a profile', async () => {
+    assert.equal(await main(['check', '--profile', 'second'], env()), EXIT_OK);
+    assert.equal(first.requests.length, 0);
+    assert.ok(second.count('listCaptions') > 0);
+
+    const journal = await readFile(path.join(dir, 'journals', 'check-captions.second.jsonl'), 'utf8');
+    assert.ok(journal.length > 0);
+  });
+
+  it('checks several profiles into one combined report', async () => {
+    const output = path.join(dir, 'report.json');
+    assert.equal(await main(['check', '--profile', 'first,second', '--format', 'json', '--output', output], env()), EXIT_OK);
+
+    const report = JSON.parse(await readFile(output, 'utf8'));
+    assert.equal(report.summary.totalVideos, 3);
+    assert.equal(report.summary.totalCaptions, 3);
+    assert.deepEqual(report.summary.captionsByLanguage, { en: 2, fr: 1 });
+    assert.equal(report.profiles.first.totalVideos, 1);
+    assert.equal(report.profiles.second.totalCaptions, 1);
+    assert.deepEqual(report.captions.map(caption => `${caption.profile}:${caption.videoId}:${caption.language}`).sort(),
+      ['first:vi0:en', 'first:vi0:fr', 'second:vi1:en']);
+  });
+
+  it('rejects unknown profiles and several profiles outside check', async () => {
+    assert.equal(await main(['check', '--profile', 'third'], env()), EXIT_USAGE);
+    assert.equal(await main(['delete', '--profile', 'first,second'], env()), EXIT_USAGE);
+    assert.equal(await main(['check', '--profile', 'first', '--api-key', 'k'], env()), EXIT_USAGE);
+    assert.equal(await main(['check', '--profile', 'second'], { PROFILES_FILE: path.join(dir, 'profiles.json') }), EXIT_USAGE);
+    assert.equal(first.requests.length + second.requests.length, 0);
+  });
+});